@@ -1,5 +1,14 @@
 import { useState, useMemo } from "react";
-import { useWaiverAnalysis, useRoster, useWatchlist, useProjections } from "./hooks/useFantasy";
+import { useWaiverAnalysis, useRoster, useWatchlist, useClaims, useCompareTray } from "./hooks/useFantasy";
+import ClaimsPanel from "./components/ClaimsPanel";
+import CompareTray, { CompareButton } from "./components/CompareTray";
+import LineupOptimizer from "./components/LineupOptimizer";
+import ProjectionsPanel from "./components/ProjectionsPanel";
+import ByeWeekHeatmap from "./components/ByeWeekHeatmap";
+import InjuryReport from "./components/InjuryReport";
+import ScheduleStrengthPanel from "./components/ScheduleStrengthPanel";
+import TradeAnalyzer from "./components/TradeAnalyzer";
+import TrendingPanel from "./components/TrendingPanel";
 
 const API = import.meta.env.VITE_API_BASE || "";
 
@@ -7,6 +16,7 @@ export default function EnhancedFantasyApp() {
   // Existing state
   const [season, setSeason] = useState(new Date().getFullYear());
   const [leagueId, setLeagueId] = useState("");
+  const [teamId, setTeamId] = useState("");
   const [slot, setSlot] = useState(2);
   const [loadingCount, setLoadingCount] = useState(0);
   const [error, setError] = useState(null);
@@ -16,19 +26,21 @@ export default function EnhancedFantasyApp() {
 
   // New state for advanced features
   const [activeTab, setActiveTab] = useState('basic');
-  const [selectedPlayers, setSelectedPlayers] = useState([]);
-
-  // Custom hooks
-  const { analysis: waiverAnalysis, loading: waiverLoading, runAnalysis } = useWaiverAnalysis();
-  const { roster, loading: rosterLoading, addPlayer, removePlayer } = useRoster();
-  const { watchlist, loading: watchlistLoading, addToWatchlist, removeFromWatchlist } = useWatchlist();
-  const { projections, loading: projectionsLoading } = useProjections(selectedPlayers, season);
 
   const positionLabel = useMemo(() => {
     const map = { 0: "QB", 2: "RB", 4: "WR", 6: "TE", 16: "D/ST", 17: "K" };
     return map[slot] || `Slot ${slot}`;
   }, [slot]);
 
+  // Custom hooks
+  // Roster and watchlist follow whichever league/team is entered above
+  const leagueContext = { leagueId, season, teamId };
+  const { analysis: waiverAnalysis, loading: waiverLoading, runAnalysis } = useWaiverAnalysis(positionLabel, season, leagueId, teamId);
+  const { roster, loading: rosterLoading, addPlayer, removePlayer, syncFromEspn, syncing, lastSync, refresh: refreshRoster } = useRoster(leagueContext);
+  const { watchlist, loading: watchlistLoading, addToWatchlist, removeFromWatchlist } = useWatchlist(leagueContext);
+  const claimsHook = useClaims(leagueContext, refreshRoster);
+  const compareTray = useCompareTray(season, leagueId);
+
   // Existing helper functions
   function startRequest() {
     setError(null);
@@ -105,6 +117,24 @@ export default function EnhancedFantasyApp() {
     runAnalysis([]);
   }
 
+  async function handleRosterSync() {
+    const result = await syncFromEspn();
+    if (result && !teamId) {
+      setTeamId(String(result.team.teamId));
+    }
+  }
+
+  // Waiver candidates carry ESPN ids; the server adds the player to the database if needed
+  function handleAddClaim(player) {
+    claimsHook.addClaim({
+      espn_id: player.id,
+      name: player.name,
+      position: player.position,
+      team: player.team,
+      faab_bid: player.faab?.recommended ?? 0
+    });
+  }
+
   function handleAddToWatchlist(player) {
     const playerId = player.id || player.espn_id;
     addToWatchlist(playerId, 3, `Added from ${positionLabel} search`);
@@ -117,12 +147,17 @@ export default function EnhancedFantasyApp() {
     { id: 'waiver', name: '🎯 Waiver Analysis', icon: '⚡' },
     { id: 'roster', name: '👥 My Roster', icon: '📋' },
     { id: 'watchlist', name: '👀 Watchlist', icon: '⭐' },
+    { id: 'claims', name: '📝 Claims', icon: '📥' },
+    { id: 'trending', name: '🔥 Trending', icon: '📈' },
+    { id: 'schedule', name: '📆 Schedule', icon: '🗓️' },
+    { id: 'trade', name: '🤝 Trade', icon: '⚖️' },
     { id: 'projections', name: '📈 Projections', icon: '🔮' }
   ];
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 to-slate-800">
-      <div className="max-w-7xl mx-auto px-4 py-6">
+      {/* Room for the compare tray so it never covers the last rows */}
+      <div className={`max-w-7xl mx-auto px-4 py-6 ${compareTray.players.length ? "pb-24" : ""}`}>
         <h1 className="text-4xl font-bold text-white mb-8 text-center">
           🏆 ESPN Fantasy Helper Pro
         </h1>
@@ -175,6 +210,16 @@ export default function EnhancedFantasyApp() {
                     className="w-full px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Team ID</label>
+                  <input 
+                    type="text" 
+                    value={teamId} 
+                    placeholder="optional"
+                    onChange={(e) => setTeamId(e.target.value)}
+                    className="w-full px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+                  />
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">Position</label>
                   <select 
@@ -260,13 +305,17 @@ export default function EnhancedFantasyApp() {
                           <td className="py-3 text-center text-gray-300">
                             {(p?.ownership?.percentOwned ?? p?.percentOwned ?? 0).toFixed?.(1) ?? ""}%
                           </td>
-                          <td className="py-3">
+                          <td className="py-3 space-x-2">
                             <button
                               onClick={() => handleAddToWatchlist(p)}
                               className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white text-sm rounded"
                             >
                               👀 Watch
                             </button>
+                            <CompareButton
+                              tray={compareTray}
+                              player={{ espnId: p?.player?.id ?? p?.id, name: p?.fullName || p?.player?.fullName }}
+                            />
                           </td>
                         </tr>
                       ))}
@@ -340,6 +389,7 @@ export default function EnhancedFantasyApp() {
                           <th className="text-center py-2 text-gray-300">Projection</th>
                           <th className="text-center py-2 text-gray-300">Priority</th>
                           <th className="text-center py-2 text-gray-300">FAAB Bid</th>
+                          <th className="text-left py-2 text-gray-300">Actions</th>
                         </tr>
                       </thead>
                       <tbody>
@@ -358,7 +408,18 @@ export default function EnhancedFantasyApp() {
                                 {player.priority}
                               </span>
                             </td>
-                            <td className="py-3 text-center text-green-400 font-medium">{player.faabBid}</td>
+                            <td className="py-3 text-center text-green-400 font-medium">
+                              {player.faab ? `$${player.faab.recommended}` : '—'}
+                            </td>
+                            <td className="py-3 space-x-2">
+                              <button
+                                onClick={() => handleAddClaim(player)}
+                                className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
+                              >
+                                ➕ Add claim
+                              </button>
+                              <CompareButton tray={compareTray} player={{ espnId: player.id, name: player.name }} />
+                            </td>
                           </tr>
                         ))}
                       </tbody>
@@ -373,7 +434,36 @@ export default function EnhancedFantasyApp() {
         {/* Roster Tab */}
         {activeTab === 'roster' && (
           <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
-            <h2 className="text-2xl font-semibold text-white mb-4">👥 My Roster</h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-semibold text-white">👥 My Roster</h2>
+              <button
+                onClick={handleRosterSync}
+                disabled={!leagueId || syncing}
+                title={leagueId ? 'Replace this roster with your ESPN team' : 'Enter a League ID on the Basic Search tab first'}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white rounded-md font-medium"
+              >
+                {syncing ? '🔄 Syncing...' : '🔄 Sync from ESPN'}
+              </button>
+            </div>
+            {lastSync && (
+              <div className="bg-slate-900 rounded p-4 mb-4 text-sm text-gray-300">
+                <div className="text-white font-medium mb-2">
+                  Synced {lastSync.team.name} ({lastSync.rosterSize} players, {lastSync.diff.unchanged} unchanged)
+                </div>
+                {lastSync.diff.added.map((p) => (
+                  <div key={`add-${p.espnId}`} className="text-green-400">➕ {p.name} → {p.slot}</div>
+                ))}
+                {lastSync.diff.dropped.map((p) => (
+                  <div key={`drop-${p.espnId}`} className="text-red-400">➖ {p.name} ({p.slot})</div>
+                ))}
+                {lastSync.diff.moved.map((p) => (
+                  <div key={`move-${p.espnId}`} className="text-yellow-400">↔️ {p.name}: {p.from} → {p.to}</div>
+                ))}
+              </div>
+            )}
+            {roster.length > 0 && <LineupOptimizer context={leagueContext} />}
+            {roster.length > 0 && <ByeWeekHeatmap context={leagueContext} />}
+            {roster.length > 0 && <InjuryReport context={leagueContext} />}
             {rosterLoading ? (
               <div className="text-blue-400">🔄 Loading roster...</div>
             ) : roster.length === 0 ? (
@@ -385,6 +475,7 @@ export default function EnhancedFantasyApp() {
                 <table className="w-full">
                   <thead>
                     <tr className="border-b border-slate-600">
+                      <th className="text-left py-2 text-gray-300">Slot</th>
                       <th className="text-left py-2 text-gray-300">Player</th>
                       <th className="text-left py-2 text-gray-300">Position</th>
                       <th className="text-left py-2 text-gray-300">Team</th>
@@ -395,11 +486,13 @@ export default function EnhancedFantasyApp() {
                   <tbody>
                     {roster.map((player) => (
                       <tr key={player.id} className="border-b border-slate-700 hover:bg-slate-700">
+                        <td className="py-3 text-gray-400">{player.position_slot}</td>
                         <td className="py-3 text-white font-medium">{player.name}</td>
                         <td className="py-3 text-gray-300">{player.position}</td>
                         <td className="py-3 text-gray-300">{player.team}</td>
                         <td className="py-3 text-center text-gray-300">{player.bye_week}</td>
-                        <td className="py-3">
+                        <td className="py-3 space-x-2">
+                          <CompareButton tray={compareTray} player={{ espnId: player.espn_id, name: player.name }} />
                           <button
                             onClick={() => removePlayer(player.id)}
                             className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm rounded"
@@ -449,7 +542,8 @@ export default function EnhancedFantasyApp() {
                           {'⭐'.repeat(item.interest_level)}
                         </td>
                         <td className="py-3 text-gray-300 text-sm">{item.notes}</td>
-                        <td className="py-3">
+                        <td className="py-3 space-x-2">
+                          <CompareButton tray={compareTray} player={{ espnId: item.espn_id, name: item.name }} />
                           <button
                             onClick={() => removeFromWatchlist(item.id)}
                             className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm rounded"
@@ -466,16 +560,29 @@ export default function EnhancedFantasyApp() {
           </div>
         )}
 
+        {/* Claims Tab */}
+        {activeTab === 'claims' && <ClaimsPanel claims={claimsHook} roster={roster} />}
+
+        {/* Trending Tab */}
+        {activeTab === 'trending' && (
+          <TrendingPanel onWatch={(player) => addToWatchlist(player.id, 3, 'Added from Trending')} />
+        )}
+
+        {activeTab === 'schedule' && (
+          <ScheduleStrengthPanel season={season} leagueId={leagueId} />
+        )}
+
+        {activeTab === 'trade' && (
+          <TradeAnalyzer season={season} leagueId={leagueId} />
+        )}
+
         {/* Projections Tab */}
         {activeTab === 'projections' && (
-          <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
-            <h2 className="text-2xl font-semibold text-white mb-4">📈 Player Projections</h2>
-            <div className="text-gray-400 text-center py-8">
-              🔮 Projections feature coming soon! This will show weekly and season-long projections for players.
-            </div>
-          </div>
+          <ProjectionsPanel season={season} leagueId={leagueId} />
         )}
       </div>
+
+      <CompareTray tray={compareTray} />
     </div>
   );
 }
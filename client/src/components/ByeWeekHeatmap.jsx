@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { useByeConflicts } from '../hooks/useFantasy';
+
+const CELL_STYLES = {
+  short: 'bg-red-700 text-white',
+  thin: 'bg-yellow-700 text-yellow-100',
+  ok: 'bg-green-800 text-green-100'
+};
+
+const cellTitle = (cell) => {
+  if (cell.status === 'short') return `${cell.required - cell.filled} empty`;
+  if (cell.status === 'thin') return 'No backup';
+  return `${cell.spare} spare`;
+};
+
+// Week-by-slot heatmap for the Roster tab: red where byes leave a starting slot empty,
+// yellow where there is no backup left. Conflict weeks list who is out and who to add.
+export default function ByeWeekHeatmap({ context }) {
+  const [fromWeek, setFromWeek] = useState('');
+  const { report, loading, error, analyze, clear } = useByeConflicts(context);
+  const conflictWeeks = report ? report.weeks.filter((week) => week.conflict) : [];
+
+  return (
+    <div className="bg-slate-900 rounded p-4 mb-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">From week</label>
+          <input
+            type="number"
+            min="1"
+            max="18"
+            value={fromWeek}
+            onChange={(e) => setFromWeek(e.target.value)}
+            placeholder={context.leagueId ? 'Current' : '1'}
+            className="w-24 px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+          />
+        </div>
+        <button
+          onClick={() => analyze(fromWeek)}
+          disabled={loading}
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white rounded-md font-medium"
+        >
+          {loading ? '🔄 Checking...' : '📅 Check bye weeks'}
+        </button>
+        {report && (
+          <button onClick={clear} className="px-3 py-2 text-gray-300 hover:text-white">
+            ✖ Close
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-red-400 mt-3">⚠️ {error}</div>}
+
+      {report && (
+        <div className="mt-4 space-y-4">
+          <div className="text-sm text-gray-300">
+            {report.conflicts.length
+              ? `⚠️ Can't field a full lineup in week${report.conflicts.length > 1 ? 's' : ''} ${report.conflicts.join(', ')}`
+              : '✅ A full lineup every week'}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="text-xs">
+              <thead>
+                <tr>
+                  <th className="text-left pr-3 py-1 text-gray-300">Slot</th>
+                  {report.weeks.map((week) => (
+                    <th
+                      key={week.week}
+                      title={week.byes.length ? `Byes: ${week.byes.join(', ')}` : 'No byes'}
+                      className={`px-1 py-1 text-center ${week.conflict ? 'text-red-400' : 'text-gray-300'}`}
+                    >
+                      {week.week}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {report.slots.map((slot, row) => (
+                  <tr key={slot.slot}>
+                    <td className="pr-3 py-1 text-gray-300 whitespace-nowrap">
+                      {slot.slot}{slot.required > 1 ? ` ×${slot.required}` : ''}
+                    </td>
+                    {report.weeks.map((week) => {
+                      const cell = week.cells[row];
+                      return (
+                        <td key={week.week} className="p-0.5">
+                          <div
+                            title={`Week ${week.week} ${slot.slot}: ${cellTitle(cell)}`}
+                            className={`w-10 py-1 rounded text-center ${CELL_STYLES[cell.status]}`}
+                          >
+                            {cell.filled}/{cell.required}
+                          </div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {conflictWeeks.length > 0 && (
+            <div className="space-y-3 text-sm">
+              {conflictWeeks.map((week) => (
+                <div key={week.week} className="border-t border-slate-700 pt-2">
+                  <div className="text-white font-medium">
+                    Week {week.week}
+                    {week.onBye.length > 0 && (
+                      <span className="text-gray-400 font-normal">
+                        {' '}• on bye: {week.onBye.map((player) => `${player.name} (${player.team})`).join(', ')}
+                      </span>
+                    )}
+                  </div>
+                  {week.cells
+                    .filter((cell) => cell.status === 'short')
+                    .map((cell) => (
+                      <div key={cell.slot} className="text-gray-300">
+                        <span className="text-red-400">{cell.slot} short {cell.required - cell.filled}</span>
+                        {cell.fillers?.length
+                          ? ` → ${cell.fillers.map((filler) => `${filler.name} (${filler.position}, ${filler.team}, ${filler.percentOwned}%)`).join(', ')}`
+                          : ' → no free agents found'}
+                      </div>
+                    ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+const STATUS_STYLES = {
+  pending: 'bg-blue-200 text-blue-800',
+  won: 'bg-green-200 text-green-800',
+  lost: 'bg-red-200 text-red-800',
+  cancelled: 'bg-gray-200 text-gray-800'
+};
+
+// Pending claims in priority order with their drop and bid, then resolved ones.
+// `claims` is the useClaims hook result; `roster` supplies the drop candidates.
+export default function ClaimsPanel({ claims: claimsHook, roster = [] }) {
+  const { claims, loading, error, updateClaim, cancelClaim, removeClaim, moveClaim, resolveClaim } = claimsHook;
+  const pending = claims.filter(c => c.status === 'pending');
+  const resolved = claims.filter(c => c.status !== 'pending');
+
+  const saveBid = (claim, value) => {
+    const bid = Number(value);
+    if (Number.isInteger(bid) && bid >= 0 && bid !== claim.faab_bid) {
+      updateClaim(claim.id, { faab_bid: bid });
+    }
+  };
+
+  const dropLabel = (claim) =>
+    claim.drop_name ? `${claim.drop_name} (${claim.drop_position || '?'})` : 'No drop';
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
+      <h2 className="text-2xl font-semibold text-white mb-4">📝 Waiver Claims</h2>
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-100 px-4 py-3 rounded mb-4">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {loading && claims.length === 0 ? (
+        <div className="text-blue-400">🔄 Loading claims...</div>
+      ) : claims.length === 0 ? (
+        <div className="text-gray-400 text-center py-8">
+          📝 No claims yet. Use "Add claim" on the Waiver Analysis tab!
+        </div>
+      ) : (
+        <div className="space-y-8">
+          {pending.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-slate-600">
+                    <th className="text-left py-2 text-gray-300">#</th>
+                    <th className="text-left py-2 text-gray-300">Add</th>
+                    <th className="text-left py-2 text-gray-300">Drop</th>
+                    <th className="text-left py-2 text-gray-300">FAAB Bid</th>
+                    <th className="text-left py-2 text-gray-300">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pending.map((claim, index) => (
+                    <tr key={claim.id} className="border-b border-slate-700 hover:bg-slate-700">
+                      <td className="py-3 text-gray-300 whitespace-nowrap">
+                        <span className="mr-2 font-medium text-white">{claim.claim_priority}</span>
+                        <button
+                          onClick={() => moveClaim(claim.id, -1)}
+                          disabled={index === 0}
+                          className="px-1 text-gray-300 hover:text-white disabled:text-gray-600"
+                          title="Move up"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          onClick={() => moveClaim(claim.id, 1)}
+                          disabled={index === pending.length - 1}
+                          className="px-1 text-gray-300 hover:text-white disabled:text-gray-600"
+                          title="Move down"
+                        >
+                          ▼
+                        </button>
+                      </td>
+                      <td className="py-3">
+                        <div className="text-white font-medium">{claim.name}</div>
+                        <div className="text-gray-400 text-sm">{[claim.position, claim.team].filter(Boolean).join(' • ')}</div>
+                      </td>
+                      <td className="py-3">
+                        <select
+                          value={claim.drop_player_id ?? ''}
+                          onChange={(e) => updateClaim(claim.id, { drop_player_id: e.target.value ? Number(e.target.value) : null })}
+                          className="px-2 py-1 bg-slate-700 border border-slate-600 text-white rounded-md text-sm"
+                        >
+                          <option value="">— No drop —</option>
+                          {roster.map((player) => (
+                            <option key={player.id} value={player.player_id}>
+                              {player.name} ({player.position_slot})
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-3">
+                        <span className="text-gray-400 mr-1">$</span>
+                        <input
+                          key={`${claim.id}-${claim.faab_bid}`}
+                          type="number"
+                          min="0"
+                          defaultValue={claim.faab_bid ?? 0}
+                          onBlur={(e) => saveBid(claim, e.target.value)}
+                          className="w-20 px-2 py-1 bg-slate-700 border border-slate-600 text-white rounded-md text-sm"
+                        />
+                      </td>
+                      <td className="py-3 space-x-2 whitespace-nowrap">
+                        <button
+                          onClick={() => resolveClaim(claim.id, 'won')}
+                          className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white text-sm rounded"
+                        >
+                          ✅ Won
+                        </button>
+                        <button
+                          onClick={() => resolveClaim(claim.id, 'lost')}
+                          className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm rounded"
+                        >
+                          ❌ Lost
+                        </button>
+                        <button
+                          onClick={() => cancelClaim(claim.id)}
+                          className="px-3 py-1 bg-slate-600 hover:bg-slate-500 text-white text-sm rounded"
+                        >
+                          🚫 Cancel
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {resolved.length > 0 && (
+            <div>
+              <h3 className="text-lg font-semibold text-white mb-2">History</h3>
+              <div className="space-y-2">
+                {resolved.map((claim) => (
+                  <div key={claim.id} className="flex items-center justify-between bg-slate-900 rounded p-3">
+                    <div>
+                      <span className={`px-2 py-1 rounded text-xs font-medium mr-3 ${STATUS_STYLES[claim.status]}`}>
+                        {claim.status}
+                      </span>
+                      <span className="text-white font-medium">{claim.name}</span>
+                      <span className="text-gray-400 text-sm"> for {dropLabel(claim)} • ${claim.faab_bid ?? 0}</span>
+                      {claim.resolved_at && (
+                        <span className="text-gray-500 text-sm"> • {new Date(claim.resolved_at).toLocaleDateString()}</span>
+                      )}
+                    </div>
+                    <div className="space-x-2">
+                      {claim.status !== 'won' && (
+                        <button
+                          onClick={() => updateClaim(claim.id, { status: 'pending' })}
+                          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
+                        >
+                          ↩️ Reopen
+                        </button>
+                      )}
+                      <button
+                        onClick={() => removeClaim(claim.id)}
+                        className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm rounded"
+                      >
+                        🗑️ Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { MAX_COMPARE_PLAYERS } from '../hooks/useFantasy';
+
+const formatPoints = (value) => (value === null || value === undefined ? '—' : value.toFixed(1));
+
+const INJURY_STYLES = {
+  ACTIVE: 'text-green-400',
+  QUESTIONABLE: 'text-yellow-400',
+  DOUBTFUL: 'text-orange-400'
+};
+
+const scheduleColor = (rating) => {
+  if (rating === null || rating === undefined) return 'text-gray-400';
+  if (rating >= 1.05) return 'text-green-400';
+  if (rating <= 0.95) return 'text-red-400';
+  return 'text-gray-300';
+};
+
+// Row button that puts a player in the compare tray. `tray` is the useCompareTray result.
+export function CompareButton({ tray, player }) {
+  const added = tray.has(player.espnId);
+  return (
+    <button
+      onClick={() => (added ? tray.remove(player.espnId) : tray.add(player))}
+      disabled={!player.espnId || (!added && tray.full)}
+      title={added ? 'Remove from compare' : tray.full ? `Compare holds ${MAX_COMPARE_PLAYERS} players` : 'Add to compare'}
+      className={`px-3 py-1 text-white text-sm rounded disabled:bg-gray-600 ${added ? 'bg-slate-500 hover:bg-slate-600' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+    >
+      {added ? '✓ Comparing' : '⚖️ Compare'}
+    </button>
+  );
+}
+
+const Row = ({ label, players, render }) => (
+  <tr className="border-b border-slate-700">
+    <td className="py-2 pr-4 text-gray-400 whitespace-nowrap align-top">{label}</td>
+    {players.map((player) => (
+      <td key={player.espnId} className="py-2 pr-4 text-gray-200 align-top">{render(player)}</td>
+    ))}
+  </tr>
+);
+
+// Fixed tray at the bottom of the page; expands into the side-by-side comparison.
+export default function CompareTray({ tray }) {
+  const { players, comparison, loading, error, open, setOpen, remove, clear } = tray;
+  if (players.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 bg-slate-900 border-t border-slate-600 shadow-2xl z-10">
+      <div className="max-w-7xl mx-auto px-4 py-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-gray-300 text-sm mr-2">⚖️ Compare {players.length}/{MAX_COMPARE_PLAYERS}</span>
+          {players.map((player) => (
+            <span key={player.espnId} className="px-2 py-1 bg-slate-700 text-white rounded text-sm">
+              {player.name}
+              <button onClick={() => remove(player.espnId)} className="ml-2 text-gray-400 hover:text-red-400" title="Remove">
+                ✖
+              </button>
+            </span>
+          ))}
+          <div className="ml-auto flex gap-2">
+            <button
+              onClick={() => setOpen(!open)}
+              className="px-4 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md text-sm font-medium"
+            >
+              {open ? '▼ Hide' : '▲ Compare'}
+            </button>
+            <button onClick={clear} className="px-3 py-1 text-gray-300 hover:text-white text-sm">
+              Clear
+            </button>
+          </div>
+        </div>
+
+        {open && (
+          <div className="mt-3 max-h-[60vh] overflow-auto">
+            {error && <div className="text-red-400 mb-2">⚠️ {error}</div>}
+            {loading && comparison.length === 0 ? (
+              <div className="text-blue-400">🔄 Loading comparison...</div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-slate-600">
+                    <th></th>
+                    {comparison.map((player) => (
+                      <th key={player.espnId} className="text-left py-2 pr-4 text-white">
+                        {player.name}
+                        <div className="text-gray-400 font-normal">{player.position ?? '?'} • {player.team}</div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <Row
+                    label="Status"
+                    players={comparison}
+                    render={(player) => (
+                      <span className={INJURY_STYLES[player.injury.status] ?? 'text-red-400'}>{player.injury.status}</span>
+                    )}
+                  />
+                  <Row label="Bye week" players={comparison} render={(player) => player.byeWeek ?? '—'} />
+                  <Row
+                    label="Season projection"
+                    players={comparison}
+                    render={(player) => `${formatPoints(player.projection.season)} (${formatPoints(player.projection.perGame)}/wk)`}
+                  />
+                  <Row label="Season actual" players={comparison} render={(player) => formatPoints(player.projection.actual)} />
+                  <Row
+                    label="Recent weeks"
+                    players={comparison}
+                    render={(player) =>
+                      player.recentWeeks.length === 0 ? '—' : (
+                        <div className="flex gap-2">
+                          {player.recentWeeks.map((week) => (
+                            <span
+                              key={week.week}
+                              title={`Week ${week.week}: projected ${formatPoints(week.projected)}`}
+                              className={week.projected !== null && week.actual < week.projected ? 'text-red-300' : 'text-green-300'}
+                            >
+                              {formatPoints(week.actual)}
+                            </span>
+                          ))}
+                        </div>
+                      )
+                    }
+                  />
+                  <Row
+                    label="% Owned"
+                    players={comparison}
+                    render={(player) => (
+                      <span title={player.ownership.history.map((point) => `${point.date}: ${point.percentOwned}%`).join('\n')}>
+                        {player.ownership.percentOwned === null ? '—' : `${player.ownership.percentOwned}%`}
+                        {player.ownership.change !== null && (
+                          <span className={player.ownership.change >= 0 ? 'text-green-400' : 'text-red-400'}>
+                            {' '}{player.ownership.change >= 0 ? '▲' : '▼'}{Math.abs(player.ownership.change)}
+                          </span>
+                        )}
+                      </span>
+                    )}
+                  />
+                  <Row
+                    label="Schedule (next / playoffs)"
+                    players={comparison}
+                    render={(player) => player.schedule ? (
+                      <>
+                        <span className={scheduleColor(player.schedule.upcoming)}>{player.schedule.upcoming?.toFixed(2) ?? '—'}</span>
+                        {' / '}
+                        <span className={scheduleColor(player.schedule.playoffs)}>{player.schedule.playoffs?.toFixed(2) ?? '—'}</span>
+                      </>
+                    ) : '—'}
+                  />
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { useInjuryTracker } from '../hooks/useFantasy';
+
+const STATUS_STYLES = {
+  ACTIVE: 'bg-green-800 text-green-100',
+  PROBABLE: 'bg-green-700 text-green-100',
+  QUESTIONABLE: 'bg-yellow-700 text-yellow-100',
+  DOUBTFUL: 'bg-orange-700 text-orange-100',
+  DAY_TO_DAY: 'bg-yellow-700 text-yellow-100'
+};
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : null);
+
+// Injury report for the Roster tab: each rostered player's ESPN status, when it last
+// changed (and from what), and the latest stored news item about them.
+export default function InjuryReport({ context }) {
+  const { report, loading, error, checkInjuries, clear } = useInjuryTracker(context);
+  const designated = report ? report.players.filter((player) => player.status !== 'ACTIVE') : [];
+
+  return (
+    <div className="bg-slate-900 rounded p-4 mb-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={() => checkInjuries()}
+          disabled={loading}
+          className="px-4 py-2 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 text-white rounded-md font-medium"
+        >
+          {loading ? '🔄 Checking...' : '🩺 Injury report'}
+        </button>
+        {report && (
+          <>
+            <button
+              onClick={() => checkInjuries(true)}
+              disabled={loading}
+              title="Skip the cached ESPN player feed"
+              className="px-3 py-2 text-gray-300 hover:text-white"
+            >
+              ↻ Refresh from ESPN
+            </button>
+            <button onClick={clear} className="px-3 py-2 text-gray-300 hover:text-white">
+              ✖ Close
+            </button>
+          </>
+        )}
+      </div>
+
+      {error && <div className="text-red-400 mt-3">⚠️ {error}</div>}
+
+      {report && (
+        <div className="mt-4">
+          <div className="text-sm text-gray-300 mb-2">
+            {designated.length
+              ? `⚠️ ${designated.length} player${designated.length > 1 ? 's' : ''} with an injury designation`
+              : '✅ Everyone is active'}
+            {!report.updated && <span className="text-yellow-400"> • not refreshed from ESPN, showing stored statuses</span>}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-700">
+                  <th className="text-left py-1 text-gray-300">Player</th>
+                  <th className="text-left py-1 text-gray-300">Status</th>
+                  <th className="text-left py-1 text-gray-300">Since</th>
+                  <th className="text-left py-1 text-gray-300">Latest news</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.players.map((player) => (
+                  <tr key={player.playerId} className="border-b border-slate-800 align-top">
+                    <td className="py-2 pr-3">
+                      <div className="text-white">{player.name}</div>
+                      <div className="text-gray-400 text-xs">
+                        {[player.position, player.team, player.positionSlot].filter(Boolean).join(' • ')}
+                      </div>
+                    </td>
+                    <td className="py-2 pr-3">
+                      <span className={`px-2 py-0.5 rounded text-xs whitespace-nowrap ${STATUS_STYLES[player.status] ?? 'bg-red-700 text-white'}`}>
+                        {formatStatus(player.status)}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-3 text-gray-300 whitespace-nowrap">
+                      {formatDate(player.statusSince) ?? '—'}
+                      {player.previousStatus && (
+                        <div className="text-gray-500 text-xs">was {formatStatus(player.previousStatus)}</div>
+                      )}
+                    </td>
+                    <td className="py-2 text-gray-300">
+                      {player.latestNews ? (
+                        <>
+                          {player.latestNews.link ? (
+                            <a href={player.latestNews.link} target="_blank" rel="noreferrer" className="text-blue-400 hover:underline">
+                              {player.latestNews.headline}
+                            </a>
+                          ) : player.latestNews.headline}
+                          <div className="text-gray-500 text-xs">
+                            {[player.latestNews.source, formatDate(player.latestNews.publishedDate)].filter(Boolean).join(' • ')}
+                          </div>
+                        </>
+                      ) : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { useLineupOptimizer } from '../hooks/useFantasy';
+
+const slotName = (slot) => (slot.slot === 'FLEX' ? slot.eligible.join('/') : slot.slot);
+
+// "Optimize lineup" view for the Roster tab: best legal lineup for a week and what to change.
+export default function LineupOptimizer({ context }) {
+  const [week, setWeek] = useState('');
+  const { lineup, loading, error, optimize, clear } = useLineupOptimizer(context);
+
+  return (
+    <div className="bg-slate-900 rounded p-4 mb-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Week</label>
+          <input
+            type="number"
+            min="1"
+            max="18"
+            value={week}
+            onChange={(e) => setWeek(e.target.value)}
+            placeholder={context.leagueId ? 'Current' : 'Required'}
+            className="w-24 px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+          />
+        </div>
+        <button
+          onClick={() => optimize(week)}
+          disabled={loading || (!context.leagueId && !week)}
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white rounded-md font-medium"
+        >
+          {loading ? '🔄 Optimizing...' : '⚡ Optimize lineup'}
+        </button>
+        {lineup && (
+          <button onClick={clear} className="px-3 py-2 text-gray-300 hover:text-white">
+            ✖ Close
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-red-400 mt-3">⚠️ {error}</div>}
+
+      {lineup && (
+        <div className="mt-4 space-y-4">
+          <div className="flex flex-wrap gap-6 text-sm">
+            <div className="text-white">
+              Week {lineup.week} • <span className="text-green-400 font-bold">{lineup.projected.optimal}</span> projected
+            </div>
+            <div className="text-gray-300">Current lineup: {lineup.projected.current}</div>
+            <div className={lineup.projected.gain > 0 ? 'text-green-400 font-medium' : 'text-gray-400'}>
+              {lineup.projected.gain > 0 ? `+${lineup.projected.gain} pts` : 'Already optimal'}
+            </div>
+            <div className="text-gray-500">
+              {lineup.scoring === 'league' ? 'League scoring' : 'ESPN default scoring'}
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  <th className="text-left py-1 text-gray-300">Slot</th>
+                  <th className="text-left py-1 text-gray-300">Starter</th>
+                  <th className="text-right py-1 text-gray-300">Proj</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lineup.starters.map((slot, i) => (
+                  <tr key={`${slot.slotId}-${i}`} className="border-b border-slate-800">
+                    <td className="py-1 text-gray-400">{slotName(slot)}</td>
+                    <td className="py-1 text-white">
+                      {slot.player ? slot.player.name : <span className="text-red-400">Empty</span>}
+                      {slot.player && slot.player.currentSlot !== slot.slot && (
+                        <span className="ml-2 text-xs text-yellow-400">from {slot.player.currentSlot}</span>
+                      )}
+                    </td>
+                    <td className="py-1 text-right text-gray-300">{slot.player?.projected ?? '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="space-y-3 text-sm">
+              {lineup.changes.length > 0 && (
+                <div>
+                  <div className="text-white font-medium mb-1">Changes</div>
+                  {lineup.changes.map((change) => (
+                    <div key={change.name} className="text-yellow-400">
+                      ↔️ {change.name}: {change.from} → {change.to}
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div>
+                <div className="text-white font-medium mb-1">Bench</div>
+                {lineup.bench.length === 0 && <div className="text-gray-500">—</div>}
+                {lineup.bench.map((player) => (
+                  <div key={player.rosterId} className="text-gray-300">
+                    {player.name} ({player.position}) • {player.projected}
+                  </div>
+                ))}
+              </div>
+              {lineup.excluded.length > 0 && (
+                <div>
+                  <div className="text-white font-medium mb-1">Can't start</div>
+                  {lineup.excluded.map((player) => (
+                    <div key={player.rosterId} className="text-red-400">
+                      {player.name} ({player.position}) • {player.unavailable === 'BYE' ? 'Bye week' : player.injuryStatus}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {lineup.ir.length > 0 && (
+                <div>
+                  <div className="text-white font-medium mb-1">IR</div>
+                  {lineup.ir.map((player) => (
+                    <div key={player.rosterId} className="text-gray-400">{player.name}</div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
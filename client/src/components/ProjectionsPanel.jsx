@@ -0,0 +1,252 @@
+import { useState } from 'react';
+import { SCORING_TYPES } from '../lib/api';
+import { usePlayers, useProjections } from '../hooks/useFantasy';
+
+const MAX_PLAYERS = 10;
+
+const formatPoints = (value) => (value === null || value === undefined ? '—' : value.toFixed(1));
+
+const diffColor = (actual, projected) => {
+  if (actual === null || projected === null) return 'text-gray-400';
+  return actual >= projected ? 'text-green-400' : 'text-red-400';
+};
+
+// Weekly actual points as bars with the projection drawn over them as a line.
+function WeeklyChart({ weeks }) {
+  const width = 640;
+  const height = 180;
+  const pad = 24;
+  const max = Math.max(1, ...weeks.flatMap((week) => [week.actual ?? 0, week.projected ?? 0]));
+  const step = (width - pad * 2) / Math.max(weeks.length, 1);
+  const x = (index) => pad + step * index + step / 2;
+  const y = (value) => height - pad - (value / max) * (height - pad * 2);
+
+  const projected = weeks
+    .map((week, index) => (week.projected === null ? null : `${x(index)},${y(week.projected)}`))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48">
+      <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} stroke="#475569" />
+      <text x={pad} y={pad - 8} fill="#94a3b8" fontSize="10">{max.toFixed(0)} pts</text>
+      {weeks.map((week, index) => (
+        <g key={week.week}>
+          {week.actual !== null && (
+            <rect
+              x={x(index) - step * 0.3}
+              y={y(week.actual)}
+              width={step * 0.6}
+              height={height - pad - y(week.actual)}
+              fill={week.projected !== null && week.actual < week.projected ? '#f87171' : '#4ade80'}
+              opacity="0.7"
+            >
+              <title>{`Week ${week.week}: ${formatPoints(week.actual)} actual, ${formatPoints(week.projected)} projected`}</title>
+            </rect>
+          )}
+          <text x={x(index)} y={height - pad + 14} fill="#94a3b8" fontSize="10" textAnchor="middle">{week.week}</text>
+        </g>
+      ))}
+      {projected && <polyline points={projected} fill="none" stroke="#60a5fa" strokeWidth="2" />}
+    </svg>
+  );
+}
+
+// Projections tab: search players, then compare season totals and drill into one
+// player's week-by-week projected vs actual points.
+export default function ProjectionsPanel({ season, leagueId }) {
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [focusId, setFocusId] = useState(null);
+  const [pprId, setPprId] = useState(SCORING_TYPES[0].pprId);
+
+  const { players: results, loading: searching, error: searchError } = usePlayers(search ? { q: search } : null);
+  const { projections, loading, error } = useProjections(selected.map((player) => player.espn_id), season, leagueId, pprId);
+
+  const addPlayer = (player) => {
+    if (selected.length >= MAX_PLAYERS || selected.some((entry) => entry.espn_id === player.espn_id)) return;
+    setSelected([...selected, player]);
+    setFocusId(player.espn_id);
+  };
+
+  const removePlayer = (espnId) => {
+    setSelected(selected.filter((player) => player.espn_id !== espnId));
+    if (focusId === espnId) setFocusId(null);
+  };
+
+  // Names and teams come from our players table; points from ESPN
+  const rows = selected.map((player) => ({
+    player,
+    projection: projections.find((entry) => entry.id === player.espn_id)
+  }));
+  const focused = rows.find((row) => row.player.espn_id === focusId) ?? rows[0];
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">📈 Player Projections</h2>
+          <p className="text-sm text-gray-400">
+            {leagueId ? `League ${leagueId} scoring` : 'ESPN default scoring'} • {season}
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Scoring</label>
+          <select
+            value={pprId}
+            onChange={(e) => setPprId(Number(e.target.value))}
+            disabled={!!leagueId}
+            title={leagueId ? 'Using the league\'s own scoring rules' : undefined}
+            className="px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md disabled:opacity-50"
+          >
+            {SCORING_TYPES.map((type) => (
+              <option key={type.pprId} value={type.pprId}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); setSearch(query.trim()); }}
+        className="flex gap-2 mb-3"
+      >
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search players by name"
+          className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+        />
+        <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md font-medium">
+          🔍 Search
+        </button>
+      </form>
+
+      {searchError && <div className="text-red-400 mb-3">⚠️ {searchError}</div>}
+      {search && (
+        <div className="bg-slate-900 rounded p-2 mb-4 max-h-48 overflow-y-auto">
+          {searching ? (
+            <div className="text-blue-400 text-sm">🔄 Searching...</div>
+          ) : results.length === 0 ? (
+            <div className="text-gray-400 text-sm">No players match "{search}". Ingest players first.</div>
+          ) : results.map((player) => (
+            <div key={player.id} className="flex justify-between items-center px-2 py-1 hover:bg-slate-800 rounded text-sm">
+              <span className="text-white">
+                {player.name} <span className="text-gray-400">{[player.position, player.team].filter(Boolean).join(' • ')}</span>
+              </span>
+              <button
+                onClick={() => addPlayer(player)}
+                disabled={selected.length >= MAX_PLAYERS || selected.some((entry) => entry.espn_id === player.espn_id)}
+                className="px-2 py-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white rounded text-xs"
+              >
+                + Add
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-100 px-4 py-3 rounded mb-4">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {selected.length === 0 ? (
+        <div className="text-gray-400 text-center py-8">🔮 Search for players above to compare their projections.</div>
+      ) : (
+        <>
+          <div className="overflow-x-auto mb-6">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  <th className="text-left py-2 text-gray-300">Player</th>
+                  <th className="text-right py-2 text-gray-300">Projected</th>
+                  <th className="text-right py-2 text-gray-300">Actual</th>
+                  <th className="text-right py-2 text-gray-300">Games</th>
+                  <th className="text-right py-2 text-gray-300">Avg / week</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ player, projection }) => {
+                  const played = projection ? projection.weeks.filter((week) => week.actual !== null) : [];
+                  const average = played.length ? played.reduce((sum, week) => sum + week.actual, 0) / played.length : null;
+                  return (
+                    <tr
+                      key={player.espn_id}
+                      onClick={() => setFocusId(player.espn_id)}
+                      className={`border-b border-slate-700 hover:bg-slate-700 cursor-pointer ${focused?.player.espn_id === player.espn_id ? 'bg-slate-700' : ''}`}
+                    >
+                      <td className="py-2">
+                        <div className="text-white font-medium">{player.name}</div>
+                        <div className="text-gray-400 text-sm">{[player.position, player.team].filter(Boolean).join(' • ')}</div>
+                      </td>
+                      <td className="py-2 text-right text-gray-300">
+                        {loading && !projection ? '…' : formatPoints(projection?.season.projected)}
+                      </td>
+                      <td className="py-2 text-right text-gray-300">{formatPoints(projection?.season.actual)}</td>
+                      <td className="py-2 text-right text-gray-300">{played.length}</td>
+                      <td className="py-2 text-right text-gray-300">{formatPoints(average)}</td>
+                      <td className="py-2 text-right">
+                        <button
+                          onClick={(e) => { e.stopPropagation(); removePlayer(player.espn_id); }}
+                          className="px-2 text-gray-400 hover:text-red-400"
+                          title="Remove"
+                        >
+                          ✖
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {focused && (
+            <div className="bg-slate-900 rounded p-4">
+              <h3 className="text-lg font-semibold text-white mb-2">{focused.player.name} by week</h3>
+              {!focused.projection || focused.projection.weeks.length === 0 ? (
+                <div className="text-gray-400 text-sm">{loading ? '🔄 Loading...' : 'No weekly stats from ESPN yet.'}</div>
+              ) : (
+                <>
+                  <WeeklyChart weeks={focused.projection.weeks} />
+                  <div className="text-xs text-gray-400 mb-3">
+                    <span className="text-blue-400">━</span> projected • <span className="text-green-400">■</span> actual (red when below projection)
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-slate-700">
+                          <th className="text-left py-1 text-gray-300">Week</th>
+                          <th className="text-right py-1 text-gray-300">Projected</th>
+                          <th className="text-right py-1 text-gray-300">Actual</th>
+                          <th className="text-right py-1 text-gray-300">Diff</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {focused.projection.weeks.map((week) => (
+                          <tr key={week.week} className="border-b border-slate-800">
+                            <td className="py-1 text-gray-300">{week.week}</td>
+                            <td className="py-1 text-right text-gray-300">{formatPoints(week.projected)}</td>
+                            <td className="py-1 text-right text-white">{formatPoints(week.actual)}</td>
+                            <td className={`py-1 text-right ${diffColor(week.actual, week.projected)}`}>
+                              {week.actual === null || week.projected === null
+                                ? '—'
+                                : `${week.actual >= week.projected ? '+' : ''}${(week.actual - week.projected).toFixed(1)}`}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useStrengthOfSchedule } from '../hooks/useFantasy';
+
+// Ratings are points allowed relative to an average opponent (1.0); higher is easier
+const ratingColor = (rating) => {
+  if (rating === null || rating === undefined) return 'text-gray-500';
+  if (rating >= 1.1) return 'text-green-400';
+  if (rating >= 1.03) return 'text-green-300';
+  if (rating <= 0.9) return 'text-red-400';
+  if (rating <= 0.97) return 'text-red-300';
+  return 'text-gray-300';
+};
+
+const formatRating = (rating) => (rating === null || rating === undefined ? '—' : rating.toFixed(2));
+
+const Opponents = ({ games }) => (
+  <div className="flex flex-wrap gap-1">
+    {games.map((game) => (
+      <span key={game.week} title={`Week ${game.week}: ${formatRating(game.rating)}`} className={`text-xs ${ratingColor(game.rating)}`}>
+        {game.home ? '' : '@'}{game.opponent}
+      </span>
+    ))}
+  </div>
+);
+
+// Rest-of-season strength of schedule per NFL team for one position.
+export default function ScheduleStrengthPanel({ season, leagueId }) {
+  const [position, setPosition] = useState('RB');
+  const [weeks, setWeeks] = useState(4);
+  const { sos, loading, error } = useStrengthOfSchedule({ season, position, weeks, leagueId });
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">📆 Strength of Schedule</h2>
+          <p className="text-sm text-gray-400">
+            {sos
+              ? `Weeks ${sos.upcomingWeeks.join(', ')} • playoffs ${sos.playoffWeeks.join(', ')} • based on ${sos.sampleWeeks} week${sos.sampleWeeks === 1 ? '' : 's'} of stats`
+              : 'Points allowed by position, relative to an average opponent'}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-3 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Position</label>
+            <select
+              value={position}
+              onChange={(e) => setPosition(e.target.value)}
+              className="px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+            >
+              <option value="QB">QB</option>
+              <option value="RB">RB</option>
+              <option value="WR">WR</option>
+              <option value="TE">TE</option>
+              <option value="D/ST">D/ST</option>
+              <option value="K">K</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Next weeks</label>
+            <input
+              type="number"
+              min="1"
+              max="18"
+              value={weeks}
+              onChange={(e) => setWeeks(Number(e.target.value) || 1)}
+              className="w-20 px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+            />
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-100 px-4 py-3 rounded mb-4">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {loading && !sos ? (
+        <div className="text-blue-400">🔄 Loading schedule...</div>
+      ) : sos && sos.sampleWeeks === 0 ? (
+        <div className="text-gray-400 text-center py-8">
+          📊 No weekly stats yet. Ingest some weeks with POST /admin/analytics/ingest to rate matchups.
+        </div>
+      ) : sos && (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left py-2 text-gray-300">#</th>
+                <th className="text-left py-2 text-gray-300">Team</th>
+                <th className="text-left py-2 text-gray-300">Upcoming</th>
+                <th className="text-left py-2 text-gray-300">Opponents</th>
+                <th className="text-left py-2 text-gray-300">Playoffs</th>
+                <th className="text-left py-2 text-gray-300">Opponents</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sos.teams.map((team) => (
+                <tr key={team.proTeamId} className="border-b border-slate-700 hover:bg-slate-700">
+                  <td className="py-2 text-gray-400">{team.upcoming.rank ?? '—'}</td>
+                  <td className="py-2 text-white font-medium">{team.team}</td>
+                  <td className={`py-2 font-medium ${ratingColor(team.upcoming.rating)}`}>{formatRating(team.upcoming.rating)}</td>
+                  <td className="py-2"><Opponents games={team.upcoming.games} /></td>
+                  <td className={`py-2 font-medium ${ratingColor(team.playoffs.rating)}`}>
+                    {formatRating(team.playoffs.rating)}
+                    {team.playoffs.rank && <span className="text-gray-500 text-xs"> #{team.playoffs.rank}</span>}
+                  </td>
+                  <td className="py-2"><Opponents games={team.playoffs.games} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
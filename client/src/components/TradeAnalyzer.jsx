@@ -0,0 +1,238 @@
+import { useState } from 'react';
+import { useTrade } from '../hooks/useFantasy';
+
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'D/ST', 'K'];
+
+const VERDICT_STYLES = {
+  FAIR: 'bg-green-900 border-green-700 text-green-100',
+  FAVORS_A: 'bg-yellow-900 border-yellow-700 text-yellow-100',
+  FAVORS_B: 'bg-yellow-900 border-yellow-700 text-yellow-100'
+};
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+const deltaColor = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-400');
+
+const PlayerChip = ({ player, onClick, onDragStart }) => (
+  <div
+    draggable
+    onDragStart={onDragStart}
+    onClick={onClick}
+    className="flex justify-between items-center px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded cursor-move text-sm"
+  >
+    <span className="text-white">
+      {player.name}
+      <span className="text-gray-400"> {player.position ?? '?'} • {player.team}{player.slot === 'IR' ? ' • IR' : ''}</span>
+    </span>
+    <span className="text-gray-300" title={`${player.weekly} pts/week`}>{player.restOfSeason}</span>
+  </div>
+);
+
+// One team in the trade: pick the team, then drag (or click) players into the outgoing tray.
+function TradeSide({ label, teams, otherTeamId, teamId, onTeamChange, outgoing, onToggle }) {
+  const [dragOver, setDragOver] = useState(false);
+  const team = teams.find((candidate) => candidate.teamId === teamId);
+  const sending = team ? team.players.filter((player) => outgoing.includes(player.espnId)) : [];
+  const keeping = team ? team.players.filter((player) => !outgoing.includes(player.espnId)) : [];
+
+  const dragStart = (player) => (e) => {
+    e.dataTransfer.setData('text/plain', JSON.stringify({ teamId, espnId: player.espnId }));
+  };
+
+  const drop = (sendTray) => (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    try {
+      const { teamId: from, espnId } = JSON.parse(e.dataTransfer.getData('text/plain'));
+      // Players can only be sent by the team that rosters them
+      if (from === teamId && outgoing.includes(espnId) !== sendTray) onToggle(espnId);
+    } catch {
+      // Not one of our players
+    }
+  };
+
+  return (
+    <div className="bg-slate-900 rounded p-4">
+      <label className="block text-sm font-medium text-gray-300 mb-1">{label}</label>
+      <select
+        value={teamId ?? ''}
+        onChange={(e) => onTeamChange(e.target.value ? Number(e.target.value) : null)}
+        className="w-full px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md mb-3"
+      >
+        <option value="">Select a team</option>
+        {teams.map((candidate) => (
+          <option key={candidate.teamId} value={candidate.teamId} disabled={candidate.teamId === otherTeamId}>
+            {candidate.name}
+          </option>
+        ))}
+      </select>
+
+      {team && (
+        <>
+          <div
+            onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={drop(true)}
+            className={`min-h-[4rem] rounded border-2 border-dashed p-2 mb-3 space-y-1 ${dragOver ? 'border-blue-400 bg-slate-800' : 'border-slate-600'}`}
+          >
+            <div className="text-xs text-gray-400 mb-1">
+              Sends{sending.length ? ` • ${Math.round(sending.reduce((sum, player) => sum + player.restOfSeason, 0) * 10) / 10} pts` : ' • drag players here'}
+            </div>
+            {sending.map((player) => (
+              <PlayerChip key={player.espnId} player={player} onClick={() => onToggle(player.espnId)} onDragStart={dragStart(player)} />
+            ))}
+          </div>
+
+          <div onDragOver={(e) => e.preventDefault()} onDrop={drop(false)} className="space-y-1 max-h-96 overflow-y-auto">
+            {keeping.map((player) => (
+              <PlayerChip key={player.espnId} player={player} onClick={() => onToggle(player.espnId)} onDragStart={dragStart(player)} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function SideResult({ side }) {
+  return (
+    <div className="bg-slate-900 rounded p-4 text-sm">
+      <h3 className="text-lg font-semibold text-white mb-2">{side.name}</h3>
+      <div className="text-gray-300">
+        Value: {side.value.received} in, {side.value.sent} out
+        <span className={`font-medium ${deltaColor(side.value.net)}`}> ({signed(side.value.net)})</span>
+      </div>
+      <div className="text-gray-300">
+        Starting lineup: {side.lineup.before} → {side.lineup.after} pts/week
+        <span className={`font-medium ${deltaColor(side.lineup.delta)}`}> ({signed(side.lineup.delta)}, {signed(side.lineup.restOfSeasonDelta)} rest of season)</span>
+      </div>
+
+      <table className="w-full mt-3 text-xs">
+        <thead>
+          <tr className="border-b border-slate-700 text-gray-400">
+            <th className="text-left py-1">Pos</th>
+            <th className="text-right py-1">Before</th>
+            <th className="text-right py-1">After</th>
+            <th className="text-right py-1">Δ</th>
+          </tr>
+        </thead>
+        <tbody>
+          {POSITIONS.map((position) => {
+            const row = side.lineup.positions[position];
+            return (
+              <tr key={position} className="border-b border-slate-800">
+                <td className="py-1 text-gray-300">{position}</td>
+                <td className="py-1 text-right text-gray-300">{row.before}</td>
+                <td className="py-1 text-right text-gray-300">{row.after}</td>
+                <td className={`py-1 text-right ${deltaColor(row.delta)}`}>{signed(row.delta)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {(side.lineup.gained.length > 0 || side.lineup.lost.length > 0) && (
+        <div className="mt-2 text-xs text-gray-400">
+          {side.lineup.gained.length > 0 && <div>Starts: {side.lineup.gained.join(', ')}</div>}
+          {side.lineup.lost.length > 0 && <div>Leaves lineup: {side.lineup.lost.join(', ')}</div>}
+        </div>
+      )}
+      {side.rosterChange > 0 && (
+        <div className="mt-2 text-xs text-yellow-400">⚠️ Must drop {side.rosterChange} player{side.rosterChange > 1 ? 's' : ''}</div>
+      )}
+    </div>
+  );
+}
+
+// Trade tab: build a trade between two league teams and compare rest-of-season value and
+// how each starting lineup changes.
+export default function TradeAnalyzer({ season, leagueId }) {
+  const { rosters, analysis, loading, analyzing, error, analyze, clear } = useTrade(season, leagueId);
+  const [teamA, setTeamA] = useState(null);
+  const [teamB, setTeamB] = useState(null);
+  const [outgoingA, setOutgoingA] = useState([]);
+  const [outgoingB, setOutgoingB] = useState([]);
+
+  const toggle = (setOutgoing) => (espnId) => {
+    clear();
+    setOutgoing((ids) => (ids.includes(espnId) ? ids.filter((id) => id !== espnId) : [...ids, espnId]));
+  };
+
+  const changeTeam = (setTeam, setOutgoing) => (teamId) => {
+    clear();
+    setTeam(teamId);
+    setOutgoing([]);
+  };
+
+  const canAnalyze = teamA && teamB && (outgoingA.length > 0 || outgoingB.length > 0);
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
+      <div className="mb-4">
+        <h2 className="text-2xl font-semibold text-white">🤝 Trade Analyzer</h2>
+        <p className="text-sm text-gray-400">
+          {rosters
+            ? `Rest-of-season value over weeks ${rosters.remainingWeeks[0] ?? '—'}-${rosters.remainingWeeks.slice(-1)[0] ?? '—'} (${rosters.scoring === 'league' ? 'league scoring' : 'ESPN projections'})`
+            : 'Compare what each side gives up and how their starting lineups change'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-100 px-4 py-3 rounded mb-4">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {!leagueId ? (
+        <div className="text-gray-400 text-center py-8">🔑 Enter a League ID above to load its teams.</div>
+      ) : loading ? (
+        <div className="text-blue-400">🔄 Loading rosters...</div>
+      ) : rosters && (
+        <>
+          <div className="grid md:grid-cols-2 gap-4">
+            <TradeSide
+              label="Team A"
+              teams={rosters.teams}
+              otherTeamId={teamB}
+              teamId={teamA}
+              onTeamChange={changeTeam(setTeamA, setOutgoingA)}
+              outgoing={outgoingA}
+              onToggle={toggle(setOutgoingA)}
+            />
+            <TradeSide
+              label="Team B"
+              teams={rosters.teams}
+              otherTeamId={teamA}
+              teamId={teamB}
+              onTeamChange={changeTeam(setTeamB, setOutgoingB)}
+              outgoing={outgoingB}
+              onToggle={toggle(setOutgoingB)}
+            />
+          </div>
+
+          <div className="mt-4">
+            <button
+              onClick={() => analyze({ teamId: teamA, playerIds: outgoingA }, { teamId: teamB, playerIds: outgoingB })}
+              disabled={!canAnalyze || analyzing}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white rounded-md font-medium"
+            >
+              {analyzing ? '🔄 Analyzing...' : '⚖️ Analyze trade'}
+            </button>
+          </div>
+
+          {analysis && (
+            <div className="mt-4 space-y-4">
+              <div className={`border px-4 py-3 rounded ${VERDICT_STYLES[analysis.fairness.verdict]}`}>
+                <span className="font-semibold">{analysis.fairness.verdict === 'FAIR' ? '✅ Fair' : '⚠️ Uneven'}</span>
+                {' '}— {analysis.fairness.summary}
+              </div>
+              <div className="grid md:grid-cols-2 gap-4">
+                <SideResult side={analysis.teamA} />
+                <SideResult side={analysis.teamB} />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
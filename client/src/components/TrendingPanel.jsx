@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { useTrending } from '../hooks/useFantasy';
+
+const formatDelta = (delta) => {
+  if (delta === null || delta === undefined) return '—';
+  const sign = delta > 0 ? '+' : '';
+  return `${sign}${delta.toFixed(1)}%`;
+};
+
+const deltaColor = (delta) => {
+  if (!delta) return 'text-gray-400';
+  return delta > 0 ? 'text-green-400' : 'text-red-400';
+};
+
+export default function TrendingPanel({ onWatch }) {
+  const [direction, setDirection] = useState('up');
+  const [position, setPosition] = useState('');
+  const [trendWindow, setTrendWindow] = useState('24h');
+  const { players, asOf, loading, error, refresh } = useTrending({ direction, position, window: trendWindow });
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">🔥 Trending</h2>
+          <p className="text-sm text-gray-400">
+            {asOf ? `Ownership as of ${new Date(asOf).toLocaleString()}` : 'No ownership snapshots yet'}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-3 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Direction</label>
+            <select
+              value={direction}
+              onChange={(e) => setDirection(e.target.value)}
+              className="px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+            >
+              <option value="up">📈 Adds</option>
+              <option value="down">📉 Drops</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Position</label>
+            <select
+              value={position}
+              onChange={(e) => setPosition(e.target.value)}
+              className="px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+            >
+              <option value="">All</option>
+              <option value="QB">QB</option>
+              <option value="RB">RB</option>
+              <option value="WR">WR</option>
+              <option value="TE">TE</option>
+              <option value="D/ST">D/ST</option>
+              <option value="K">K</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Window</label>
+            <select
+              value={trendWindow}
+              onChange={(e) => setTrendWindow(e.target.value)}
+              className="px-3 py-2 bg-slate-700 border border-slate-600 text-white rounded-md"
+            >
+              <option value="24h">24 hours</option>
+              <option value="7d">7 days</option>
+            </select>
+          </div>
+          <button
+            onClick={refresh}
+            disabled={loading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded-md font-medium"
+          >
+            {loading ? '🔄 Loading...' : '🔄 Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-100 px-4 py-3 rounded mb-4">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {!loading && players.length === 0 ? (
+        <div className="text-gray-400 text-center py-8">
+          📊 No ownership movement yet. Trends appear after two snapshots.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left py-2 text-gray-300">Player</th>
+                <th className="text-left py-2 text-gray-300">Position</th>
+                <th className="text-left py-2 text-gray-300">Team</th>
+                <th className="text-right py-2 text-gray-300">Owned</th>
+                <th className="text-right py-2 text-gray-300">24h</th>
+                <th className="text-right py-2 text-gray-300">7d</th>
+                {onWatch && <th className="text-left py-2 pl-4 text-gray-300">Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {players.map((player) => (
+                <tr key={player.id} className="border-b border-slate-700 hover:bg-slate-700">
+                  <td className="py-3 text-white font-medium">
+                    {player.name}
+                    {player.injury_status && player.injury_status !== 'ACTIVE' && (
+                      <span className="ml-2 text-xs text-red-400">{player.injury_status}</span>
+                    )}
+                  </td>
+                  <td className="py-3 text-gray-300">{player.position}</td>
+                  <td className="py-3 text-gray-300">{player.team}</td>
+                  <td className="py-3 text-right text-gray-300">{player.percent_owned?.toFixed(1)}%</td>
+                  <td className={`py-3 text-right font-medium ${deltaColor(player.delta_24h)}`}>
+                    {formatDelta(player.delta_24h)}
+                  </td>
+                  <td className={`py-3 text-right font-medium ${deltaColor(player.delta_7d)}`}>
+                    {formatDelta(player.delta_7d)}
+                  </td>
+                  {onWatch && (
+                    <td className="py-3 pl-4">
+                      <button
+                        onClick={() => onWatch(player)}
+                        className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white text-sm rounded"
+                      >
+                        ⭐ Watch
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
 import { useState } from 'react';
 import { useWaiverAnalysis } from '../hooks/useFantasy';
 
-export default function WaiverAnalysis() {
+// With a leagueId, FAAB bids use that league's bid rules and every team's remaining budget.
+// onAddClaim(candidate) adds an "Add claim" action to each row.
+export default function WaiverAnalysis({ season = 2025, leagueId = '', teamId = '', onAddClaim }) {
   const [position, setPosition] = useState('RB');
-  const { analysis, loading, error, runAnalysis } = useWaiverAnalysis(position);
+  const { analysis, loading, error, runAnalysis } = useWaiverAnalysis(position, season, leagueId, teamId);
 
   const handleAnalysis = () => {
     runAnalysis([]); // Could pass current roster player IDs here
@@ -18,6 +20,22 @@ export default function WaiverAnalysis() {
     }
   };
 
+  const getConfidenceColor = (confidence) => {
+    switch (confidence) {
+      case 'HIGH': return 'text-green-400';
+      case 'MEDIUM': return 'text-yellow-400';
+      default: return 'text-gray-400';
+    }
+  };
+
+  // Matchup ratings are relative to an average schedule (1.0); higher is easier
+  const getScheduleColor = (rating) => {
+    if (rating === null || rating === undefined) return 'text-gray-400';
+    if (rating >= 1.05) return 'text-green-400';
+    if (rating <= 0.95) return 'text-red-400';
+    return 'text-gray-300';
+  };
+
   const getPriorityIcon = (priority) => {
     switch (priority) {
       case 'HIGH': return '🔥';
@@ -68,7 +86,7 @@ export default function WaiverAnalysis() {
       {analysis && (
         <div className="space-y-6">
           {/* Summary */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div className={`grid grid-cols-1 ${analysis.summary.faab ? 'md:grid-cols-4' : 'md:grid-cols-3'} gap-4 mb-6`}>
             <div className="bg-slate-800 rounded-lg p-4 border border-slate-700">
               <div className="text-2xl font-bold text-red-400">{analysis.summary.highPriority}</div>
               <div className="text-gray-300">High Priority</div>
@@ -81,6 +99,15 @@ export default function WaiverAnalysis() {
               <div className="text-2xl font-bold text-blue-400">{analysis.summary.totalAnalyzed}</div>
               <div className="text-gray-300">Total Analyzed</div>
             </div>
+            {analysis.summary.faab && (
+              <div className="bg-slate-800 rounded-lg p-4 border border-slate-700">
+                <div className="text-2xl font-bold text-green-400">
+                  ${analysis.summary.faab.remaining}
+                  <span className="text-base text-gray-400"> / ${analysis.summary.faab.budget}</span>
+                </div>
+                <div className="text-gray-300">FAAB Remaining</div>
+              </div>
+            )}
           </div>
 
           {/* Player Analysis */}
@@ -99,7 +126,9 @@ export default function WaiverAnalysis() {
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Projection</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Priority</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">FAAB Bid</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Schedule</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Reasoning</th>
+                    {onAddClaim && <th className="px-4 py-3" />}
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-slate-700">
@@ -124,12 +153,45 @@ export default function WaiverAnalysis() {
                           {getPriorityIcon(player.priority)} {player.priority}
                         </span>
                       </td>
-                      <td className="px-4 py-4 whitespace-nowrap text-green-400 font-medium">
-                        {player.faabBid}
+                      <td className="px-4 py-4 whitespace-nowrap">
+                        {player.faab ? (
+                          <>
+                            <div className="text-green-400 font-medium">${player.faab.recommended}</div>
+                            <div className="text-gray-400 text-sm">${player.faab.min}–${player.faab.max}</div>
+                            <div className={`text-xs ${getConfidenceColor(player.faab.confidence)}`}>
+                              {player.faab.confidence} confidence
+                              {player.faab.competingTeams !== null && ` • ${player.faab.competingTeams} competing`}
+                            </div>
+                          </>
+                        ) : (
+                          <span className="text-gray-400">No FAAB</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm">
+                        {player.schedule?.upcomingRank ? (
+                          <>
+                            <div className={getScheduleColor(player.schedule.upcoming)}>#{player.schedule.upcomingRank} upcoming</div>
+                            {player.schedule.playoffsRank && (
+                              <div className={getScheduleColor(player.schedule.playoffs)}>#{player.schedule.playoffsRank} playoffs</div>
+                            )}
+                          </>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
                       </td>
                       <td className="px-4 py-4 text-gray-300 text-sm max-w-xs">
                         {player.reasoning}
                       </td>
+                      {onAddClaim && (
+                        <td className="px-4 py-4 whitespace-nowrap">
+                          <button
+                            onClick={() => onAddClaim(player)}
+                            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
+                          >
+                            ➕ Add claim
+                          </button>
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -1,29 +1,33 @@
 import { useState, useEffect } from 'react';
 import { espnAPI, dbAPI, fantasyAPI } from '../lib/api';
 
-// Hook for player projections
-export function useProjections(playerIds, season = 2025) {
+// Hook for player projections. With a leagueId the points use that league's scoring,
+// otherwise ESPN's default scoring for pprId.
+export function useProjections(playerIds, season = 2025, leagueId = '', pprId = 0) {
   const [projections, setProjections] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (!playerIds || playerIds.length === 0) return;
+    if (!playerIds || playerIds.length === 0) {
+      setProjections([]);
+      return;
+    }
     
     setLoading(true);
     setError(null);
     
-    espnAPI.getProjections(season, playerIds)
-      .then(data => setProjections(data.projections || []))
+    fantasyAPI.getPlayerProjections(season, playerIds, { leagueId, pprId })
+      .then(setProjections)
       .catch(err => setError(err.message))
       .finally(() => setLoading(false));
-  }, [playerIds.join(','), season]);
+  }, [playerIds.join(','), season, leagueId, pprId]);
 
   return { projections, loading, error };
 }
 
 // Hook for waiver wire analysis
-export function useWaiverAnalysis(position = 'RB', season = 2025) {
+export function useWaiverAnalysis(position = 'RB', season = 2025, leagueId = '', teamId = '') {
   const [analysis, setAnalysis] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -39,7 +43,9 @@ export function useWaiverAnalysis(position = 'RB', season = 2025) {
         body: JSON.stringify({ 
           season, 
           position, 
-          currentPlayerIds 
+          currentPlayerIds,
+          leagueId: leagueId || undefined,
+          teamId: (leagueId && teamId) || undefined
         })
       });
       
@@ -56,39 +62,44 @@ export function useWaiverAnalysis(position = 'RB', season = 2025) {
   return { analysis, loading, error, runAnalysis };
 }
 
-// Hook for injury tracking
-export function useInjuryTracker() {
-  const [injuryUpdates, setInjuryUpdates] = useState([]);
+// Hook for the injury report: ESPN injury status of every rostered player
+export function useInjuryTracker(context = {}) {
+  const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  const checkInjuries = async () => {
+  const checkInjuries = async (refresh = false) => {
     setLoading(true);
     setError(null);
     
     try {
-      const updates = await fantasyAPI.getInjuryUpdates();
-      setInjuryUpdates(updates);
+      const data = await dbAPI.getInjuryReport(context, { refresh });
+      setReport(data);
+      return data;
     } catch (err) {
       setError(err.message);
+      return null;
     } finally {
       setLoading(false);
     }
   };
 
-  return { injuryUpdates, loading, error, checkInjuries };
+  return { report, loading, error, checkInjuries, clear: () => setReport(null) };
 }
 
-// Hook for roster management
-export function useRoster() {
+// Hook for roster management, scoped to a league context ({ leagueId, season, teamId })
+export function useRoster(context = {}) {
+  const { leagueId, season, teamId } = context;
   const [roster, setRoster] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
 
   const fetchRoster = async () => {
     setLoading(true);
     try {
-      const data = await dbAPI.getRoster();
+      const data = await dbAPI.getRoster(context);
       setRoster(data.roster || []);
     } catch (err) {
       setError(err.message);
@@ -99,7 +110,7 @@ export function useRoster() {
 
   const addPlayer = async (playerId, positionSlot) => {
     try {
-      await dbAPI.addToRoster(playerId, positionSlot);
+      await dbAPI.addToRoster(playerId, positionSlot, context);
       await fetchRoster(); // Refresh
     } catch (err) {
       setError(err.message);
@@ -108,22 +119,92 @@ export function useRoster() {
 
   const removePlayer = async (id) => {
     try {
-      await dbAPI.removeFromRoster(id);
+      await dbAPI.removeFromRoster(id, context);
       await fetchRoster(); // Refresh
     } catch (err) {
       setError(err.message);
     }
   };
 
+  // Pulls the team's roster from ESPN; resolves with the sync result (team + diff)
+  const syncFromEspn = async () => {
+    setSyncing(true);
+    setError(null);
+    try {
+      const result = await dbAPI.syncRoster(context);
+      setLastSync(result);
+      // Without a teamId the server picked the SWID owner's team; the synced rows
+      // show up once the caller switches to result.team.teamId.
+      if (Number(teamId) === result.team.teamId) {
+        await fetchRoster();
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSyncing(false);
+    }
+  };
+
   useEffect(() => {
     fetchRoster();
-  }, []);
+  }, [leagueId, season, teamId]);
+
+  return { roster, loading, error, addPlayer, removePlayer, refresh: fetchRoster, syncFromEspn, syncing, lastSync };
+}
+
+// Hook for the lineup optimizer; runs on demand rather than on every roster change
+export function useLineupOptimizer(context = {}) {
+  const [lineup, setLineup] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const optimize = async (week) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await dbAPI.getOptimalLineup(context, week);
+      setLineup(data);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return { lineup, loading, error, optimize, clear: () => setLineup(null) };
+}
+
+// Hook for the bye-week heatmap; like the optimizer it runs when asked
+export function useByeConflicts(context = {}) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const analyze = async (fromWeek) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await dbAPI.getByeConflicts(context, fromWeek);
+      setReport(data);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
 
-  return { roster, loading, error, addPlayer, removePlayer, refresh: fetchRoster };
+  return { report, loading, error, analyze, clear: () => setReport(null) };
 }
 
-// Hook for watchlist
-export function useWatchlist() {
+// Hook for watchlist, scoped the same way as useRoster
+export function useWatchlist(context = {}) {
+  const { leagueId, season, teamId } = context;
   const [watchlist, setWatchlist] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -131,7 +212,7 @@ export function useWatchlist() {
   const fetchWatchlist = async () => {
     setLoading(true);
     try {
-      const data = await dbAPI.getWatchlist();
+      const data = await dbAPI.getWatchlist(context);
       setWatchlist(data.watchlist || []);
     } catch (err) {
       setError(err.message);
@@ -142,7 +223,7 @@ export function useWatchlist() {
 
   const addToWatchlist = async (playerId, interestLevel = 3, notes = '') => {
     try {
-      await dbAPI.addToWatchlist(playerId, interestLevel, notes);
+      await dbAPI.addToWatchlist(playerId, interestLevel, notes, context);
       await fetchWatchlist(); // Refresh
     } catch (err) {
       setError(err.message);
@@ -151,7 +232,7 @@ export function useWatchlist() {
 
   const removeFromWatchlist = async (id) => {
     try {
-      await dbAPI.removeFromWatchlist(id);
+      await dbAPI.removeFromWatchlist(id, context);
       await fetchWatchlist(); // Refresh
     } catch (err) {
       setError(err.message);
@@ -160,18 +241,248 @@ export function useWatchlist() {
 
   useEffect(() => {
     fetchWatchlist();
-  }, []);
+  }, [leagueId, season, teamId]);
 
   return { watchlist, loading, error, addToWatchlist, removeFromWatchlist, refresh: fetchWatchlist };
 }
 
-// Hook for player search
+// Hook for waiver claims, scoped the same way as useRoster. Resolving a won claim
+// changes the roster, so callers refresh it from onRosterChange.
+export function useClaims(context = {}, onRosterChange) {
+  const { leagueId, season, teamId } = context;
+  const [claims, setClaims] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchClaims = async () => {
+    setLoading(true);
+    try {
+      const data = await dbAPI.getClaims(context);
+      setClaims(data.claims || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Runs a claim call, then reloads the list; resolves with the call's result
+  const withRefresh = async (call) => {
+    setError(null);
+    try {
+      const result = await call();
+      await fetchClaims();
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const addClaim = (claim) => withRefresh(() => dbAPI.addClaim(claim, context));
+
+  const updateClaim = (id, changes) => withRefresh(() => dbAPI.updateClaim(id, changes, context));
+
+  const cancelClaim = (id) => updateClaim(id, { status: 'cancelled' });
+
+  const removeClaim = (id) => withRefresh(() => dbAPI.removeClaim(id, context));
+
+  // Moves a pending claim one place up (-1) or down (+1)
+  const moveClaim = (id, offset) => {
+    const ids = claims.filter(c => c.status === 'pending').map(c => c.id);
+    const from = ids.indexOf(id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= ids.length) return null;
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    return withRefresh(() => dbAPI.reorderClaims(ids, context));
+  };
+
+  const resolveClaim = async (id, outcome, extra = {}) => {
+    const result = await withRefresh(() => dbAPI.resolveClaim(id, outcome, extra, context));
+    if (result && outcome === 'won') {
+      await onRosterChange?.();
+    }
+    return result;
+  };
+
+  useEffect(() => {
+    fetchClaims();
+  }, [leagueId, season, teamId]);
+
+  return {
+    claims,
+    loading,
+    error,
+    addClaim,
+    updateClaim,
+    cancelClaim,
+    removeClaim,
+    moveClaim,
+    resolveClaim,
+    refresh: fetchClaims
+  };
+}
+
+// Hook for ownership risers/fallers: { direction, position, window, limit }
+export function useTrending(options = {}) {
+  const [trending, setTrending] = useState({ players: [], asOf: null });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTrending = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await dbAPI.getTrending(options);
+      setTrending({ players: data.players || [], asOf: data.asOf });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrending();
+  }, [JSON.stringify(options)]);
+
+  return { ...trending, loading, error, refresh: fetchTrending };
+}
+
+// Hook for the strength-of-schedule table; refetches when the options change
+export function useStrengthOfSchedule(options = {}) {
+  const [sos, setSos] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSos = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setSos(await espnAPI.getStrengthOfSchedule(options));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSos();
+  }, [JSON.stringify(options)]);
+
+  return { sos, loading, error, refresh: fetchSos };
+}
+
+// Hook for the Trade tab: loads the league's rosters, then analyzes proposed trades on demand
+export function useTrade(season, leagueId) {
+  const [rosters, setRosters] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setRosters(null);
+    setAnalysis(null);
+    if (!leagueId || !season) return;
+
+    setLoading(true);
+    setError(null);
+    espnAPI.getTradeRosters(season, leagueId)
+      .then(setRosters)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [season, leagueId]);
+
+  const analyze = async (teamA, teamB) => {
+    setAnalyzing(true);
+    setError(null);
+    try {
+      const data = await espnAPI.analyzeTrade({ season, leagueId, teamA, teamB });
+      setAnalysis(data);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  return { rosters, analysis, loading, analyzing, error, analyze, clear: () => setAnalysis(null) };
+}
+
+// Hook for the compare tray: up to four players picked from any player row. While the
+// tray is open the comparison reloads whenever its players change.
+export const MAX_COMPARE_PLAYERS = 4;
+
+export function useCompareTray(season, leagueId = '') {
+  const [players, setPlayers] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [comparison, setComparison] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const ids = players.map(p => p.espnId);
+
+  useEffect(() => {
+    if (!open || ids.length === 0) {
+      setComparison([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    fantasyAPI.comparePlayerProjections(ids, season, leagueId)
+      .then(setComparison)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [open, ids.join(','), season, leagueId]);
+
+  // player: { espnId, name, position?, team? }
+  const add = (player) => {
+    if (!player?.espnId) return;
+    setPlayers(current =>
+      current.length >= MAX_COMPARE_PLAYERS || current.some(p => p.espnId === player.espnId)
+        ? current
+        : [...current, player]
+    );
+  };
+
+  const remove = (espnId) => setPlayers(current => current.filter(p => p.espnId !== espnId));
+
+  const clear = () => {
+    setPlayers([]);
+    setOpen(false);
+  };
+
+  return {
+    players,
+    comparison,
+    loading,
+    error,
+    open,
+    setOpen,
+    add,
+    remove,
+    clear,
+    has: (espnId) => ids.includes(espnId),
+    full: players.length >= MAX_COMPARE_PLAYERS
+  };
+}
+
+// Hook for player search; pass null filters to skip the request (e.g. an empty search box)
 export function usePlayers(filters = {}) {
   const [players, setPlayers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    if (!filters) {
+      setPlayers([]);
+      return;
+    }
+
     setLoading(true);
     setError(null);
     
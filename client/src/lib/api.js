@@ -13,6 +13,16 @@ export const API = async (path, init = {}) => {
   return response.json();
 };
 
+// League context sent with roster/watchlist calls. Without a leagueId the server
+// uses the unscoped (pre-league) data, so season and teamId are dropped too.
+const contextBody = ({ leagueId, season, teamId } = {}) =>
+  leagueId ? { leagueId, season, ...(teamId ? { teamId } : {}) } : {};
+
+const contextQuery = (context) => {
+  const params = new URLSearchParams(contextBody(context)).toString();
+  return params ? `?${params}` : '';
+};
+
 // ESPN API calls (your existing functionality)
 export const espnAPI = {
   // Test ESPN connection
@@ -29,7 +39,8 @@ export const espnAPI = {
       body: JSON.stringify({ season, filter })
     }),
   
-  // Get player projections
+  // Get player projections: season and weekly stat lines, actual (source 0) and projected (source 1).
+  // pprId picks ESPN's default scoring (see SCORING_TYPES)
   getProjections: (season, playerIds, pprId = 0) =>
     API('/api/espn/playerInfo', {
       method: 'POST',
@@ -39,15 +50,48 @@ export const espnAPI = {
         filter: {
           players: {
             filterIds: { value: playerIds },
-            filterStatsForTopScoringPeriodIds: {
-              value: 2,
-              additionalValue: [`00${season}`, `10${season}`]
-            }
+            filterStatsForExternalIds: { value: [season] },
+            filterStatsForSourceIds: { value: [0, 1] },
+            filterStatsForSplitTypeIds: { value: [0, 1] },
+            limit: playerIds.length
           }
         }
       })
     }),
   
+  // Rescore players under a league's own scoring rules (season + weekly, actual + projected)
+  rescorePlayers: (season, leagueId, playerIds) =>
+    API('/api/espn/rescore', {
+      method: 'POST',
+      body: JSON.stringify({ season, leagueId, playerIds })
+    }),
+  
+  // Matchup ratings per NFL team/position for the next `weeks` weeks and the fantasy playoffs
+  getStrengthOfSchedule: ({ season, position = '', weeks = 4, leagueId } = {}) => {
+    const params = new URLSearchParams({ season, weeks: String(weeks) });
+    if (position) params.set('position', position);
+    if (leagueId) params.set('leagueId', leagueId);
+    return API(`/api/espn/strength-of-schedule?${params}`);
+  },
+  
+  // Up to four players side by side (projection, recent weeks, ownership, schedule, injury, bye)
+  comparePlayers: (espnIds, season, leagueId = '') => {
+    const params = new URLSearchParams({ ids: espnIds.join(','), season });
+    if (leagueId) params.set('leagueId', leagueId);
+    return API(`/api/espn/compare?${params}`);
+  },
+  
+  // Every team's roster with rest-of-season values, for the Trade tab
+  getTradeRosters: (season, leagueId) =>
+    API(`/api/espn/trade-rosters?${new URLSearchParams({ season, leagueId })}`),
+  
+  // Value and lineup impact of a trade: { season, leagueId, teamA: { teamId, playerIds }, teamB }
+  analyzeTrade: (trade) =>
+    API('/api/espn/trade-analysis', {
+      method: 'POST',
+      body: JSON.stringify(trade)
+    }),
+  
   // Get bye weeks
   getByeWeeks: (season) => API(`/api/espn/byeWeeks?season=${season}`),
   
@@ -64,41 +108,122 @@ export const dbAPI = {
     return API(`/api/players${params ? `?${params}` : ''}`);
   },
   
+  // Weekly points/projection/ownership series for one player (players.id)
+  getPlayerAnalytics: (playerId, season) =>
+    API(`/api/players/${playerId}/analytics${season ? `?season=${season}` : ''}`),
+  
+  // Biggest ownership risers/fallers from the snapshot history
+  getTrending: ({ direction = 'up', position = '', window = '24h', limit = 25 } = {}) => {
+    const params = new URLSearchParams({ direction, window, limit: String(limit) });
+    if (position) params.set('position', position);
+    return API(`/api/players/trending?${params}`);
+  },
+  
   upsertPlayers: (players) =>
     API('/api/players/upsert', {
       method: 'POST',
       body: JSON.stringify({ players })
     }),
   
-  // Roster management
-  getRoster: () => API('/api/roster'),
+  // Leagues and teams
+  getLeagues: () => API('/api/leagues'),
+  
+  saveLeague: (league) =>
+    API('/api/leagues', {
+      method: 'POST',
+      body: JSON.stringify(league)
+    }),
+  
+  // Roster management (context: { leagueId, season, teamId }, all optional)
+  getRoster: (context = {}) => API(`/api/roster${contextQuery(context)}`),
   
-  addToRoster: (playerId, positionSlot) =>
+  addToRoster: (playerId, positionSlot, context = {}) =>
     API('/api/roster', {
       method: 'POST',
-      body: JSON.stringify({ player_id: playerId, position_slot: positionSlot })
+      body: JSON.stringify({ player_id: playerId, position_slot: positionSlot, ...contextBody(context) })
     }),
   
-  removeFromRoster: (id) =>
-    API(`/api/roster/${id}`, { method: 'DELETE' }),
+  removeFromRoster: (id, context = {}) =>
+    API(`/api/roster/${id}${contextQuery(context)}`, { method: 'DELETE' }),
+  
+  // Replace the stored roster with the ESPN team's (teamId optional when SWID is set)
+  syncRoster: (context) =>
+    API('/api/roster/sync', {
+      method: 'POST',
+      body: JSON.stringify(contextBody(context))
+    }),
+  
+  // Best legal lineup for a week (week defaults to the league's current one)
+  getOptimalLineup: (context = {}, week) => {
+    const params = new URLSearchParams({ ...contextBody(context), ...(week ? { week } : {}) }).toString();
+    return API(`/api/roster/lineup${params ? `?${params}` : ''}`);
+  },
+  
+  // Weeks where byes leave starting slots empty, with free-agent fillers
+  getByeConflicts: (context = {}, fromWeek) => {
+    const params = new URLSearchParams({ ...contextBody(context), ...(fromWeek ? { fromWeek } : {}) }).toString();
+    return API(`/api/roster/bye-conflicts${params ? `?${params}` : ''}`);
+  },
+
+  // Rostered players' ESPN injury status, when it changed and their latest news item
+  getInjuryReport: (context = {}, { refresh = false } = {}) => {
+    const params = new URLSearchParams({ ...contextBody(context), ...(refresh ? { refresh: '1' } : {}) }).toString();
+    return API(`/api/roster/injuries${params ? `?${params}` : ''}`);
+  },
   
   // Watchlist
-  getWatchlist: () => API('/api/watchlist'),
+  getWatchlist: (context = {}) => API(`/api/watchlist${contextQuery(context)}`),
   
-  addToWatchlist: (playerId, interestLevel = 3, notes = '') =>
+  addToWatchlist: (playerId, interestLevel = 3, notes = '', context = {}) =>
     API('/api/watchlist', {
       method: 'POST',
       body: JSON.stringify({ 
         player_id: playerId, 
         interest_level: interestLevel, 
-        notes 
+        notes,
+        ...contextBody(context)
       })
     }),
   
-  removeFromWatchlist: (id) =>
-    API(`/api/watchlist/${id}`, { method: 'DELETE' }),
+  removeFromWatchlist: (id, context = {}) =>
+    API(`/api/watchlist/${id}${contextQuery(context)}`, { method: 'DELETE' }),
+  
+  // Waiver claims (claim: { player_id } or { espn_id, name, position, team }, plus
+  // drop_player_id, faab_bid, notes)
+  getClaims: (context = {}, status = '') => {
+    const params = new URLSearchParams({ ...contextBody(context), ...(status ? { status } : {}) }).toString();
+    return API(`/api/claims${params ? `?${params}` : ''}`);
+  },
+  
+  addClaim: (claim, context = {}) =>
+    API('/api/claims', {
+      method: 'POST',
+      body: JSON.stringify({ ...claim, ...contextBody(context) })
+    }),
+  
+  updateClaim: (id, changes, context = {}) =>
+    API(`/api/claims/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ ...changes, ...contextBody(context) })
+    }),
+  
+  reorderClaims: (ids, context = {}) =>
+    API('/api/claims/order', {
+      method: 'PUT',
+      body: JSON.stringify({ ids, ...contextBody(context) })
+    }),
+  
+  // outcome: 'won' | 'lost'; winning updates the roster
+  resolveClaim: (id, outcome, extra = {}, context = {}) =>
+    API(`/api/claims/${id}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ outcome, ...extra, ...contextBody(context) })
+    }),
   
-  // News
+  removeClaim: (id, context = {}) =>
+    API(`/api/claims/${id}${contextQuery(context)}`, { method: 'DELETE' }),
+  
+  // News stored by the ingester; playerId is one players.id or a comma-separated list
   getPlayerNews: (playerId) => API(`/api/news${playerId ? `?player_id=${playerId}` : ''}`),
   
   addNews: (newsItems) =>
@@ -108,25 +233,70 @@ export const dbAPI = {
     })
 };
 
+// ESPN league-default scoring types for the pprId option
+export const SCORING_TYPES = [
+  { pprId: 0, label: 'Standard' },
+  { pprId: 2, label: 'Half PPR' },
+  { pprId: 3, label: 'PPR' }
+];
+
+const findStat = (stats, season, sourceId, splitTypeId, week) =>
+  stats.find(s =>
+    s.statSourceId === sourceId &&
+    s.statSplitTypeId === splitTypeId &&
+    (s.seasonId ?? season) === season &&
+    (week === undefined || s.scoringPeriodId === week)
+  );
+
+// Season and weekly points from one kona_player_info entry, in the same shape
+// /api/espn/rescore returns for league scoring
+const toPlayerProjection = (entry, season) => {
+  const player = entry.player || entry;
+  const stats = player.stats || [];
+  const weeks = [...new Set(
+    stats
+      .filter(s => s.statSplitTypeId === 1 && (s.seasonId ?? season) === season && s.scoringPeriodId)
+      .map(s => s.scoringPeriodId)
+  )].sort((a, b) => a - b);
+
+  return {
+    id: player.id ?? entry.id,
+    name: player.fullName,
+    season: {
+      actual: findStat(stats, season, 0, 0)?.appliedTotal ?? null,
+      projected: findStat(stats, season, 1, 0)?.appliedTotal ?? null
+    },
+    weeks: weeks.map(week => ({
+      week,
+      actual: findStat(stats, season, 0, 1, week)?.appliedTotal ?? null,
+      projected: findStat(stats, season, 1, 1, week)?.appliedTotal ?? null
+    }))
+  };
+};
+
 // Combined API for advanced features
 export const fantasyAPI = {
-  // Player Projections - Compare multiple players
-  comparePlayerProjections: async (playerIds, season = 2025) => {
-    const projections = await espnAPI.getProjections(season, playerIds);
-    return projections?.players?.map(player => ({
-      id: player.id,
-      name: player.fullName,
-      position: player.defaultPositionId,
-      team: player.proTeamAbbreviation,
-      projectedPoints: player.stats?.find(s => s.scoringPeriodId === 0)?.appliedTotal || 0,
-      weeklyProjections: player.stats?.filter(s => s.scoringPeriodId > 0) || []
-    })) || [];
+  // Season and week-by-week projected vs actual points. With a leagueId the league's own
+  // scoring rules are used; otherwise ESPN's defaults for pprId
+  getPlayerProjections: async (season, playerIds, { leagueId = '', pprId = 0 } = {}) => {
+    if (leagueId) {
+      const data = await espnAPI.rescorePlayers(season, leagueId, playerIds);
+      return data.players || [];
+    }
+    const data = await espnAPI.getProjections(season, playerIds, pprId);
+    return (data.players || []).map(entry => toPlayerProjection(entry, season));
+  },
+  
+  // Player Projections - Compare multiple players (ESPN ids), normalized by the server
+  comparePlayerProjections: async (playerIds, season = 2025, leagueId = '') => {
+    const data = await espnAPI.comparePlayers(playerIds, season, leagueId);
+    return data.players || [];
   },
   
   // Waiver Priority - Compare roster vs free agents
-  getWaiverRecommendations: async (season = 2025, position = 'RB', limit = 10) => {
+  getWaiverRecommendations: async (season = 2025, position = 'RB', limit = 10, context = {}) => {
     const [roster, freeAgents] = await Promise.all([
-      dbAPI.getRoster(),
+      dbAPI.getRoster(context),
       espnAPI.getFreeAgents(season, {
         players: {
           filterStatus: { value: ["FREEAGENT", "WAIVERS"] },
@@ -149,24 +319,5 @@ export const fantasyAPI = {
         reasoning: `${fa.ownership?.percentOwned || 0}% owned, available upgrade`
       }))
     };
-  },
-  
-  // Injury Tracker - Get news for all roster players
-  getInjuryUpdates: async () => {
-    const roster = await dbAPI.getRoster();
-    const newsPromises = roster.roster?.map(player => 
-      espnAPI.getNews(player.espn_id, 3).catch(() => ({ articles: [] }))
-    ) || [];
-    
-    const allNews = await Promise.all(newsPromises);
-    return roster.roster?.map((player, idx) => ({
-      ...player,
-      recentNews: allNews[idx]?.articles || [],
-      injuryStatus: allNews[idx]?.articles?.some(article => 
-        article.headline?.toLowerCase().includes('injury') ||
-        article.headline?.toLowerCase().includes('hurt') ||
-        article.headline?.toLowerCase().includes('questionable')
-      ) ? 'QUESTIONABLE' : 'HEALTHY'
-    })) || [];
   }
 };
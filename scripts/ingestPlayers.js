@@ -1,213 +1,232 @@
 import fetch from 'node-fetch';
+import { writeFile } from 'node:fs/promises';
 import 'dotenv/config';
 
-const API_BASE_URL = 'https://wavierwire.onrender.com';
-
-// NFL team mapping for bye weeks
-const NFL_TEAMS = {
-  1: { abbrev: 'ATL', bye: 12 },
-  2: { abbrev: 'BUF', bye: 12 },
-  3: { abbrev: 'CHI', bye: 7 },
-  4: { abbrev: 'CIN', bye: 12 },
-  5: { abbrev: 'CLE', bye: 10 },
-  6: { abbrev: 'DAL', bye: 7 },
-  7: { abbrev: 'DEN', bye: 14 },
-  8: { abbrev: 'DET', bye: 5 },
-  9: { abbrev: 'GB', bye: 10 },
-  10: { abbrev: 'TEN', bye: 5 },
-  11: { abbrev: 'IND', bye: 14 },
-  12: { abbrev: 'KC', bye: 6 },
-  13: { abbrev: 'LV', bye: 10 },
-  14: { abbrev: 'LAR', bye: 6 },
-  15: { abbrev: 'MIA', bye: 6 },
-  16: { abbrev: 'MIN', bye: 6 },
-  17: { abbrev: 'NE', bye: 14 },
-  18: { abbrev: 'NO', bye: 12 },
-  19: { abbrev: 'NYG', bye: 11 },
-  20: { abbrev: 'NYJ', bye: 12 },
-  21: { abbrev: 'PHI', bye: 5 },
-  22: { abbrev: 'ARI', bye: 11 },
-  23: { abbrev: 'PIT', bye: 9 },
-  24: { abbrev: 'LAC', bye: 5 },
-  25: { abbrev: 'SF', bye: 9 },
-  26: { abbrev: 'SEA', bye: 10 },
-  27: { abbrev: 'TB', bye: 11 },
-  28: { abbrev: 'WAS', bye: 14 },
-  29: { abbrev: 'CAR', bye: 11 },
-  30: { abbrev: 'JAX', bye: 9 },
-  33: { abbrev: 'BAL', bye: 14 },
-  34: { abbrev: 'HOU', bye: 9 }
-};
-
-// Position slot mapping
+// Pulls ESPN's player pool through the server's ESPN proxy, one position at a time, and
+// upserts it into `players` via POST /api/players/ingest, which maps ESPN's fields to a
+// row exactly as the server's player-ingest job does.
+//
+//   node ingestPlayers.js --base-url http://localhost:8081 --season 2025 --positions QB,RB --dry-run --out players.json
+//
+// Exits 1 when a position cannot be fetched or a batch fails to upload.
+
+const USAGE = `Usage: node ingestPlayers.js [options]
+
+  --base-url <url>     Server to talk to (default: $API_BASE_URL or http://localhost:8081)
+  --season <year>      NFL season (default: the current one)
+  --positions <list>   Comma-separated subset of QB,RB,WR,TE,D/ST,K (default: all)
+  --dry-run            Fetch and process players without uploading them
+  --out <file.json>    Write the fetched players to a file, as an /api/players/ingest body
+  --help               Show this message`;
+
+// ESPN lineup slot ids used to page the player pool by position. A player's stored
+// position comes from their defaultPositionId, not from the slot they were found under.
 const POSITION_SLOTS = {
-  0: 'QB',
-  2: 'RB', 
-  4: 'WR',
-  6: 'TE',
-  16: 'D/ST',
-  17: 'K'
+  QB: 0,
+  RB: 2,
+  WR: 4,
+  TE: 6,
+  'D/ST': 16,
+  K: 17
 };
 
-const INJURY_STATUS = {
-  0: 'ACTIVE',
-  1: 'BEREAVEMENT',
-  2: 'DAY_TO_DAY',
-  3: 'DOUBTFUL',
-  4: 'FIFTEEN_DAY_DL',
-  5: 'INJURY_RESERVE',
-  6: 'OUT',
-  7: 'PHYSICALLY_UNABLE_TO_PERFORM',
-  8: 'PROBABLE',
-  9: 'QUESTIONABLE',
-  10: 'SEVEN_DAY_DL',
-  11: 'SIXTY_DAY_DL',
-  12: 'SUSPENSION',
-  13: 'TEN_DAY_DL',
-  14: 'WAIVERS'
-};
+// Players requested from ESPN per page; a shorter page is the last one.
+const PAGE_SIZE = 250;
+// Players sent to the server per upsert request.
+const BATCH_SIZE = 50;
+// The ESPN player fields the server reads; the rest (stats above all) would only bloat
+// the upload.
+const PLAYER_FIELDS = [
+  'id',
+  'fullName',
+  'firstName',
+  'lastName',
+  'defaultPositionId',
+  'proTeamId',
+  'injured',
+  'injuryStatus',
+  'ownership'
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// January and February still belong to the previous NFL season.
+function currentSeason(now = new Date()) {
+  return now.getMonth() < 2 ? now.getFullYear() - 1 : now.getFullYear();
+}
 
-async function fetchPlayersFromESPN(position) {
-  console.log(`Fetching ${POSITION_SLOTS[position]} players...`);
-  
-  const filter = {
-    players: {
-      filterSlotIds: {
-        value: [position]
-      },
-      limit: 1000,
-      sortPercOwned: {
-        sortAsc: false,
-        sortPriority: 1
-      }
-    }
+function usageError(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = {
+    baseUrl: process.env.API_BASE_URL || 'http://localhost:8081',
+    season: currentSeason(),
+    positions: Object.keys(POSITION_SLOTS),
+    dryRun: false,
+    out: null
   };
 
-  try {
-    const response = await fetch(`${API_BASE_URL}/api/espn/players`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        season: 2024,
-        filter: filter
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`ESPN API error: ${response.status}`);
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => {
+      const next = inline ?? argv[++i];
+      if (next === undefined || next.startsWith('--')) usageError(`${flag} needs a value`);
+      return next;
+    };
+
+    switch (flag) {
+      case '--base-url':
+        options.baseUrl = value().replace(/\/+$/, '');
+        break;
+      case '--season':
+        options.season = Number(value());
+        if (!Number.isInteger(options.season) || options.season < 2000 || options.season > 2100) {
+          usageError('--season must be a year');
+        }
+        break;
+      case '--positions': {
+        const names = Object.keys(POSITION_SLOTS);
+        options.positions = value().split(',').map(name => name.trim().toUpperCase()).filter(Boolean);
+        const unknown = options.positions.filter(name => !names.includes(name));
+        if (!options.positions.length || unknown.length) {
+          usageError(`--positions takes a comma-separated list of ${names.join(', ')}`);
+        }
+        break;
+      }
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--out':
+        options.out = value();
+        break;
+      case '--help':
+        console.log(USAGE);
+        process.exit(0);
+      default:
+        usageError(`Unknown option ${argv[i]}`);
     }
-
-    const data = await response.json();
-    return data.players || [];
-  } catch (error) {
-    console.error(`Error fetching ${POSITION_SLOTS[position]} players:`, error.message);
-    return [];
   }
+  return options;
 }
 
-function processPlayer(player) {
-  const name = `${player.player?.firstName || ''} ${player.player?.lastName || ''}`.trim();
-  const position = POSITION_SLOTS[player.player?.defaultPositionId] || 'UNKNOWN';
-  const teamInfo = NFL_TEAMS[player.player?.proTeamId];
-  const team = teamInfo?.abbrev || 'FA';
-  const bye_week = teamInfo?.bye || null;
-  const status = INJURY_STATUS[player.player?.injuryStatus] || 'ACTIVE';
-
-  return {
-    espn_id: player.player?.id,
-    name: name,
-    position: position,
-    team: team,
-    bye_week: bye_week,
-    status: status
-  };
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${response.status} from ${url}: ${text.slice(0, 200)}`);
+  }
+  return response.json();
 }
 
-async function uploadPlayersBatch(players) {
-  try {
-    const response = await fetch(`${API_BASE_URL}/api/players/bulk`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ players })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Upload error: ${response.status}`);
+// Every player ESPN lists for one position, most-owned first, a page at a time
+async function fetchPlayersFromESPN({ baseUrl, season }, position) {
+  const players = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const filter = {
+      players: {
+        filterSlotIds: { value: [POSITION_SLOTS[position]] },
+        sortPercOwned: { sortAsc: false, sortPriority: 1 },
+        limit: PAGE_SIZE,
+        offset
+      }
+    };
+    const data = await postJson(`${baseUrl}/api/espn/playerInfo`, { season, filter });
+    const page = data.players || [];
+    players.push(...page);
+    if (page.length < PAGE_SIZE) {
+      return players;
     }
 
-    const result = await response.json();
-    return result;
-  } catch (error) {
-    console.error('Error uploading players:', error.message);
-    throw error;
+    // Small delay to be nice to ESPN's API
+    await sleep(500);
   }
 }
 
+function pickPlayerFields(player) {
+  return Object.fromEntries(PLAYER_FIELDS.filter(field => field in player).map(field => [field, player[field]]));
+}
+
 async function ingestAllPlayers() {
-  console.log('🏈 Starting NFL player ingestion...');
-  console.log(`API Base URL: ${API_BASE_URL}`);
-  
-  const allPlayers = [];
-  const positions = [0, 2, 4, 6, 16, 17]; // QB, RB, WR, TE, D/ST, K
-  
-  // Fetch players for each position
-  for (const position of positions) {
-    const players = await fetchPlayersFromESPN(position);
-    console.log(`Found ${players.length} ${POSITION_SLOTS[position]} players`);
-    
-    const processedPlayers = players
-      .filter(p => p.player?.id && p.player?.firstName && p.player?.lastName)
-      .map(processPlayer);
-    
-    allPlayers.push(...processedPlayers);
-    
-    // Small delay to be nice to ESPN's API
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  }
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`🏈 Starting NFL player ingestion${options.dryRun ? ' (dry run)' : ''}...`);
+  console.log(`API Base URL: ${options.baseUrl}, season ${options.season}, positions ${options.positions.join(', ')}`);
+
+  // Keyed by ESPN id: a player eligible at two positions is found under both but sent once.
+  const allPlayers = new Map();
+  const failedPositions = [];
 
-  console.log(`\n📊 Total players to upload: ${allPlayers.length}`);
-  
-  // Upload in batches of 50
-  const batchSize = 50;
-  let totalUploaded = 0;
-  
-  for (let i = 0; i < allPlayers.length; i += batchSize) {
-    const batch = allPlayers.slice(i, i + batchSize);
-    
+  for (const position of options.positions) {
+    console.log(`Fetching ${position} players...`);
+    let players;
     try {
-      const result = await uploadPlayersBatch(batch);
-      totalUploaded += result.inserted;
-      console.log(`✅ Uploaded batch ${Math.floor(i/batchSize) + 1}: ${result.inserted} players`);
+      players = await fetchPlayersFromESPN(options, position);
     } catch (error) {
-      console.error(`❌ Failed to upload batch ${Math.floor(i/batchSize) + 1}:`, error.message);
+      console.error(`❌ Error fetching ${position} players:`, error.message);
+      failedPositions.push(position);
+      continue;
     }
-    
-    // Small delay between batches
-    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const found = players
+      .filter(p => p.player?.id && p.player?.fullName)
+      .map(p => pickPlayerFields(p.player))
+      .filter(p => !allPlayers.has(p.id));
+    found.forEach(p => allPlayers.set(p.id, p));
+    console.log(`Found ${players.length} ${position} players (${found.length} new to this run)`);
+
+    await sleep(1000);
   }
 
-  console.log(`\n🎉 Ingestion complete! Total players uploaded: ${totalUploaded}`);
-  
-  // Test the database
-  console.log('\n🔍 Testing database...');
-  try {
-    const testResponse = await fetch(`${API_BASE_URL}/api/players?limit=5`);
-    const testData = await testResponse.json();
-    const testPlayers = testData.players || [];
-    console.log('Sample players in database:');
-    testPlayers.forEach(p => {
-      console.log(`  - ${p.name} (${p.position}, ${p.team})`);
-    });
-  } catch (error) {
-    console.error('Error testing database:', error.message);
+  const players = [...allPlayers.values()];
+  console.log(`\n📊 Total players: ${players.length}`);
+
+  if (options.out) {
+    await writeFile(options.out, `${JSON.stringify({ season: options.season, players }, null, 2)}\n`);
+    console.log(`💾 Wrote ${players.length} players to ${options.out}`);
+  }
+
+  const totals = { inserted: 0, updated: 0, failed: 0 };
+  if (!options.dryRun) {
+    for (let i = 0; i < players.length; i += BATCH_SIZE) {
+      const batch = players.slice(i, i + BATCH_SIZE);
+      const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
+
+      try {
+        const result = await postJson(`${options.baseUrl}/api/players/ingest`, {
+          season: options.season,
+          players: batch
+        });
+        totals.inserted += result.inserted;
+        totals.updated += result.updated;
+        console.log(`✅ Batch ${batchNumber}: ${result.inserted} inserted, ${result.updated} updated`);
+      } catch (error) {
+        totals.failed += batch.length;
+        console.error(`❌ Failed to upload batch ${batchNumber}:`, error.message);
+      }
+
+      // Small delay between batches
+      await sleep(500);
+    }
+  }
+
+  console.log(
+    `\n${options.dryRun ? '🧪 Dry run complete, nothing uploaded' : '🎉 Ingestion complete'}: ` +
+    `${totals.inserted} inserted, ${totals.updated} updated, ${totals.failed} failed`
+  );
+  if (failedPositions.length) {
+    console.error(`Positions that could not be fetched: ${failedPositions.join(', ')}`);
+  }
+  if (totals.failed || failedPositions.length) {
+    process.exitCode = 1;
   }
 }
 
-// Run the ingestion
 ingestAllPlayers().catch(error => {
   console.error('Fatal error:', error);
   process.exit(1);
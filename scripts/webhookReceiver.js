@@ -0,0 +1,62 @@
+import http from 'node:http';
+
+// Local stand-in for Discord, Slack or any JSON webhook endpoint: prints every payload
+// the server sends. `--fail N` answers the first N requests with a 503 to exercise retries.
+//
+//   node webhookReceiver.js --port 9090 --fail 2
+//
+// Then add a target with url http://localhost:9090/<anything> and POST /api/webhooks/:id/test.
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = Number(process.argv[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`--${name} must be a whole number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+const port = readOption('port', 9090);
+let failuresLeft = readOption('fail', 0);
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received++;
+    const time = new Date().toISOString();
+
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`#${received} ${time} ${req.url} → 503 (${failuresLeft} more failures)`);
+      res.writeHead(503, { 'Content-Type': 'text/plain' }).end('Simulated outage');
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      console.log(`#${received} ${time} ${req.url} → 400 (not JSON)`);
+      res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Expected a JSON body');
+      return;
+    }
+
+    console.log(`#${received} ${time} ${req.url} → 204`);
+    console.log(JSON.stringify(payload, null, 2));
+    // Discord answers 204 and Slack 200 "ok"; the server accepts any 2xx.
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`📬 Webhook receiver listening on http://localhost:${port}`);
+});
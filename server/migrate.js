@@ -0,0 +1,206 @@
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { pool } from './src/db';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Arbitrary key for pg_advisory_lock so two instances never migrate at once.
+const MIGRATION_LOCK_ID = 48151623;
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW()
+  );
+`;
+
+// Reads migrations/NNNN_name.{up,down}.sql into an ordered list.
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of (await readdir(dir)).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) ?? { version, name };
+    entry[direction] = await readFile(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+
+  return [...byVersion.values()]
+    .filter((migration) => {
+      if (!migration.up) {
+        console.warn(`[WARN] Migration ${migration.version}_${migration.name} has no .up.sql, skipping`);
+      }
+      return Boolean(migration.up);
+    })
+    .map((migration) => ({
+      ...migration,
+      checksum: createHash('sha256').update(migration.up).digest('hex')
+    }));
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query(`SELECT to_regclass('schema_migrations') AS exists`);
+  if (!rows[0].exists) {
+    return new Map();
+  }
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Lists every known migration with whether (and when) it was applied.
+ */
+export async function migrationStatus(pool) {
+  const migrations = await loadMigrations();
+  const applied = await appliedMigrations(pool);
+
+  return migrations.map(({ version, name, checksum }) => {
+    const row = applied.get(version);
+    return {
+      version,
+      name,
+      applied: Boolean(row),
+      appliedAt: row?.applied_at ?? null,
+      modified: Boolean(row && row.checksum !== checksum)
+    };
+  });
+}
+
+/**
+ * Applies pending migrations (`up`) or rolls back applied ones (`down`, one step by
+ * default). Each migration runs in its own transaction together with its
+ * schema_migrations bookkeeping. With `dryRun` the SQL is returned, not executed.
+ */
+export async function runMigrations(pool, { direction = 'up', steps, dryRun = false, log = console.log } = {}) {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    if (!dryRun) {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      await client.query(CREATE_MIGRATIONS_TABLE);
+    }
+
+    const applied = await appliedMigrations(client);
+
+    for (const migration of migrations) {
+      const row = applied.get(migration.version);
+      if (row && row.checksum !== migration.checksum) {
+        console.warn(`[WARN] Migration ${migration.version}_${migration.name} changed after it was applied`);
+      }
+    }
+
+    let plan;
+    if (direction === 'up') {
+      plan = migrations.filter((migration) => !applied.has(migration.version));
+      if (steps !== undefined) {
+        plan = plan.slice(0, steps);
+      }
+    } else if (direction === 'down') {
+      plan = migrations.filter((migration) => applied.has(migration.version)).reverse().slice(0, steps ?? 1);
+      const irreversible = plan.find((migration) => !migration.down);
+      if (irreversible) {
+        throw new Error(`Migration ${irreversible.version}_${irreversible.name} has no .down.sql`);
+      }
+    } else {
+      throw new Error(`Unknown migration direction: ${direction}`);
+    }
+
+    const results = [];
+    for (const migration of plan) {
+      const label = `${migration.version}_${migration.name}`;
+      const sql = migration[direction];
+
+      if (dryRun) {
+        log(`-- ${direction} ${label}\n${sql.trim()}\n`);
+        results.push({ version: migration.version, name: migration.name, direction, sql });
+        continue;
+      }
+
+      await client.query('BEGIN');
+      try {
+        await client.query(sql);
+        if (direction === 'up') {
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+        } else {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+      }
+
+      log(`✅ ${direction === 'up' ? 'Applied' : 'Rolled back'} ${label}`);
+      results.push({ version: migration.version, name: migration.name, direction });
+    }
+
+    if (!plan.length) {
+      log(direction === 'up' ? 'No pending migrations' : 'Nothing to roll back');
+    }
+
+    return results;
+  } finally {
+    if (!dryRun) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    }
+    client.release();
+  }
+}
+
+const USAGE = `Usage: tsx migrate.js <up|down|status> [--steps N] [--dry-run]
+
+  up         apply pending migrations (all, or the next N with --steps)
+  down       roll back the latest migration (or the last N with --steps)
+  status     list migrations and whether they are applied
+  --dry-run  print the SQL that would run without executing it`;
+
+async function main(argv) {
+  const [command = 'up', ...rest] = argv;
+  const dryRun = rest.includes('--dry-run');
+  const stepsIndex = rest.indexOf('--steps');
+  const steps = stepsIndex === -1 ? undefined : Number(rest[stepsIndex + 1]);
+
+  if (!['up', 'down', 'status'].includes(command) || (steps !== undefined && !(steps > 0))) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (!pool) {
+    console.error('DATABASE_URL is required to run migrations');
+    return 1;
+  }
+
+  try {
+    if (command === 'status') {
+      for (const migration of await migrationStatus(pool)) {
+        const state = migration.applied ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${migration.version}_${migration.name}  ${state}${migration.modified ? '  (modified since applied)' : ''}`);
+      }
+    } else {
+      await runMigrations(pool, { direction: command, steps, dryRun });
+    }
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,10 @@
+DROP TRIGGER IF EXISTS update_players_updated_at ON players;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+DROP TABLE IF EXISTS player_analytics;
+DROP TABLE IF EXISTS league_cache;
+DROP TABLE IF EXISTS waiver_claims;
+DROP TABLE IF EXISTS player_news;
+DROP TABLE IF EXISTS watchlist;
+DROP TABLE IF EXISTS my_roster;
+DROP TABLE IF EXISTS players;
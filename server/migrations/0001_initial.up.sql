@@ -1,11 +1,27 @@
+-- Canonical schema. Every statement is idempotent so databases created by the
+-- old /admin/migrate endpoint or schema.sql can adopt the migration history.
+
 CREATE TABLE IF NOT EXISTS players (
   id SERIAL PRIMARY KEY,
   espn_id INTEGER UNIQUE NOT NULL,
   name VARCHAR(255) NOT NULL,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
   position VARCHAR(10),
   team VARCHAR(10),
   bye_week INTEGER,
-  status VARCHAR(20) DEFAULT 'active',
+  status VARCHAR(50) DEFAULT 'active',
+  jersey_number INTEGER,
+  avg_draft_position DECIMAL,
+  avg_auction_value DECIMAL,
+  percent_owned DECIMAL,
+  percent_started DECIMAL,
+  percent_change DECIMAL,
+  is_injured BOOLEAN DEFAULT FALSE,
+  injury_status VARCHAR(50),
+  availability_status VARCHAR(50),
+  fantasy_value INTEGER DEFAULT 0,
+  waiver_priority VARCHAR(20) DEFAULT 'LOW',
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -39,7 +55,7 @@ CREATE TABLE IF NOT EXISTS player_news (
   created_at TIMESTAMP DEFAULT NOW()
 );
 
--- Waiver claims tracking (optional)
+-- Waiver claims tracking
 CREATE TABLE IF NOT EXISTS waiver_claims (
   id SERIAL PRIMARY KEY,
   player_id INTEGER REFERENCES players(id),
@@ -50,52 +66,32 @@ CREATE TABLE IF NOT EXISTS waiver_claims (
   notes TEXT
 );
 
--- Useful view for roster with player details
-CREATE OR REPLACE VIEW v_my_roster AS
-SELECT 
-  r.id,
-  r.position_slot,
-  r.added_date,
-  r.notes as roster_notes,
-  p.id as player_id,
-  p.espn_id,
-  p.name,
-  p.position,
-  p.team,
-  p.bye_week,
-  p.status
-FROM my_roster r
-JOIN players p ON p.id = r.player_id
-ORDER BY 
-  CASE r.position_slot 
-    WHEN 'QB' THEN 1
-    WHEN 'RB' THEN 2 
-    WHEN 'WR' THEN 3
-    WHEN 'TE' THEN 4
-    WHEN 'FLEX' THEN 5
-    WHEN 'D/ST' THEN 6
-    WHEN 'K' THEN 7
-    WHEN 'BENCH' THEN 8
-    ELSE 9
-  END;
+-- Cached ESPN responses (see src/routes/espn/cache.ts)
+CREATE TABLE IF NOT EXISTS league_cache (
+  id SERIAL PRIMARY KEY,
+  cache_key VARCHAR(64),
+  endpoint VARCHAR(50),
+  league_id VARCHAR(20),
+  season INTEGER NOT NULL,
+  view VARCHAR(255),
+  filter TEXT,
+  data JSONB NOT NULL,
+  cached_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP
+);
 
--- View for watchlist with player details
-CREATE OR REPLACE VIEW v_watchlist AS
-SELECT 
-  w.id,
-  w.interest_level,
-  w.notes,
-  w.added_date,
-  p.id as player_id,
-  p.espn_id,
-  p.name,
-  p.position,
-  p.team,
-  p.bye_week,
-  p.status
-FROM watchlist w
-JOIN players p ON p.id = w.player_id
-ORDER BY w.interest_level DESC, w.added_date DESC;
+-- Weekly scoring and ownership per player
+CREATE TABLE IF NOT EXISTS player_analytics (
+  id SERIAL PRIMARY KEY,
+  player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+  week INTEGER NOT NULL,
+  season INTEGER NOT NULL,
+  points_scored DECIMAL,
+  projected_points DECIMAL,
+  ownership_change DECIMAL,
+  recorded_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(player_id, week, season)
+);
 
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_players_espn_id ON players(espn_id);
@@ -105,6 +101,8 @@ CREATE INDEX IF NOT EXISTS idx_roster_player_id ON my_roster(player_id);
 CREATE INDEX IF NOT EXISTS idx_watchlist_player_id ON watchlist(player_id);
 CREATE INDEX IF NOT EXISTS idx_news_player_id ON player_news(player_id);
 CREATE INDEX IF NOT EXISTS idx_news_published_date ON player_news(published_date);
+CREATE INDEX IF NOT EXISTS idx_league_cache_lookup ON league_cache(league_id, season);
+-- The cache_key and expires_at indexes are created in 0002, after a legacy league_cache gains those columns.
 
 -- Function to update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -116,16 +114,8 @@ END;
 $$ language 'plpgsql';
 
 -- Trigger to automatically update updated_at
-CREATE TRIGGER update_players_updated_at 
-  BEFORE UPDATE ON players 
-  FOR EACH ROW 
+DROP TRIGGER IF EXISTS update_players_updated_at ON players;
+CREATE TRIGGER update_players_updated_at
+  BEFORE UPDATE ON players
+  FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
-
--- Sample data (optional - remove if you don't want test data)
-INSERT INTO players (espn_id, name, position, team, bye_week) VALUES
-  (4262921, 'Christian McCaffrey', 'RB', 'SF', 9),
-  (3116385, 'Cooper Kupp', 'WR', 'LAR', 6),
-  (4038524, 'Josh Allen', 'QB', 'BUF', 12),
-  (3043078, 'Travis Kelce', 'TE', 'KC', 10),
-  (4430692, 'Brock Purdy', 'QB', 'SF', 9)
-ON CONFLICT (espn_id) DO NOTHING;
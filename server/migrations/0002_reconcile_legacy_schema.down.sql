@@ -0,0 +1,19 @@
+-- Restores the shape the old /admin/migrate endpoint produced, but only on databases
+-- that had it: 0002 leaves a comment on watchlist when it reconciled a legacy one.
+-- Elsewhere only the views 0002 created are dropped.
+
+DROP VIEW IF EXISTS v_watchlist;
+DROP VIEW IF EXISTS v_my_roster;
+
+DO $$
+BEGIN
+  IF obj_description('watchlist'::regclass, 'pg_class') = 'Reconciled from the legacy /admin/migrate shape by migration 0002' THEN
+    ALTER TABLE watchlist DROP CONSTRAINT IF EXISTS watchlist_interest_level_check;
+    ALTER TABLE watchlist DROP CONSTRAINT IF EXISTS watchlist_player_id_key;
+    ALTER TABLE watchlist RENAME COLUMN interest_level TO priority;
+    ALTER TABLE watchlist ALTER COLUMN priority SET DEFAULT 1;
+    ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    UPDATE watchlist SET created_at = added_date;
+    COMMENT ON TABLE watchlist IS NULL;
+  END IF;
+END $$;
@@ -0,0 +1,139 @@
+-- Brings databases created by schema.sql or the old /admin/migrate endpoint in
+-- line with 0001. On a fresh database every statement is a no-op.
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS first_name VARCHAR(100);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS last_name VARCHAR(100);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS jersey_number INTEGER;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS avg_draft_position DECIMAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS avg_auction_value DECIMAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS percent_owned DECIMAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS percent_started DECIMAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS percent_change DECIMAL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS is_injured BOOLEAN DEFAULT FALSE;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS injury_status VARCHAR(50);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS availability_status VARCHAR(50);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS fantasy_value INTEGER DEFAULT 0;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS waiver_priority VARCHAR(20) DEFAULT 'LOW';
+ALTER TABLE players ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+ALTER TABLE players ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+-- schema.sql's views read players.status, which blocks the type change; they are recreated below.
+DROP VIEW IF EXISTS v_my_roster, v_watchlist;
+ALTER TABLE players ALTER COLUMN status TYPE VARCHAR(50);
+
+ALTER TABLE my_roster ADD COLUMN IF NOT EXISTS added_date TIMESTAMP DEFAULT NOW();
+ALTER TABLE my_roster ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- The old endpoint stored interest as `priority` (unbounded) and timestamps in
+-- `created_at`; the routes read `interest_level` and `added_date`. A legacy watchlist is
+-- flagged with a table comment so the down migration only restores that shape where it existed.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'watchlist' AND column_name = 'priority'
+  ) THEN
+    COMMENT ON TABLE watchlist IS 'Reconciled from the legacy /admin/migrate shape by migration 0002';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'watchlist' AND column_name = 'priority'
+  ) AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'watchlist' AND column_name = 'interest_level'
+  ) THEN
+    ALTER TABLE watchlist RENAME COLUMN priority TO interest_level;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'watchlist' AND column_name = 'created_at'
+  ) THEN
+    ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS added_date TIMESTAMP DEFAULT NOW();
+    UPDATE watchlist SET added_date = COALESCE(added_date, created_at);
+    ALTER TABLE watchlist DROP COLUMN created_at;
+  END IF;
+END $$;
+
+ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS interest_level INTEGER DEFAULT 3;
+ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS added_date TIMESTAMP DEFAULT NOW();
+ALTER TABLE watchlist DROP COLUMN IF EXISTS priority;
+ALTER TABLE watchlist ALTER COLUMN interest_level SET DEFAULT 3;
+UPDATE watchlist SET interest_level = LEAST(GREATEST(COALESCE(interest_level, 3), 1), 5);
+
+-- Keep the newest entry per player before enforcing uniqueness.
+DELETE FROM watchlist older
+USING watchlist newer
+WHERE older.player_id = newer.player_id AND older.id < newer.id;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conrelid = 'watchlist'::regclass AND contype = 'u'
+  ) THEN
+    ALTER TABLE watchlist ADD CONSTRAINT watchlist_player_id_key UNIQUE (player_id);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conrelid = 'watchlist'::regclass AND contype = 'c'
+  ) THEN
+    ALTER TABLE watchlist ADD CONSTRAINT watchlist_interest_level_check
+      CHECK (interest_level >= 1 AND interest_level <= 5);
+  END IF;
+END $$;
+
+-- league_cache predates the per-request cache key.
+ALTER TABLE league_cache ADD COLUMN IF NOT EXISTS cache_key VARCHAR(64);
+ALTER TABLE league_cache ADD COLUMN IF NOT EXISTS endpoint VARCHAR(50);
+ALTER TABLE league_cache ADD COLUMN IF NOT EXISTS view VARCHAR(255);
+ALTER TABLE league_cache ADD COLUMN IF NOT EXISTS filter TEXT;
+ALTER TABLE league_cache ALTER COLUMN league_id DROP NOT NULL;
+ALTER TABLE league_cache DROP CONSTRAINT IF EXISTS league_cache_league_id_season_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_league_cache_key ON league_cache(cache_key);
+CREATE INDEX IF NOT EXISTS idx_league_cache_expires_at ON league_cache(expires_at);
+
+-- Views depend on the reconciled columns above.
+CREATE OR REPLACE VIEW v_my_roster AS
+SELECT
+  r.id,
+  r.position_slot,
+  r.added_date,
+  r.notes as roster_notes,
+  p.id as player_id,
+  p.espn_id,
+  p.name,
+  p.position,
+  p.team,
+  p.bye_week,
+  p.status
+FROM my_roster r
+JOIN players p ON p.id = r.player_id
+ORDER BY
+  CASE r.position_slot
+    WHEN 'QB' THEN 1
+    WHEN 'RB' THEN 2
+    WHEN 'WR' THEN 3
+    WHEN 'TE' THEN 4
+    WHEN 'FLEX' THEN 5
+    WHEN 'D/ST' THEN 6
+    WHEN 'K' THEN 7
+    WHEN 'BENCH' THEN 8
+    ELSE 9
+  END;
+
+CREATE OR REPLACE VIEW v_watchlist AS
+SELECT
+  w.id,
+  w.interest_level,
+  w.notes,
+  w.added_date,
+  p.id as player_id,
+  p.espn_id,
+  p.name,
+  p.position,
+  p.team,
+  p.bye_week,
+  p.status
+FROM watchlist w
+JOIN players p ON p.id = w.player_id
+ORDER BY w.interest_level DESC, w.added_date DESC;
@@ -0,0 +1,72 @@
+-- Scoped rows are dropped; only the unscoped (pre-0003) data survives.
+
+DELETE FROM my_roster WHERE league_id IS NOT NULL;
+DELETE FROM watchlist WHERE league_id IS NOT NULL;
+DELETE FROM waiver_claims WHERE league_id IS NOT NULL;
+
+DROP VIEW IF EXISTS v_watchlist;
+DROP VIEW IF EXISTS v_my_roster;
+
+DROP INDEX IF EXISTS idx_waiver_claims_scope;
+DROP INDEX IF EXISTS idx_roster_scope;
+DROP INDEX IF EXISTS idx_watchlist_scope_player;
+
+ALTER TABLE waiver_claims DROP COLUMN IF EXISTS team_id;
+ALTER TABLE waiver_claims DROP COLUMN IF EXISTS league_id;
+ALTER TABLE watchlist DROP COLUMN IF EXISTS team_id;
+ALTER TABLE watchlist DROP COLUMN IF EXISTS league_id;
+ALTER TABLE my_roster DROP COLUMN IF EXISTS team_id;
+ALTER TABLE my_roster DROP COLUMN IF EXISTS league_id;
+
+DELETE FROM watchlist older
+USING watchlist newer
+WHERE older.player_id = newer.player_id AND older.id < newer.id;
+ALTER TABLE watchlist ADD CONSTRAINT watchlist_player_id_key UNIQUE (player_id);
+
+DROP TABLE IF EXISTS fantasy_teams;
+DROP TABLE IF EXISTS leagues;
+
+CREATE OR REPLACE VIEW v_my_roster AS
+SELECT
+  r.id,
+  r.position_slot,
+  r.added_date,
+  r.notes as roster_notes,
+  p.id as player_id,
+  p.espn_id,
+  p.name,
+  p.position,
+  p.team,
+  p.bye_week,
+  p.status
+FROM my_roster r
+JOIN players p ON p.id = r.player_id
+ORDER BY
+  CASE r.position_slot
+    WHEN 'QB' THEN 1
+    WHEN 'RB' THEN 2
+    WHEN 'WR' THEN 3
+    WHEN 'TE' THEN 4
+    WHEN 'FLEX' THEN 5
+    WHEN 'D/ST' THEN 6
+    WHEN 'K' THEN 7
+    WHEN 'BENCH' THEN 8
+    ELSE 9
+  END;
+
+CREATE OR REPLACE VIEW v_watchlist AS
+SELECT
+  w.id,
+  w.interest_level,
+  w.notes,
+  w.added_date,
+  p.id as player_id,
+  p.espn_id,
+  p.name,
+  p.position,
+  p.team,
+  p.bye_week,
+  p.status
+FROM watchlist w
+JOIN players p ON p.id = w.player_id
+ORDER BY w.interest_level DESC, w.added_date DESC;
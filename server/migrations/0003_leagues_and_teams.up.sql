@@ -0,0 +1,105 @@
+-- Multi-league support. A league row is one ESPN league in one season, and
+-- fantasy_teams are the teams in it. Roster, watchlist and waiver claim rows
+-- point at a league (and optionally a team); rows with no league are the
+-- unscoped data that existed before this migration.
+
+CREATE TABLE IF NOT EXISTS leagues (
+  id SERIAL PRIMARY KEY,
+  espn_league_id VARCHAR(20) NOT NULL,
+  season INTEGER NOT NULL,
+  name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(espn_league_id, season)
+);
+
+CREATE TABLE IF NOT EXISTS fantasy_teams (
+  id SERIAL PRIMARY KEY,
+  league_id INTEGER NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+  espn_team_id INTEGER NOT NULL,
+  name VARCHAR(255),
+  abbrev VARCHAR(10),
+  owner VARCHAR(255),
+  is_mine BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(league_id, espn_team_id)
+);
+
+ALTER TABLE my_roster ADD COLUMN IF NOT EXISTS league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE;
+ALTER TABLE my_roster ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES fantasy_teams(id) ON DELETE CASCADE;
+ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE;
+ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES fantasy_teams(id) ON DELETE CASCADE;
+ALTER TABLE waiver_claims ADD COLUMN IF NOT EXISTS league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE;
+ALTER TABLE waiver_claims ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES fantasy_teams(id) ON DELETE CASCADE;
+
+-- A player is watched once per league/team rather than once overall.
+ALTER TABLE watchlist DROP CONSTRAINT IF EXISTS watchlist_player_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlist_scope_player
+  ON watchlist ((COALESCE(league_id, 0)), (COALESCE(team_id, 0)), player_id);
+
+CREATE INDEX IF NOT EXISTS idx_fantasy_teams_league_id ON fantasy_teams(league_id);
+CREATE INDEX IF NOT EXISTS idx_roster_scope ON my_roster(league_id, team_id);
+CREATE INDEX IF NOT EXISTS idx_waiver_claims_scope ON waiver_claims(league_id, team_id);
+
+DROP TRIGGER IF EXISTS update_leagues_updated_at ON leagues;
+CREATE TRIGGER update_leagues_updated_at
+  BEFORE UPDATE ON leagues
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_fantasy_teams_updated_at ON fantasy_teams;
+CREATE TRIGGER update_fantasy_teams_updated_at
+  BEFORE UPDATE ON fantasy_teams
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- New columns go at the end so CREATE OR REPLACE keeps the existing ones.
+CREATE OR REPLACE VIEW v_my_roster AS
+SELECT
+  r.id,
+  r.position_slot,
+  r.added_date,
+  r.notes as roster_notes,
+  p.id as player_id,
+  p.espn_id,
+  p.name,
+  p.position,
+  p.team,
+  p.bye_week,
+  p.status,
+  r.league_id,
+  r.team_id
+FROM my_roster r
+JOIN players p ON p.id = r.player_id
+ORDER BY
+  CASE r.position_slot
+    WHEN 'QB' THEN 1
+    WHEN 'RB' THEN 2
+    WHEN 'WR' THEN 3
+    WHEN 'TE' THEN 4
+    WHEN 'FLEX' THEN 5
+    WHEN 'D/ST' THEN 6
+    WHEN 'K' THEN 7
+    WHEN 'BENCH' THEN 8
+    ELSE 9
+  END;
+
+CREATE OR REPLACE VIEW v_watchlist AS
+SELECT
+  w.id,
+  w.interest_level,
+  w.notes,
+  w.added_date,
+  p.id as player_id,
+  p.espn_id,
+  p.name,
+  p.position,
+  p.team,
+  p.bye_week,
+  p.status,
+  w.league_id,
+  w.team_id
+FROM watchlist w
+JOIN players p ON p.id = w.player_id
+ORDER BY w.interest_level DESC, w.added_date DESC;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_player_analytics_player_season;
+DROP TABLE IF EXISTS analytics_ingest_runs;
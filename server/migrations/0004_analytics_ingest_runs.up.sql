@@ -0,0 +1,24 @@
+-- Checkpoints for the player_analytics ingestion job (src/jobs/playerAnalytics.ts).
+-- A run covers one season/week and walks tracked players in id order, so an
+-- interrupted run resumes after last_player_id instead of starting over.
+
+CREATE TABLE IF NOT EXISTS analytics_ingest_runs (
+  id SERIAL PRIMARY KEY,
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  last_player_id INTEGER NOT NULL DEFAULT 0,
+  players_processed INTEGER NOT NULL DEFAULT 0,
+  rows_upserted INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_ingest_runs_period ON analytics_ingest_runs(season, week, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_player_analytics_player_season ON player_analytics(player_id, season, week);
+
+DROP TRIGGER IF EXISTS update_analytics_ingest_runs_updated_at ON analytics_ingest_runs;
+CREATE TRIGGER update_analytics_ingest_runs_updated_at
+  BEFORE UPDATE ON analytics_ingest_runs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
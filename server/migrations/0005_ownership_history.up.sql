@@ -0,0 +1,14 @@
+-- Ownership snapshots for the whole ESPN player pool (src/jobs/ownershipSnapshot.ts).
+-- players.percent_* hold the latest values; this table keeps the history that
+-- the trending endpoint diffs against.
+
+CREATE TABLE IF NOT EXISTS player_ownership_history (
+  id SERIAL PRIMARY KEY,
+  player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  percent_owned DECIMAL,
+  percent_started DECIMAL,
+  recorded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ownership_history_player_time ON player_ownership_history(player_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ownership_history_recorded_at ON player_ownership_history(recorded_at);
@@ -0,0 +1,9 @@
+DROP TRIGGER IF EXISTS update_waiver_claims_updated_at ON waiver_claims;
+DROP INDEX IF EXISTS idx_waiver_claims_scope_status;
+
+ALTER TABLE waiver_claims DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE waiver_claims DROP COLUMN IF EXISTS resolved_at;
+ALTER TABLE waiver_claims DROP COLUMN IF EXISTS drop_player_id;
+
+ALTER TABLE waiver_claims DROP CONSTRAINT IF EXISTS waiver_claims_status_check;
+ALTER TABLE waiver_claims ALTER COLUMN status DROP NOT NULL;
@@ -0,0 +1,25 @@
+-- Claim workflow (src/routes/claims.ts): each add can name a roster player to drop,
+-- statuses are limited to the four the workflow uses, and resolving a claim stamps
+-- resolved_at.
+
+UPDATE waiver_claims SET status = LOWER(status) WHERE status IS NOT NULL;
+UPDATE waiver_claims SET status = 'pending'
+ WHERE status IS NULL OR status NOT IN ('pending', 'won', 'lost', 'cancelled');
+
+ALTER TABLE waiver_claims ALTER COLUMN status SET NOT NULL;
+ALTER TABLE waiver_claims DROP CONSTRAINT IF EXISTS waiver_claims_status_check;
+ALTER TABLE waiver_claims ADD CONSTRAINT waiver_claims_status_check
+  CHECK (status IN ('pending', 'won', 'lost', 'cancelled'));
+
+ALTER TABLE waiver_claims ADD COLUMN IF NOT EXISTS drop_player_id INTEGER REFERENCES players(id) ON DELETE SET NULL;
+ALTER TABLE waiver_claims ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+ALTER TABLE waiver_claims ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_waiver_claims_scope_status
+  ON waiver_claims(league_id, team_id, status, claim_priority);
+
+DROP TRIGGER IF EXISTS update_waiver_claims_updated_at ON waiver_claims;
+CREATE TRIGGER update_waiver_claims_updated_at
+  BEFORE UPDATE ON waiver_claims
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS pro_team_games;
+DROP TABLE IF EXISTS pro_teams;
@@ -0,0 +1,30 @@
+-- NFL schedules per season, parsed from ESPN's proTeamSchedules_wl view
+-- (src/routes/espn/schedule.ts). pro_teams holds each team's bye week;
+-- pro_team_games has one row per team per week it plays.
+
+CREATE TABLE IF NOT EXISTS pro_teams (
+  season INTEGER NOT NULL,
+  pro_team_id INTEGER NOT NULL,
+  abbrev VARCHAR(10) NOT NULL,
+  bye_week INTEGER,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (season, pro_team_id)
+);
+
+CREATE TABLE IF NOT EXISTS pro_team_games (
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  pro_team_id INTEGER NOT NULL,
+  opponent_pro_team_id INTEGER NOT NULL,
+  is_home BOOLEAN NOT NULL,
+  game_date TIMESTAMP,
+  PRIMARY KEY (season, pro_team_id, week)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pro_team_games_season_week ON pro_team_games(season, week);
+
+DROP TRIGGER IF EXISTS update_pro_teams_updated_at ON pro_teams;
+CREATE TRIGGER update_pro_teams_updated_at
+  BEFORE UPDATE ON pro_teams
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_player_news_dedupe;
+
+ALTER TABLE player_news DROP COLUMN IF EXISTS dedupe_key;
+ALTER TABLE player_news DROP COLUMN IF EXISTS link;
+ALTER TABLE player_news DROP COLUMN IF EXISTS espn_news_id;
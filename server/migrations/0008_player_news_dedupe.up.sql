@@ -0,0 +1,17 @@
+-- News ingestion (src/jobs/newsIngest.ts) and POST /api/news/bulk upsert instead of
+-- inserting duplicates. An item is the same story when it has the same ESPN article id,
+-- or, without one, the same headline for the same player.
+
+ALTER TABLE player_news ADD COLUMN IF NOT EXISTS espn_news_id TEXT;
+ALTER TABLE player_news ADD COLUMN IF NOT EXISTS link TEXT;
+ALTER TABLE player_news ADD COLUMN IF NOT EXISTS dedupe_key TEXT
+  GENERATED ALWAYS AS (COALESCE('espn:' || espn_news_id, 'headline:' || LOWER(headline))) STORED;
+
+-- Keep the oldest copy of anything stored twice before the unique index goes on.
+DELETE FROM player_news a
+ USING player_news b
+ WHERE a.player_id = b.player_id
+   AND a.dedupe_key = b.dedupe_key
+   AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_player_news_dedupe ON player_news(player_id, dedupe_key);
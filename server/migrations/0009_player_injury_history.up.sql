@@ -0,0 +1,14 @@
+-- Injury status transitions (src/routes/espn/playerStore.ts). Every upsert of an ESPN
+-- player whose injury_status differs from the stored one adds a row, so the injury report
+-- can say since when a player has been OUT/QUESTIONABLE and what the status was before.
+
+CREATE TABLE IF NOT EXISTS player_injury_history (
+  id SERIAL PRIMARY KEY,
+  player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  status VARCHAR(50) NOT NULL,
+  previous_status VARCHAR(50),
+  is_injured BOOLEAN NOT NULL DEFAULT FALSE,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_injury_history_player_time ON player_injury_history(player_id, changed_at DESC);
@@ -0,0 +1,5 @@
+ALTER TABLE watchlist DROP COLUMN IF EXISTS on_waivers;
+DROP INDEX IF EXISTS idx_injury_history_unnotified;
+ALTER TABLE player_injury_history DROP COLUMN IF EXISTS notified_at;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_targets;
@@ -0,0 +1,46 @@
+-- Outbound webhook notifications (src/webhooks.ts, src/jobs/notifications.ts). A target
+-- is one URL with a payload format and the events it subscribes to; every send to it is
+-- logged in webhook_deliveries with its attempts and outcome.
+
+CREATE TABLE IF NOT EXISTS webhook_targets (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url TEXT NOT NULL,
+  format VARCHAR(20) NOT NULL DEFAULT 'json' CHECK (format IN ('json', 'discord', 'slack')),
+  events TEXT[] NOT NULL DEFAULT '{}',
+  -- percent_owned level that fires ownership_threshold when a watchlisted player crosses it
+  ownership_threshold DECIMAL NOT NULL DEFAULT 50,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  target_id INTEGER NOT NULL REFERENCES webhook_targets(id) ON DELETE CASCADE,
+  event VARCHAR(40) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_target_time ON webhook_deliveries(target_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_webhook_targets_updated_at ON webhook_targets;
+CREATE TRIGGER update_webhook_targets_updated_at
+  BEFORE UPDATE ON webhook_targets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Injury changes are sent once; the ones recorded before notifications existed count as sent.
+ALTER TABLE player_injury_history ADD COLUMN IF NOT EXISTS notified_at TIMESTAMP;
+UPDATE player_injury_history SET notified_at = changed_at WHERE notified_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_injury_history_unnotified ON player_injury_history(id) WHERE notified_at IS NULL;
+
+-- Whether ESPN listed the watched player on waivers at the last check, so waiver_available
+-- fires when a player moves onto waivers rather than on every check.
+ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS on_waivers BOOLEAN NOT NULL DEFAULT FALSE;
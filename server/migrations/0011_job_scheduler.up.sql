@@ -0,0 +1,31 @@
+-- In-process job scheduler (src/scheduler.ts). `jobs` holds each job's cron schedule and a
+-- lease that keeps two server instances from running the same job at once; `job_runs`
+-- records every run: scheduled, from a legacy *_INTERVAL_MINUTES setting, or triggered by hand.
+
+CREATE TABLE IF NOT EXISTS jobs (
+  name VARCHAR(100) PRIMARY KEY,
+  schedule VARCHAR(100) NOT NULL,
+  -- Jobs are opt-in: each one starts disabled until PATCH /admin/jobs/:name enables it.
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  next_run_at TIMESTAMP,
+  -- Instance holding the lease and when it lapses; the holder renews it while running.
+  locked_by TEXT,
+  locked_until TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  -- Last change to schedule or enabled; lease renewals leave it alone.
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id SERIAL PRIMARY KEY,
+  job_name VARCHAR(100) NOT NULL REFERENCES jobs(name) ON DELETE CASCADE,
+  trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'interval', 'manual')),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+  instance TEXT NOT NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP,
+  result JSONB,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
@@ -0,0 +1,94 @@
+import { PythonWorkerPool } from './pool.js';
+
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'D/ST', 'K'];
+const MAX_LEAGUE_ID = 2147483647;
+
+export class BridgeValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BridgeValidationError';
+    this.status = 400;
+  }
+}
+
+// Parameter parsers: each takes the raw request value and returns the typed value or throws.
+const integer = ({ min, max, fallback }) => (name, raw) => {
+  if (raw === undefined || raw === '') {
+    if (fallback === undefined) {
+      throw new BridgeValidationError(`${name} is required`);
+    }
+    return fallback;
+  }
+  const text = String(raw).trim();
+  if (!/^\d+$/.test(text)) {
+    throw new BridgeValidationError(`${name} must be a whole number`);
+  }
+  const value = Number(text);
+  if (value < min || value > max) {
+    throw new BridgeValidationError(`${name} must be between ${min} and ${max}`);
+  }
+  return value;
+};
+
+const optionalInteger = (bounds) => (name, raw) =>
+  raw === undefined || raw === '' ? null : integer(bounds)(name, raw);
+
+const position = (name, raw) => {
+  if (raw === undefined || raw === '') {
+    return null;
+  }
+  const value = String(raw).toUpperCase();
+  if (!POSITIONS.includes(value)) {
+    throw new BridgeValidationError(`${name} must be one of ${POSITIONS.join(', ')}`);
+  }
+  return value;
+};
+
+const leagueId = integer({ min: 1, max: MAX_LEAGUE_ID });
+const season = integer({ min: 2010, max: new Date().getFullYear() + 1, fallback: 2024 });
+
+// Whitelisted bridge scripts (python/scripts/v<version>/<name>.py) and their parameters.
+export const BRIDGE_SCRIPTS = {
+  test: { version: 1, params: {} },
+  league: { version: 1, params: { league_id: leagueId, season } },
+  free_agents: {
+    version: 1,
+    params: { league_id: leagueId, season, size: integer({ min: 1, max: 500, fallback: 50 }), position }
+  },
+  players: {
+    version: 1,
+    params: { league_id: leagueId, season, position, week: optionalInteger({ min: 1, max: 18 }) }
+  }
+};
+
+/**
+ * Builds the typed parameter object for `script` from raw request input. Keys that the
+ * script does not declare are dropped; invalid values throw a BridgeValidationError.
+ */
+export function validateBridgeParams(script, input = {}) {
+  const definition = BRIDGE_SCRIPTS[script];
+  if (!definition) {
+    throw new Error(`Unknown bridge script: ${script}`);
+  }
+
+  const params = {};
+  for (const [name, parse] of Object.entries(definition.params)) {
+    params[name] = parse(name, input[name]);
+  }
+  return params;
+}
+
+export function createPythonBridge(options) {
+  const pool = new PythonWorkerPool(options);
+
+  return {
+    pool,
+    // Validation happens before anything is queued, so bad input never reaches Python.
+    run(script, input) {
+      const params = validateBridgeParams(script, input);
+      return pool.run(script, params, { version: BRIDGE_SCRIPTS[script].version });
+    },
+    status: () => pool.status(),
+    shutdown: () => pool.shutdown()
+  };
+}
@@ -0,0 +1,280 @@
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const WORKER_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'worker.py');
+const MAX_RESTART_DELAY_MS = 30000;
+
+class PoolBusyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PoolBusyError';
+    this.status = 503;
+  }
+}
+
+class PythonTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Python script timeout after ${timeoutMs}ms`);
+    this.name = 'PythonTimeoutError';
+    this.status = 504;
+  }
+}
+
+// One python3 process running worker.py. Handles a single request at a time.
+class PythonWorker {
+  constructor(pool, index) {
+    this.pool = pool;
+    this.index = index;
+    this.process = null;
+    this.ready = false;
+    this.current = null;
+    this.restarts = 0;
+    this.consecutiveFailures = 0;
+    this.restartTimer = null;
+    this.lastError = null;
+    this.espnApiAvailable = null;
+  }
+
+  start() {
+    const { pythonBin, env } = this.pool.options;
+    const child = spawn(pythonBin, ['-u', WORKER_SCRIPT], {
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.process = child;
+    this.ready = false;
+
+    createInterface({ input: child.stdout }).on('line', (line) => this.onLine(line));
+
+    child.stderr.on('data', (data) => {
+      const text = data.toString().trim();
+      if (text) {
+        console.warn(`[python:${this.index}] ${text}`);
+      }
+    });
+
+    child.on('error', (error) => {
+      this.lastError = error.message;
+      console.error(`[python:${this.index}] Failed to start worker:`, error.message);
+      if (error.code === 'ENOENT') {
+        this.pool.failQueued(new Error(`${pythonBin} not found. Install Python 3 and espn-api on the server.`));
+      }
+    });
+
+    // 'close' also fires when the binary cannot be spawned at all, unlike 'exit'.
+    child.on('close', (code, signal) => this.onExit(child, code, signal));
+  }
+
+  onLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      console.warn(`[python:${this.index}] Ignoring non-protocol output: ${line}`);
+      return;
+    }
+
+    if (message.ready) {
+      this.ready = true;
+      this.consecutiveFailures = 0;
+      this.espnApiAvailable = message.espn_api_available;
+      this.pool.dispatch();
+      return;
+    }
+
+    const job = this.current;
+    if (!job || message.id !== job.id) {
+      return;
+    }
+
+    this.finish(job);
+    if (message.ok) {
+      this.pool.stats.completed += 1;
+      job.resolve(message.result);
+    } else {
+      this.pool.stats.failed += 1;
+      job.reject(new Error(message.error || 'Python script failed'));
+    }
+  }
+
+  onExit(child, code, signal) {
+    if (this.process !== child) {
+      return;
+    }
+
+    this.process = null;
+    this.ready = false;
+
+    const job = this.current;
+    if (job) {
+      this.finish(job);
+      this.pool.stats.failed += 1;
+      job.reject(job.timedOut
+        ? new PythonTimeoutError(job.timeoutMs)
+        : new Error(`Python worker exited (code ${code}, signal ${signal})`));
+    }
+
+    if (this.pool.closed) {
+      return;
+    }
+
+    // Crashes back off exponentially; a timeout kill restarts straight away.
+    this.restarts += 1;
+    this.consecutiveFailures = job?.timedOut ? 0 : this.consecutiveFailures + 1;
+    const delay = Math.min(250 * 2 ** this.consecutiveFailures, MAX_RESTART_DELAY_MS);
+    if (!job?.timedOut) {
+      console.warn(`[python:${this.index}] Worker exited (code ${code}, signal ${signal}); restarting in ${delay}ms`);
+    }
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.start();
+    }, job?.timedOut ? 0 : delay);
+  }
+
+  send(job) {
+    this.current = job;
+    const { id, script, version, params } = job;
+    this.process.stdin.write(`${JSON.stringify({ id, script, version, params })}\n`);
+  }
+
+  finish(job) {
+    clearTimeout(job.timer);
+    this.current = null;
+    setImmediate(() => this.pool.dispatch());
+  }
+
+  abort(job) {
+    job.timedOut = true;
+    // exec() cannot be interrupted from outside, so the worker is replaced.
+    this.process?.kill('SIGKILL');
+  }
+
+  stop() {
+    clearTimeout(this.restartTimer);
+    this.process?.kill();
+  }
+
+  status() {
+    return {
+      index: this.index,
+      pid: this.process?.pid ?? null,
+      ready: this.ready,
+      busy: Boolean(this.current),
+      restarts: this.restarts,
+      espnApiAvailable: this.espnApiAvailable,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Pool of long-lived Python workers (see worker.py). Workers are spawned on first use,
+ * each runs one script at a time, and extra calls wait in a bounded queue.
+ */
+export class PythonWorkerPool {
+  constructor(options = {}) {
+    this.options = {
+      size: 2,
+      timeoutMs: 30000,
+      maxQueue: 50,
+      pythonBin: 'python3',
+      env: {},
+      ...options
+    };
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.closed = false;
+    this.stats = { completed: 0, failed: 0, timeouts: 0, rejected: 0 };
+  }
+
+  /**
+   * Runs `scripts/v<version>/<script>.py` with `params` passed as JSON data.
+   */
+  run(script, params = {}, { version = 1, timeoutMs = this.options.timeoutMs } = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Python worker pool is shut down'));
+    }
+
+    if (this.queue.length >= this.options.maxQueue) {
+      this.stats.rejected += 1;
+      return Promise.reject(new PoolBusyError('Python workers are busy, try again shortly'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, script, version, params, timeoutMs, resolve, reject, timer: null, timedOut: false };
+      // The timeout covers time spent queued as well as running.
+      job.timer = setTimeout(() => this.expire(job), timeoutMs);
+      this.queue.push(job);
+      this.ensureWorkers();
+      this.dispatch();
+    });
+  }
+
+  expire(job) {
+    this.stats.timeouts += 1;
+
+    const queuedAt = this.queue.indexOf(job);
+    if (queuedAt !== -1) {
+      this.queue.splice(queuedAt, 1);
+      this.stats.failed += 1;
+      job.reject(new PythonTimeoutError(job.timeoutMs));
+      return;
+    }
+
+    this.workers.find((worker) => worker.current === job)?.abort(job);
+  }
+
+  ensureWorkers() {
+    while (this.workers.length < this.options.size && this.workers.length < this.queue.length + this.busyCount()) {
+      const worker = new PythonWorker(this, this.workers.length);
+      this.workers.push(worker);
+      worker.start();
+    }
+  }
+
+  busyCount() {
+    return this.workers.filter((worker) => worker.current).length;
+  }
+
+  dispatch() {
+    for (const worker of this.workers) {
+      if (!this.queue.length) {
+        return;
+      }
+      if (worker.ready && !worker.current && worker.process) {
+        worker.send(this.queue.shift());
+      }
+    }
+  }
+
+  status() {
+    return {
+      size: this.options.size,
+      started: this.workers.length,
+      ready: this.workers.filter((worker) => worker.ready).length,
+      busy: this.busyCount(),
+      queued: this.queue.length,
+      ...this.stats,
+      workers: this.workers.map((worker) => worker.status())
+    };
+  }
+
+  failQueued(error) {
+    for (const job of this.queue.splice(0)) {
+      clearTimeout(job.timer);
+      this.stats.failed += 1;
+      job.reject(error);
+    }
+  }
+
+  shutdown() {
+    this.closed = true;
+    this.failQueued(new Error('Python worker pool is shut down'));
+    for (const worker of this.workers) {
+      worker.stop();
+    }
+  }
+}
@@ -0,0 +1,33 @@
+"""Free agents in a league, optionally for one position.
+
+params: league_id (int), season (int), size (int), position (str | None)
+"""
+
+
+def run(params, get_league):
+    try:
+        league = get_league(params["league_id"], params["season"])
+        position = params.get("position")
+
+        players_data = []
+        for p in league.free_agents(size=params["size"]):
+            if position is None or p.position == position:
+                players_data.append({
+                    "name": p.name,
+                    "position": p.position,
+                    "team": p.proTeam,
+                    "percent_owned": getattr(p, "percent_owned", 0),
+                    "percent_started": getattr(p, "percent_started", 0),
+                    "points": getattr(p, "total_points", 0),
+                    "projected_points": getattr(p, "projected_total_points", 0),
+                })
+
+        return {
+            "players": players_data,
+            "league_name": league.settings.name,
+            "season": params["season"],
+            "success": True,
+        }
+
+    except Exception as e:
+        return {"error": str(e), "success": False}
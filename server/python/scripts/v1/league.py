@@ -0,0 +1,33 @@
+"""League name and standings.
+
+params: league_id (int), season (int)
+"""
+
+
+def run(params, get_league):
+    try:
+        league = get_league(params["league_id"], params["season"])
+
+        teams_data = []
+        for team in league.teams:
+            owner = getattr(team, "owner", "Unknown")
+            teams_data.append({
+                "name": team.team_name,
+                "owner": owner,
+                "wins": team.wins,
+                "losses": team.losses,
+                "ties": getattr(team, "ties", 0),
+                "points_for": getattr(team, "points_for", 0),
+                "points_against": getattr(team, "points_against", 0),
+            })
+
+        return {
+            "league_name": league.settings.name,
+            "season": params["season"],
+            "team_count": league.settings.team_count,
+            "teams": teams_data,
+            "success": True,
+        }
+
+    except Exception as e:
+        return {"error": str(e), "success": False}
@@ -0,0 +1,48 @@
+"""Free agents and rostered players in a league, optionally for one position.
+
+params: league_id (int), season (int), position (str | None), week (int | None)
+"""
+
+
+def run(params, get_league):
+    try:
+        league = get_league(params["league_id"], params["season"])
+        position = params.get("position")
+
+        # Get both free agents and rostered players
+        all_players = []
+
+        # Add free agents
+        for p in league.free_agents(week=params.get("week"), size=100):
+            if position is None or p.position == position:
+                all_players.append({
+                    "name": p.name,
+                    "position": p.position,
+                    "team": p.proTeam,
+                    "status": "free_agent",
+                    "percent_owned": getattr(p, "percent_owned", 0),
+                    "points": getattr(p, "total_points", 0),
+                })
+
+        # Add rostered players
+        for team in league.teams:
+            for p in team.roster:
+                if position is None or p.position == position:
+                    all_players.append({
+                        "name": p.name,
+                        "position": p.position,
+                        "team": p.proTeam,
+                        "status": "rostered",
+                        "owner": team.team_name,
+                        "points": getattr(p, "total_points", 0),
+                    })
+
+        return {
+            "players": all_players,
+            "league_name": league.settings.name,
+            "season": params["season"],
+            "success": True,
+        }
+
+    except Exception as e:
+        return {"error": str(e), "success": False}
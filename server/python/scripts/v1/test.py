@@ -0,0 +1,18 @@
+"""Reports whether espn_api can be imported by the worker."""
+
+
+def run(params, get_league):
+    try:
+        from espn_api.football import League  # noqa: F401
+
+        return {
+            "message": "Python ESPN API is working!",
+            "espn_api_available": True,
+            "success": True,
+        }
+    except ImportError as e:
+        return {
+            "message": "ESPN API not installed",
+            "error": str(e),
+            "success": False,
+        }
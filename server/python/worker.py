@@ -0,0 +1,116 @@
+"""Long-lived espn_api worker for the Node server.
+
+Speaks line-delimited JSON over stdio. Each request line is
+``{"id": <n>, "script": "<name>", "version": <v>, "params": {...}}`` and
+produces exactly one response line, ``{"id": <n>, "ok": true, "result": ...}``
+or ``{"id": <n>, "ok": false, "error": "..."}``.
+
+Only the fixed files under ``scripts/v<version>/<name>.py`` can run. Each
+exposes ``run(params, get_league)`` and receives its parameters as data,
+already validated by the Node side. League objects are cached per
+(league_id, year) for PYTHON_LEAGUE_TTL seconds so repeat calls skip the
+ESPN round trips.
+"""
+
+import importlib.util
+import json
+import os
+import re
+import sys
+import time
+import traceback
+
+LEAGUE_TTL = float(os.environ.get("PYTHON_LEAGUE_TTL", "600"))
+SCRIPTS_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "scripts")
+SCRIPT_NAME = re.compile(r"^[a-z_]+$")
+
+_protocol_out = sys.stdout
+_leagues = {}
+_scripts = {}
+
+try:
+    from espn_api.football import League
+
+    ESPN_API_AVAILABLE = True
+except ImportError:  # reported through the ready line and per call
+    League = None
+    ESPN_API_AVAILABLE = False
+
+
+def get_league(league_id, year):
+    if League is None:
+        raise RuntimeError("espn_api is not installed")
+
+    key = (int(league_id), int(year))
+    cached = _leagues.get(key)
+    now = time.monotonic()
+    if cached and now - cached[0] < LEAGUE_TTL:
+        return cached[1]
+
+    league = League(
+        league_id=key[0],
+        year=key[1],
+        espn_s2=os.environ.get("ESPN_S2") or None,
+        swid=os.environ.get("SWID") or None,
+    )
+    _leagues[key] = (now, league)
+    return league
+
+
+def send(message):
+    _protocol_out.write(json.dumps(message, default=str) + "\n")
+    _protocol_out.flush()
+
+
+def load_script(name, version):
+    if not isinstance(name, str) or not SCRIPT_NAME.match(name):
+        raise ValueError(f"invalid script name: {name!r}")
+    if not isinstance(version, int) or isinstance(version, bool) or version < 1:
+        raise ValueError(f"invalid script version: {version!r}")
+
+    key = (name, version)
+    if key not in _scripts:
+        path = os.path.join(SCRIPTS_DIR, f"v{version}", f"{name}.py")
+        if not os.path.isfile(path):
+            raise ValueError(f"unknown script: {name} v{version}")
+        spec = importlib.util.spec_from_file_location(f"bridge_v{version}_{name}", path)
+        module = importlib.util.module_from_spec(spec)
+        spec.loader.exec_module(module)
+        _scripts[key] = module
+    return _scripts[key]
+
+
+def handle(request):
+    script = load_script(request.get("script"), request.get("version"))
+    params = request.get("params") or {}
+    if not isinstance(params, dict):
+        raise ValueError("params must be an object")
+
+    # Anything a script prints goes to stderr so it cannot corrupt the protocol stream.
+    sys.stdout = sys.stderr
+    try:
+        return script.run(params, get_league)
+    finally:
+        sys.stdout = _protocol_out
+
+
+def main():
+    send({"ready": True, "pid": os.getpid(), "espn_api_available": ESPN_API_AVAILABLE})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+
+        request_id = None
+        try:
+            request = json.loads(line)
+            request_id = request.get("id")
+            send({"id": request_id, "ok": True, "result": handle(request)})
+        except Exception as error:  # noqa: BLE001 - every failure is reported to Node
+            traceback.print_exc(file=sys.stderr)
+            send({"id": request_id, "ok": False, "error": str(error)})
+
+
+if __name__ == "__main__":
+    main()
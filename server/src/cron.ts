@@ -0,0 +1,129 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) in the
+// server's local time. Fields take `*`, numbers, ranges (`1-5`), lists (`1,15`) and
+// steps (`*/15`, `0-30/10`); day-of-week is 0-7 with both 0 and 7 meaning Sunday.
+
+export class CronError extends Error {
+  constructor(message: string, readonly status: number = 400) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+export type CronSchedule = {
+  expression: string;
+  minutes: Set<number>;
+  hours: Set<number>;
+  days: Set<number>;
+  months: Set<number>;
+  weekdays: Set<number>;
+  // Like vixie cron: with both day fields restricted a day matching either one runs.
+  anyDay: boolean;
+  anyWeekday: boolean;
+};
+
+const MACROS: Record<string, string> = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// No expression needs more than this to find its next run (leap days repeat every 4 years).
+const SEARCH_YEARS = 5;
+
+function parseField(text: string, field: (typeof FIELDS)[number]): Set<number> {
+  const values = new Set<number>();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new CronError(`Invalid ${field.name} "${part}"`);
+    }
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? field.min : Number(start);
+    // `5/15` means 5, 20, 35, 50, as in vixie cron.
+    const to = range === '*' || (end === undefined && step !== undefined) ? field.max : Number(end ?? start);
+    const by = step === undefined ? 1 : Number(step);
+    if (from < field.min || to > field.max || from > to || by < 1) {
+      throw new CronError(`${field.name} "${part}" is outside ${field.min}-${field.max}`);
+    }
+    for (let value = from; value <= to; value += by) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+export function parseCron(expression: string): CronSchedule {
+  const trimmed = expression.trim();
+  const fields = (MACROS[trimmed.toLowerCase()] ?? trimmed).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new CronError(`Cron expression "${expression}" needs 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index]));
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return {
+    expression: trimmed,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*'),
+  };
+}
+
+function dayMatches(schedule: CronSchedule, date: Date): boolean {
+  const day = schedule.days.has(date.getDate());
+  const weekday = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay && schedule.anyWeekday) {
+    return true;
+  }
+  if (schedule.anyDay) {
+    return weekday;
+  }
+  if (schedule.anyWeekday) {
+    return day;
+  }
+  return day || weekday;
+}
+
+/**
+ * The first minute after `after` that the schedule matches. Skips whole months, days
+ * and hours that cannot match rather than testing every minute.
+ */
+export function nextCronTime(schedule: CronSchedule, after: Date = new Date()): Date {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(after);
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw new CronError(`Cron expression "${schedule.expression}" never matches`);
+}
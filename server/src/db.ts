@@ -1,14 +1,57 @@
 import 'dotenv/config';
-import { Pool } from 'pg';
+import { Pool, type PoolClient } from 'pg';
 
 
-const pool = new Pool({
+// One pool for the whole server (index.js, the TS routers and migrate.js).
+// Without DATABASE_URL it is null and database features are disabled.
+const resolveSsl = () => {
+const raw = process.env.PGSSL?.toLowerCase();
+if (raw === 'true') return { rejectUnauthorized: false };
+if (raw === 'false') return undefined;
+return process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : undefined;
+};
+
+
+export const pool: Pool | null = process.env.DATABASE_URL
+? new Pool({
 connectionString: process.env.DATABASE_URL,
-ssl: process.env.PGSSL?.toLowerCase() === 'true' ? { rejectUnauthorized: false } : undefined,
+ssl: resolveSsl(),
+connectionTimeoutMillis: 5000,
+idleTimeoutMillis: 30000,
+max: 10,
+})
+: null;
+
+
+if (pool) {
+pool.on('error', (err) => {
+console.error('Database connection error:', err);
 });
+} else {
+console.warn('[WARN] DATABASE_URL not provided. Database features will be disabled.');
+}
 
 
 export async function query<T = any>(text: string, params?: any[]): Promise<{ rows: T[] }> {
+if (!pool) throw new Error('Database not available');
 const res = await pool.query(text, params);
 return { rows: res.rows as T[] };
 }
+
+
+// Runs `fn` inside BEGIN/COMMIT on one connection, rolling back if it throws.
+export async function withTransaction<T>(fn: (client: PoolClient) => Promise<T>): Promise<T> {
+if (!pool) throw new Error('Database not available');
+const client = await pool.connect();
+try {
+await client.query('BEGIN');
+const result = await fn(client);
+await client.query('COMMIT');
+return result;
+} catch (error) {
+await client.query('ROLLBACK').catch(() => {});
+throw error;
+} finally {
+client.release();
+}
+}
@@ -1,17 +1,23 @@
 import 'dotenv/config';
 
+export type EspnFixtureMode = 'record' | 'replay';
+
 type EnvConfig = {
   SWID?: string;
   ESPN_S2?: string;
   USE_ESPN_SCRAPER: boolean;
   ESPN_SCRAPER_HOST: string;
+  USE_MOCK_WAIVER_DATA: boolean;
+  ESPN_FIXTURE_MODE?: EspnFixtureMode;
+  ESPN_FIXTURE_DIR: string;
+  ESPN_CACHE: boolean;
 };
 
-const resolveUseEspnScraper = (): boolean => {
-  const raw = process.env.USE_ESPN_SCRAPER;
+const resolveFlag = (name: string, fallback: boolean): boolean => {
+  const raw = process.env[name];
 
   if (!raw) {
-    return true;
+    return fallback;
   }
 
   const normalized = raw.toLowerCase();
@@ -22,14 +28,33 @@ const resolveUseEspnScraper = (): boolean => {
   return normalized === '1' || normalized === 'true';
 };
 
+const resolveFixtureMode = (): EspnFixtureMode | undefined => {
+  const raw = process.env.ESPN_FIXTURE_MODE?.toLowerCase();
+
+  if (!raw || raw === 'off') {
+    return undefined;
+  }
+
+  if (raw === 'record' || raw === 'replay') {
+    return raw;
+  }
+
+  console.warn(`[WARN] Ignoring unknown ESPN_FIXTURE_MODE "${raw}". Use "record" or "replay".`);
+  return undefined;
+};
+
 const env: EnvConfig = {
-  USE_ESPN_SCRAPER: resolveUseEspnScraper(),
+  USE_ESPN_SCRAPER: resolveFlag('USE_ESPN_SCRAPER', true),
   SWID: process.env.SWID,
   ESPN_S2: process.env.ESPN_S2,
   ESPN_SCRAPER_HOST: process.env.ESPN_SCRAPER_HOST ?? 'https://lm-api-reads.fantasy.espn.com',
+  USE_MOCK_WAIVER_DATA: resolveFlag('USE_MOCK_WAIVER_DATA', false),
+  ESPN_FIXTURE_MODE: resolveFixtureMode(),
+  ESPN_FIXTURE_DIR: process.env.ESPN_FIXTURE_DIR ?? 'fixtures/espn',
+  ESPN_CACHE: resolveFlag('ESPN_CACHE', true),
 };
 
-if (!env.USE_ESPN_SCRAPER && (!env.SWID || !env.ESPN_S2)) {
+if (!env.USE_ESPN_SCRAPER && env.ESPN_FIXTURE_MODE !== 'replay' && (!env.SWID || !env.ESPN_S2)) {
   console.warn('[WARN] Missing SWID or ESPN_S2 env vars. Set them in your host.');
 }
 
@@ -0,0 +1,55 @@
+import { query } from '../db';
+import { fetchPlayerNews, newsArticles, newsItemFromArticle, upsertPlayerNews, type NewsItem } from '../routes/espn/news';
+
+// Articles requested per player; the feed is newest first, so this covers a few days.
+const ARTICLES_PER_PLAYER = 10;
+
+export type NewsIngestOptions = {
+  log?: (message: string) => void;
+};
+
+export type NewsIngestResult = {
+  players: number;
+  articles: number;
+  inserted: number;
+  updated: number;
+  // ESPN player ids whose feed could not be fetched or stored.
+  failed: number[];
+};
+
+type TrackedPlayer = { id: number; espn_id: number };
+
+/**
+ * Pulls ESPN's news feed for every rostered or watchlisted player (any league) and
+ * upserts it into player_news, so the same article fetched twice is updated rather than
+ * duplicated. Feeds are fetched and stored one player at a time and always bypass the
+ * cache; a player whose fetch or write fails is logged and skipped.
+ */
+export async function ingestPlayerNews({ log = console.log }: NewsIngestOptions = {}): Promise<NewsIngestResult> {
+  const { rows: players } = await query<TrackedPlayer>(
+    `SELECT p.id, p.espn_id
+       FROM players p
+      WHERE p.id IN (SELECT player_id FROM my_roster UNION SELECT player_id FROM watchlist)
+      ORDER BY p.id`
+  );
+
+  const result: NewsIngestResult = { players: players.length, articles: 0, inserted: 0, updated: 0, failed: [] };
+  for (const player of players) {
+    try {
+      const { data } = await fetchPlayerNews(player.espn_id, ARTICLES_PER_PLAYER, { refresh: true });
+      const items = newsArticles(data)
+        .map((article) => newsItemFromArticle(article, player.id))
+        .filter((item): item is NewsItem => item !== null);
+      const { inserted, updated } = await upsertPlayerNews(items);
+      result.articles += items.length;
+      result.inserted += inserted;
+      result.updated += updated;
+    } catch (error) {
+      log(`News for ESPN player ${player.espn_id} failed: ${(error as Error).message}`);
+      result.failed.push(player.espn_id);
+    }
+  }
+
+  log(`News ingest: ${result.players} players, ${result.inserted} new, ${result.updated} updated, ${result.failed.length} failed`);
+  return result;
+}
@@ -0,0 +1,231 @@
+import env from '../env';
+import { query } from '../db';
+import { espnFetch } from '../routes/espn/client';
+import type { KonaPlayersResponse } from '../routes/espn/waiver';
+import { loadSubscribedTargets, notify, type EventNotification, type Notification } from '../webhooks';
+
+export type NotificationCheckOptions = {
+  log?: (message: string) => void;
+};
+
+export type NotificationCheckResult = {
+  injuryChanges: number;
+  waiverAppearances: number;
+  deliveries: number;
+  failed: number;
+};
+
+type PlayerInfo = { espn_id: number; name: string; position: string | null; team: string | null };
+
+const playerLabel = (player: PlayerInfo): string =>
+  `${player.name}${player.position || player.team ? ` (${[player.position, player.team].filter(Boolean).join(', ')})` : ''}`;
+
+const formatStatus = (status: string): string => status.replace(/_/g, ' ');
+
+const playerFields = (player: PlayerInfo): Notification['fields'] => [
+  { name: 'Position', value: player.position ?? '?' },
+  { name: 'Team', value: player.team ?? 'FA' },
+];
+
+type InjuryChangeRow = PlayerInfo & { status: string; previous_status: string; changed_at: Date };
+
+// Sends every injury status change recorded since the last check for a rostered player.
+// Changes are marked sent even with no subscriber, so a new target does not get a backlog.
+async function notifyInjuryChanges(): Promise<EventNotification[]> {
+  const { rows } = await query<InjuryChangeRow>(
+    `WITH drained AS (
+       UPDATE player_injury_history SET notified_at = NOW()
+        WHERE notified_at IS NULL
+        RETURNING id, player_id, status, previous_status, changed_at
+     )
+     SELECT p.espn_id, p.name, p.position, p.team, d.status, d.previous_status, d.changed_at
+       FROM drained d
+       JOIN players p ON p.id = d.player_id
+      WHERE d.previous_status IS NOT NULL
+        AND EXISTS (SELECT 1 FROM my_roster r WHERE r.player_id = d.player_id)
+      ORDER BY d.id`
+  );
+
+  return rows.map((row) => ({
+    event: 'injury_status_change',
+    title: `🩺 ${row.name}: ${formatStatus(row.status)}`,
+    message: `${playerLabel(row)} changed from ${formatStatus(row.previous_status)} to ${formatStatus(row.status)}.`,
+    fields: [...playerFields(row), { name: 'Was', value: formatStatus(row.previous_status) }],
+    data: {
+      espnId: row.espn_id,
+      name: row.name,
+      position: row.position,
+      team: row.team,
+      status: row.status,
+      previousStatus: row.previous_status,
+      changedAt: row.changed_at,
+    },
+  }));
+}
+
+type WatchedRow = PlayerInfo & { id: number; on_waivers: boolean; espn_league_id: string; season: number };
+
+// ESPN's waiver/free-agent status for players in one league, keyed by ESPN id.
+async function fetchLeagueStatuses(leagueId: string, season: number, espnIds: number[]): Promise<Map<number, string>> {
+  const filter = { players: { filterIds: { value: espnIds }, limit: espnIds.length } };
+  // Not cached: waivers open and clear between cache refreshes.
+  const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=kona_player_info`;
+  const data = await espnFetch<KonaPlayersResponse>(url, { filter });
+  return new Map((data.players ?? []).map((entry) => [entry.player?.id ?? entry.id, entry.status ?? '']));
+}
+
+/**
+ * Checks each league's watchlisted players against ESPN and sends waiver_available for
+ * the ones that have just moved onto waivers. Unscoped watchlist rows have no league to
+ * check. One league failing is logged and skipped.
+ */
+async function notifyWaiverAppearances(log: (message: string) => void): Promise<EventNotification[]> {
+  if (env.USE_MOCK_WAIVER_DATA) {
+    return [];
+  }
+  const { rows } = await query<WatchedRow>(
+    `SELECT w.id, w.on_waivers, p.espn_id, p.name, p.position, p.team, l.espn_league_id, l.season
+       FROM watchlist w
+       JOIN players p ON p.id = w.player_id
+       JOIN leagues l ON l.id = w.league_id
+      ORDER BY w.id`
+  );
+
+  const byLeague = new Map<string, WatchedRow[]>();
+  for (const row of rows) {
+    const key = `${row.espn_league_id}:${row.season}`;
+    byLeague.set(key, [...(byLeague.get(key) ?? []), row]);
+  }
+
+  const notifications: EventNotification[] = [];
+  for (const watched of byLeague.values()) {
+    const { espn_league_id: leagueId, season } = watched[0];
+    let statuses: Map<number, string>;
+    try {
+      statuses = await fetchLeagueStatuses(leagueId, season, [...new Set(watched.map((row) => row.espn_id))]);
+    } catch (error) {
+      log(`Waiver check for league ${leagueId} failed: ${(error as Error).message}`);
+      continue;
+    }
+
+    const changed = watched
+      .map((row) => ({ row, onWaivers: statuses.get(row.espn_id) === 'WAIVERS' }))
+      .filter(({ row, onWaivers }) => statuses.has(row.espn_id) && onWaivers !== row.on_waivers);
+    if (!changed.length) {
+      continue;
+    }
+    await query(
+      `UPDATE watchlist w SET on_waivers = t.on_waivers
+         FROM UNNEST($1::int[], $2::boolean[]) AS t(id, on_waivers)
+        WHERE w.id = t.id`,
+      [changed.map(({ row }) => row.id), changed.map(({ onWaivers }) => onWaivers)]
+    );
+
+    // A player watched by several teams in the league is announced once.
+    const appeared = new Map(changed.filter(({ onWaivers }) => onWaivers).map(({ row }) => [row.espn_id, row]));
+    for (const row of appeared.values()) {
+      notifications.push({
+        event: 'waiver_available',
+        title: `📋 ${row.name} is on waivers`,
+        message: `${playerLabel(row)} from your watchlist is on waivers in league ${leagueId}.`,
+        fields: [...playerFields(row), { name: 'League', value: leagueId }],
+        data: { espnId: row.espn_id, name: row.name, position: row.position, team: row.team, leagueId, season },
+      });
+    }
+  }
+  return notifications;
+}
+
+async function send(notifications: EventNotification[], result: NotificationCheckResult): Promise<void> {
+  for (const notification of notifications) {
+    const deliveries = await notify(notification);
+    result.deliveries += deliveries.length;
+    result.failed += deliveries.filter((delivery) => delivery.status === 'failed').length;
+  }
+}
+
+/**
+ * Looks for roster and watchlist events and sends them to the subscribed webhook targets:
+ * injury status changes of rostered players, and watchlisted players moving onto waivers.
+ * Ownership threshold crossings are sent by the ownership snapshot instead.
+ */
+export async function checkNotifications({ log = console.log }: NotificationCheckOptions = {}): Promise<NotificationCheckResult> {
+  const result: NotificationCheckResult = { injuryChanges: 0, waiverAppearances: 0, deliveries: 0, failed: 0 };
+
+  const injuries = await notifyInjuryChanges();
+  result.injuryChanges = injuries.length;
+  await send(injuries, result);
+
+  const waivers = await notifyWaiverAppearances(log);
+  result.waiverAppearances = waivers.length;
+  await send(waivers, result);
+
+  log(
+    `Notifications: ${result.injuryChanges} injury changes, ${result.waiverAppearances} waiver appearances, ` +
+      `${result.deliveries} deliveries, ${result.failed} failed`
+  );
+  return result;
+}
+
+type OwnershipRow = PlayerInfo & { current: number; previous: number };
+
+/**
+ * Sends ownership_threshold for watchlisted players whose ownership crossed a target's
+ * threshold, in either direction, between the previous snapshot and the one taken at
+ * `recordedAt`. Each target is checked against its own threshold.
+ */
+export async function notifyOwnershipCrossings(recordedAt: string): Promise<number> {
+  const targets = await loadSubscribedTargets('ownership_threshold');
+  if (!targets.length) {
+    return 0;
+  }
+
+  const { rows } = await query<OwnershipRow>(
+    `SELECT DISTINCT p.espn_id, p.name, p.position, p.team,
+            cur.percent_owned::float AS current, prev.percent_owned::float AS previous
+       FROM watchlist w
+       JOIN players p ON p.id = w.player_id
+       JOIN player_ownership_history cur ON cur.player_id = p.id AND cur.recorded_at = $1::timestamp
+       JOIN LATERAL (
+         SELECT percent_owned FROM player_ownership_history
+          WHERE player_id = p.id AND recorded_at < $1::timestamp
+          ORDER BY recorded_at DESC
+          LIMIT 1
+       ) prev ON TRUE
+      WHERE cur.percent_owned IS NOT NULL AND prev.percent_owned IS NOT NULL`,
+    [recordedAt]
+  );
+
+  let deliveries = 0;
+  for (const target of targets) {
+    const threshold = target.ownership_threshold;
+    for (const row of rows) {
+      const rose = row.previous < threshold && row.current >= threshold;
+      const fell = row.previous >= threshold && row.current < threshold;
+      if (!rose && !fell) {
+        continue;
+      }
+      const notification: EventNotification = {
+        event: 'ownership_threshold',
+        title: `${rose ? '📈' : '📉'} ${row.name} ${rose ? 'rose above' : 'fell below'} ${threshold}% owned`,
+        message: `${playerLabel(row)} went from ${row.previous.toFixed(1)}% to ${row.current.toFixed(1)}% owned.`,
+        fields: [
+          ...playerFields(row),
+          { name: 'Owned', value: `${row.previous.toFixed(1)}% → ${row.current.toFixed(1)}%` },
+        ],
+        data: {
+          espnId: row.espn_id,
+          name: row.name,
+          position: row.position,
+          team: row.team,
+          threshold,
+          direction: rose ? 'up' : 'down',
+          previous: row.previous,
+          current: row.current,
+        },
+      };
+      deliveries += (await notify(notification, [target])).length;
+    }
+  }
+  return deliveries;
+}
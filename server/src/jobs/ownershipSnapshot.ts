@@ -0,0 +1,111 @@
+import { query } from '../db';
+import { espnFetch } from '../routes/espn/client';
+import { upsertEspnPlayers } from '../routes/espn/playerStore';
+import { notifyOwnershipCrossings } from './notifications';
+import type { KonaPlayersResponse } from '../routes/espn/waiver';
+
+// Ownership only moves for players someone might roster, so the pool is cut at the
+// most-owned MAX_PLAYERS rather than paging through every ESPN player.
+const PAGE_SIZE = 250;
+const MAX_PLAYERS = 1000;
+
+// History older than this is never read by the trending endpoint.
+const RETENTION_DAYS = 30;
+
+export type OwnershipSnapshotOptions = {
+  season?: number;
+  log?: (message: string) => void;
+};
+
+export type OwnershipSnapshotResult = {
+  season: number;
+  recordedAt: string;
+  players: number;
+  pruned: number;
+  // Webhook deliveries for watchlisted players crossing an ownership threshold.
+  notifications: number;
+};
+
+// The NFL season year: January and February still belong to the previous season.
+export const currentSeason = (now: Date = new Date()): number =>
+  now.getMonth() < 2 ? now.getFullYear() - 1 : now.getFullYear();
+
+async function fetchPoolPage(season: number, offset: number) {
+  const filter = {
+    players: {
+      filterStatus: { value: ['FREEAGENT', 'WAIVERS', 'ONTEAM'] },
+      sortPercOwned: { sortPriority: 1, sortAsc: false },
+      limit: PAGE_SIZE,
+      offset,
+    },
+  };
+  // Not cached: every snapshot must see ESPN's current numbers.
+  const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+  const data = await espnFetch<KonaPlayersResponse>(url, { filter });
+  return data.players ?? [];
+}
+
+/**
+ * Refreshes ownership on `players` for the most-owned part of ESPN's player pool and
+ * appends one player_ownership_history row per player. Every row of a snapshot shares
+ * the same recorded_at so deltas compare like with like. Webhook targets then hear about
+ * watchlisted players whose ownership crossed their threshold.
+ */
+export async function snapshotOwnership({
+  season = currentSeason(),
+  log = console.log,
+}: OwnershipSnapshotOptions = {}): Promise<OwnershipSnapshotResult> {
+  // Kept as text so the value round-trips into the TIMESTAMP column unchanged.
+  const { rows } = await query<{ now: string }>('SELECT NOW()::timestamp::text AS now');
+  const recordedAt = rows[0].now;
+  let players = 0;
+
+  for (let offset = 0; offset < MAX_PLAYERS; offset += PAGE_SIZE) {
+    const page = (await fetchPoolPage(season, offset))
+      .map((entry) => entry.player)
+      .filter((player): player is NonNullable<typeof player> => player?.ownership?.percentOwned !== undefined);
+    if (!page.length) {
+      break;
+    }
+
+    const playerIds = await upsertEspnPlayers(page);
+    // ESPN can repeat a player within a page; one history row per player per snapshot.
+    const unique = new Map(page.map((player) => [player.id, player]));
+    const history = [...unique.values()].flatMap((player) => {
+      const playerId = playerIds.get(player.id);
+      return playerId === undefined
+        ? []
+        : [[playerId, player.ownership?.percentOwned ?? null, player.ownership?.percentStarted ?? null]];
+    });
+
+    await query(
+      `INSERT INTO player_ownership_history (player_id, percent_owned, percent_started, recorded_at)
+       SELECT player_id, percent_owned, percent_started, $4::timestamp
+         FROM UNNEST($1::int[], $2::numeric[], $3::numeric[]) AS t(player_id, percent_owned, percent_started)`,
+      [history.map((row) => row[0]), history.map((row) => row[1]), history.map((row) => row[2]), recordedAt]
+    );
+
+    players += history.length;
+    log(`Ownership snapshot: ${players} players`);
+    if (page.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  const { rows: pruned } = await query<{ count: string }>(
+    `WITH pruned AS (
+       DELETE FROM player_ownership_history WHERE recorded_at < NOW() - INTERVAL '${RETENTION_DAYS} days' RETURNING 1
+     )
+     SELECT COUNT(*) AS count FROM pruned`
+  );
+
+  // A failed notification must not fail a snapshot that is already stored.
+  let notifications = 0;
+  try {
+    notifications = await notifyOwnershipCrossings(recordedAt);
+  } catch (error) {
+    console.warn('[WARN] Ownership notifications failed:', (error as Error).message);
+  }
+
+  return { season, recordedAt, players, pruned: Number(pruned[0].count), notifications };
+}
@@ -0,0 +1,155 @@
+import { query } from '../db';
+import { cachedEspnFetch } from '../routes/espn/cache';
+import type { EspnStat, KonaPlayersResponse } from '../routes/espn/waiver';
+
+// ESPN accepts at most this many ids in one `filterIds` request.
+const BATCH_SIZE = 50;
+
+export type AnalyticsIngestOptions = {
+  season: number;
+  week: number;
+  // Start a new run even if an unfinished one exists for this season/week.
+  restart?: boolean;
+  log?: (message: string) => void;
+};
+
+export type AnalyticsIngestResult = {
+  runId: number;
+  season: number;
+  week: number;
+  resumed: boolean;
+  playersProcessed: number;
+  rowsUpserted: number;
+};
+
+type IngestRun = {
+  id: number;
+  last_player_id: number;
+  players_processed: number;
+  rows_upserted: number;
+};
+
+type TrackedPlayer = { id: number; espn_id: number };
+
+const weekStat = (stats: EspnStat[], season: number, week: number, sourceId: number): EspnStat | undefined =>
+  stats.find(
+    (stat) =>
+      stat.statSourceId === sourceId &&
+      stat.statSplitTypeId === 1 &&
+      stat.scoringPeriodId === week &&
+      (stat.seasonId ?? season) === season
+  );
+
+async function openRun(season: number, week: number, restart: boolean): Promise<{ run: IngestRun; resumed: boolean }> {
+  if (!restart) {
+    const { rows } = await query<IngestRun>(
+      `SELECT id, last_player_id, players_processed, rows_upserted
+         FROM analytics_ingest_runs
+        WHERE season = $1 AND week = $2 AND completed_at IS NULL
+        ORDER BY started_at DESC
+        LIMIT 1`,
+      [season, week]
+    );
+    if (rows[0]) {
+      return { run: rows[0], resumed: true };
+    }
+  }
+
+  const { rows } = await query<IngestRun>(
+    `INSERT INTO analytics_ingest_runs (season, week) VALUES ($1, $2)
+     RETURNING id, last_player_id, players_processed, rows_upserted`,
+    [season, week]
+  );
+  return { run: rows[0], resumed: false };
+}
+
+async function fetchWeekStats(season: number, week: number, espnIds: number[]) {
+  const filter = {
+    players: {
+      filterIds: { value: espnIds },
+      filterStatsForCurrentSeasonScoringPeriodId: { value: [week] },
+      filterStatsForSourceIds: { value: [0, 1] },
+      filterStatsForSplitTypeIds: { value: [1] },
+      limit: espnIds.length,
+    },
+  };
+  // Same request shape as POST /api/espn/playerInfo, so points use ESPN's default scoring.
+  const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>('playerInfo', url, { filter }, { season });
+  return data.players ?? [];
+}
+
+/**
+ * Upserts one player_analytics row per tracked player (every row in `players`) for a
+ * season/week. Rows are keyed on (player_id, week, season), so re-running only refreshes
+ * them; a missing actual (the week has not been played yet) never overwrites a stored one.
+ * Progress is checkpointed after each batch, and an unfinished run is resumed.
+ */
+export async function ingestPlayerAnalytics({
+  season,
+  week,
+  restart = false,
+  log = console.log,
+}: AnalyticsIngestOptions): Promise<AnalyticsIngestResult> {
+  const { run, resumed } = await openRun(season, week, restart);
+  let lastPlayerId = run.last_player_id;
+  let playersProcessed = run.players_processed;
+  let rowsUpserted = run.rows_upserted;
+
+  if (resumed) {
+    log(`Resuming analytics run ${run.id} for ${season} week ${week} after player ${lastPlayerId}`);
+  }
+
+  for (;;) {
+    const { rows: batch } = await query<TrackedPlayer>(
+      'SELECT id, espn_id FROM players WHERE id > $1 ORDER BY id LIMIT $2',
+      [lastPlayerId, BATCH_SIZE]
+    );
+    if (!batch.length) {
+      break;
+    }
+
+    const byEspnId = new Map(batch.map((player) => [Number(player.espn_id), player.id]));
+    const entries = await fetchWeekStats(season, week, [...byEspnId.keys()]);
+
+    for (const entry of entries) {
+      const player = entry.player;
+      const playerId = byEspnId.get(player?.id ?? entry.id);
+      if (!player || playerId === undefined) {
+        continue;
+      }
+
+      const stats = player.stats ?? [];
+      const actual = weekStat(stats, season, week, 0)?.appliedTotal ?? null;
+      const projected = weekStat(stats, season, week, 1)?.appliedTotal ?? null;
+      const ownershipChange = player.ownership?.percentChange ?? null;
+      if (actual === null && projected === null) {
+        continue;
+      }
+
+      await query(
+        `INSERT INTO player_analytics (player_id, week, season, points_scored, projected_points, ownership_change)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (player_id, week, season) DO UPDATE SET
+           points_scored = COALESCE(EXCLUDED.points_scored, player_analytics.points_scored),
+           projected_points = COALESCE(EXCLUDED.projected_points, player_analytics.projected_points),
+           ownership_change = COALESCE(EXCLUDED.ownership_change, player_analytics.ownership_change),
+           recorded_at = NOW()`,
+        [playerId, week, season, actual, projected, ownershipChange]
+      );
+      rowsUpserted += 1;
+    }
+
+    lastPlayerId = batch[batch.length - 1].id;
+    playersProcessed += batch.length;
+    await query(
+      'UPDATE analytics_ingest_runs SET last_player_id = $2, players_processed = $3, rows_upserted = $4 WHERE id = $1',
+      [run.id, lastPlayerId, playersProcessed, rowsUpserted]
+    );
+    log(`Ingested ${season} week ${week}: ${playersProcessed} players, ${rowsUpserted} rows`);
+  }
+
+  await query('UPDATE analytics_ingest_runs SET completed_at = NOW() WHERE id = $1', [run.id]);
+
+  return { runId: run.id, season, week, resumed, playersProcessed, rowsUpserted };
+}
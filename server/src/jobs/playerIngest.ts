@@ -0,0 +1,74 @@
+import { espnFetch } from '../routes/espn/client';
+import { FANTASY_POSITIONS, POSITION_SLOT_IDS, type FantasyPosition } from '../routes/espn/constants';
+import { upsertEspnPlayers } from '../routes/espn/playerStore';
+import { loadByeWeeks } from '../routes/espn/schedule';
+import type { KonaPlayersResponse } from '../routes/espn/waiver';
+import { currentSeason } from './ownershipSnapshot';
+
+const PAGE_SIZE = 250;
+// Deep enough to cover every player anyone rosters, most-owned first.
+const MAX_PER_POSITION = 500;
+
+export type PlayerIngestOptions = {
+  season?: number;
+  positions?: FantasyPosition[];
+  log?: (message: string) => void;
+};
+
+export type PlayerIngestResult = {
+  season: number;
+  players: number;
+  byPosition: Partial<Record<FantasyPosition, number>>;
+};
+
+async function fetchPositionPage(season: number, position: FantasyPosition, offset: number) {
+  const filter = {
+    players: {
+      filterSlotIds: { value: [POSITION_SLOT_IDS[position]] },
+      sortPercOwned: { sortPriority: 1, sortAsc: false },
+      limit: PAGE_SIZE,
+      offset,
+    },
+  };
+  const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+  const data = await espnFetch<KonaPlayersResponse>(url, { filter });
+  return data.players ?? [];
+}
+
+/**
+ * Server-side counterpart of scripts/ingestPlayers.js: pages through ESPN's player pool
+ * one position at a time and upserts every player with its bye week from the NFL schedule
+ * (synced from ESPN the first time a season needs it). Slot ids only page the pool; each
+ * player's position comes from upsertEspnPlayers.
+ */
+export async function ingestPlayers({
+  season = currentSeason(),
+  positions = [...FANTASY_POSITIONS],
+  log = console.log,
+}: PlayerIngestOptions = {}): Promise<PlayerIngestResult> {
+  const byeWeeks = await loadByeWeeks(season);
+  const result: PlayerIngestResult = { season, players: 0, byPosition: {} };
+
+  for (const position of positions) {
+    let count = 0;
+    for (let offset = 0; offset < MAX_PER_POSITION; offset += PAGE_SIZE) {
+      const page = (await fetchPositionPage(season, position, offset))
+        .map((entry) => entry.player)
+        .filter((player): player is NonNullable<typeof player> => player !== undefined);
+      if (!page.length) {
+        break;
+      }
+
+      const playerIds = await upsertEspnPlayers(page, byeWeeks);
+      count += playerIds.size;
+      if (page.length < PAGE_SIZE) {
+        break;
+      }
+    }
+    result.byPosition[position] = count;
+    result.players += count;
+    log(`Player ingest: ${count} ${position}`);
+  }
+
+  return result;
+}
@@ -0,0 +1,89 @@
+import { FANTASY_POSITIONS, isFantasyPosition, type FantasyPosition } from '../routes/espn/constants';
+import { lastCompletedWeek } from '../routes/espn/schedule';
+import type { JobDefinition } from '../scheduler';
+import { ingestPlayerNews } from './newsIngest';
+import { checkNotifications } from './notifications';
+import { currentSeason, snapshotOwnership } from './ownershipSnapshot';
+import { ingestPlayerAnalytics } from './playerAnalytics';
+import { ingestPlayers } from './playerIngest';
+
+type ParsedParams = ReturnType<NonNullable<JobDefinition['parseParams']>>;
+
+// Copies the optional whole-number fields of a manual run's body, rejecting anything else.
+const integerParams = (body: Record<string, unknown>, ranges: Record<string, [number, number]>): ParsedParams => {
+  const params: Record<string, unknown> = {};
+  for (const [key, [min, max]] of Object.entries(ranges)) {
+    if (body[key] === undefined) continue;
+    const value = Number(body[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${key} must be a whole number from ${min} to ${max}` };
+    }
+    params[key] = value;
+  }
+  return { params };
+};
+
+const SEASON_RANGE: [number, number] = [2000, 2100];
+
+// Every job the scheduler knows about. Schedules are server local time; each job starts
+// disabled until it is enabled with PATCH /admin/jobs/:name.
+export const JOBS: JobDefinition[] = [
+  {
+    name: 'player-ingest',
+    description: 'Refresh the player pool and bye weeks from ESPN, most-owned first (body: season?, positions?)',
+    schedule: '0 6 * * *',
+    parseParams: (body) => {
+      const { params, error } = integerParams(body, { season: SEASON_RANGE });
+      if (!params || body.positions === undefined) {
+        return { params, error };
+      }
+      const positions = body.positions;
+      if (!Array.isArray(positions) || !positions.length || !positions.every(isFantasyPosition)) {
+        return { error: `positions must be a list of ${FANTASY_POSITIONS.join(', ')}` };
+      }
+      return { params: { ...params, positions } };
+    },
+    run: ({ log, params }) =>
+      ingestPlayers({ log, season: params.season as number | undefined, positions: params.positions as FantasyPosition[] | undefined }),
+  },
+  {
+    name: 'ownership-snapshot',
+    description: 'Record ESPN ownership for the most-owned players and send ownership webhooks (body: season?)',
+    schedule: '0 * * * *',
+    parseParams: (body) => integerParams(body, { season: SEASON_RANGE }),
+    run: ({ log, params }) => snapshotOwnership({ log, season: params.season as number | undefined }),
+  },
+  {
+    name: 'news-ingest',
+    description: 'Pull ESPN news for rostered and watchlisted players',
+    schedule: '*/30 * * * *',
+    run: ({ log }) => ingestPlayerNews({ log }),
+  },
+  {
+    name: 'notifications',
+    description: 'Send webhooks for injury status changes and watchlisted players on waivers',
+    schedule: '*/15 * * * *',
+    run: ({ log }) => checkNotifications({ log }),
+  },
+  {
+    name: 'player-analytics',
+    description: 'Store actual and projected points for the last completed NFL week (body: season?, week?, restart?)',
+    schedule: '0 10 * * 2',
+    parseParams: (body) => {
+      if (body.restart !== undefined && typeof body.restart !== 'boolean') {
+        return { error: 'restart must be true or false' };
+      }
+      const { params, error } = integerParams(body, { season: SEASON_RANGE, week: [1, 18] });
+      return params ? { params: { ...params, restart: body.restart === true } } : { error };
+    },
+    run: async ({ log, params }) => {
+      const season = (params.season as number | undefined) ?? currentSeason();
+      const week = (params.week as number | undefined) ?? (await lastCompletedWeek(season));
+      if (week === null) {
+        log(`No completed week in ${season} yet`);
+        return { season, week: null };
+      }
+      return ingestPlayerAnalytics({ season, week, restart: params.restart === true, log });
+    },
+  },
+];
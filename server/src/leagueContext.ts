@@ -0,0 +1,115 @@
+import { query } from './db';
+
+// Which ESPN league (and optionally which fantasy team) a request is about.
+export type LeagueContext = {
+  leagueId: string;
+  season: number;
+  teamId?: number;
+};
+
+// Database ids for a context. Both null means the unscoped rows that predate leagues.
+export type LeagueScope = {
+  leagueRef: number | null;
+  teamRef: number | null;
+};
+
+export const UNSCOPED: LeagueScope = { leagueRef: null, teamRef: null };
+
+const LEAGUE_ID_PATTERN = /^\d{1,20}$/;
+
+/**
+ * Reads `leagueId`, `season` and `teamId` from a query string or body. No `leagueId`
+ * means no context (the unscoped rows); `season` alone is ignored.
+ */
+export function parseLeagueContext(source: Record<string, unknown> = {}): { context: LeagueContext | null; error?: string } {
+  const rawLeagueId = source.leagueId;
+  if (rawLeagueId === undefined || rawLeagueId === null || rawLeagueId === '') {
+    return { context: null };
+  }
+
+  const leagueId = String(rawLeagueId).trim();
+  if (!LEAGUE_ID_PATTERN.test(leagueId)) {
+    return { context: null, error: 'leagueId must be a numeric ESPN league id' };
+  }
+
+  const season = Number(source.season);
+  if (!Number.isInteger(season) || season < 2000 || season > 2100) {
+    return { context: null, error: 'season is required with leagueId' };
+  }
+
+  const context: LeagueContext = { leagueId, season };
+
+  if (source.teamId !== undefined && source.teamId !== null && source.teamId !== '') {
+    const teamId = Number(source.teamId);
+    if (!Number.isInteger(teamId) || teamId < 1) {
+      return { context: null, error: 'teamId must be a positive integer' };
+    }
+    context.teamId = teamId;
+  }
+
+  return { context };
+}
+
+/**
+ * Upserts the league (and team, when given) behind a context and returns their ids.
+ */
+export async function ensureLeagueScope(context: LeagueContext | null): Promise<LeagueScope> {
+  if (!context) {
+    return UNSCOPED;
+  }
+
+  const { rows: leagues } = await query<{ id: number }>(
+    `INSERT INTO leagues (espn_league_id, season) VALUES ($1, $2)
+     ON CONFLICT (espn_league_id, season) DO UPDATE SET espn_league_id = EXCLUDED.espn_league_id
+     RETURNING id`,
+    [context.leagueId, context.season]
+  );
+  const leagueRef = leagues[0].id;
+
+  if (context.teamId === undefined) {
+    return { leagueRef, teamRef: null };
+  }
+
+  const { rows: teams } = await query<{ id: number }>(
+    `INSERT INTO fantasy_teams (league_id, espn_team_id) VALUES ($1, $2)
+     ON CONFLICT (league_id, espn_team_id) DO UPDATE SET espn_team_id = EXCLUDED.espn_team_id
+     RETURNING id`,
+    [leagueRef, context.teamId]
+  );
+  return { leagueRef, teamRef: teams[0].id };
+}
+
+/**
+ * Looks up the ids behind a context without creating anything. Returns null when the
+ * league or team has never been stored, i.e. there is nothing scoped to it yet.
+ */
+export async function findLeagueScope(context: LeagueContext | null): Promise<LeagueScope | null> {
+  if (!context) {
+    return UNSCOPED;
+  }
+
+  const { rows } = await query<{ league_ref: number; team_ref: number | null }>(
+    `SELECT l.id AS league_ref, t.id AS team_ref
+       FROM leagues l
+       LEFT JOIN fantasy_teams t ON t.league_id = l.id AND t.espn_team_id = $3
+      WHERE l.espn_league_id = $1 AND l.season = $2`,
+    [context.leagueId, context.season, context.teamId ?? null]
+  );
+
+  const row = rows[0];
+  if (!row || (context.teamId !== undefined && row.team_ref === null)) {
+    return null;
+  }
+
+  return { leagueRef: row.league_ref, teamRef: context.teamId === undefined ? null : row.team_ref };
+}
+
+/**
+ * SQL condition matching rows in exactly this scope. Appends its values to `params`.
+ */
+export function scopeCondition(alias: string, scope: LeagueScope, params: unknown[]): string {
+  params.push(scope.leagueRef, scope.teamRef);
+  const leagueParam = params.length - 1;
+  const teamParam = params.length;
+  return `${alias}.league_id IS NOT DISTINCT FROM $${leagueParam}::int AND ${alias}.team_id IS NOT DISTINCT FROM $${teamParam}::int`;
+}
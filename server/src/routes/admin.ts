@@ -0,0 +1,178 @@
+import { Router, type Request, type Response } from 'express';
+import { pool, query } from '../db';
+import { JobError, listJobRuns, listJobs, parseJobUpdate, runJob, updateJob } from '../scheduler';
+
+
+const router = Router();
+
+
+// 503 when the server runs without a database, 500 for any other failure.
+const handleError = (res: Response, error: unknown, label: string) => {
+  console.error(`${label}:`, error);
+  res.status(pool ? 500 : 503).json({ ok: false, error: (error as Error).message });
+};
+
+
+const cacheFilters = (source: Record<string, string | undefined>) => {
+  const { leagueId, season, view, endpoint, expired } = source;
+  const params: any[] = [];
+  const where: string[] = [];
+  if (leagueId) { params.push(leagueId); where.push(`league_id = $${params.length}`); }
+  if (season) { params.push(Number(season)); where.push(`season = $${params.length}`); }
+  if (view) { params.push(view); where.push(`view = $${params.length}`); }
+  if (endpoint) { params.push(endpoint); where.push(`endpoint = $${params.length}`); }
+  if (expired === '1' || expired === 'true') { where.push('expires_at <= NOW()'); }
+  return { params, where: where.length ? `WHERE ${where.join(' AND ')}` : '' };
+};
+
+
+// Inspect cached ESPN responses (payloads omitted; see `bytes` for size)
+router.get('/cache', async (req, res) => {
+  const { params, where } = cacheFilters(req.query as Record<string, string | undefined>);
+  try {
+    const { rows } = await query(
+      `SELECT cache_key, endpoint, league_id, season, view, filter, cached_at, expires_at,
+              expires_at > NOW() AS fresh, pg_column_size(data) AS bytes
+         FROM league_cache ${where}
+        ORDER BY cached_at DESC
+        LIMIT 500`,
+      params
+    );
+    res.json({ entries: rows });
+  } catch (error) {
+    handleError(res, error, 'Cache listing failed');
+  }
+});
+
+
+// Purge entries matching the same filters as GET /cache (no filters purges everything)
+router.delete('/cache', async (req, res) => {
+  const { params, where } = cacheFilters(req.query as Record<string, string | undefined>);
+  try {
+    const { rows } = await query(`DELETE FROM league_cache ${where} RETURNING cache_key`, params);
+    res.json({ ok: true, purged: rows.length });
+  } catch (error) {
+    handleError(res, error, 'Cache purge failed');
+  }
+});
+
+
+router.delete('/cache/:key', async (req, res) => {
+  try {
+    const { rows } = await query('DELETE FROM league_cache WHERE cache_key = $1 RETURNING cache_key', [req.params.key]);
+    res.json({ ok: true, purged: rows.length });
+  } catch (error) {
+    handleError(res, error, 'Cache purge failed');
+  }
+});
+
+
+const handleJobError = (res: Response, error: unknown) => {
+  if (error instanceof JobError && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Job route error:', error);
+  res.status(500).json({ ok: false, error: (error as Error).message });
+};
+
+
+const runJobRoute = (name: string) => async (req: Request, res: Response) => {
+  try {
+    const run = await runJob(name, { body: req.body ?? {} });
+    if (run?.status === 'failed') {
+      return res.status(500).json({ ok: false, error: run.error });
+    }
+    res.json({ ok: true, ...(run?.result as object) });
+  } catch (error) {
+    handleJobError(res, error);
+  }
+};
+
+
+// Pull one week of actual/projected points into player_analytics now: { season, week, restart? }.
+// Runs as the player-analytics job under its lease, so it answers 409 instead of overlapping a scheduled run.
+router.post('/analytics/ingest', (req, res) => {
+  const season = Number(req.body?.season);
+  const week = Number(req.body?.week);
+  if (!Number.isInteger(season) || !Number.isInteger(week) || week < 1 || week > 18) {
+    return res.status(400).json({ error: 'season and week (1-18) required' });
+  }
+  return runJobRoute('player-analytics')(req, res);
+});
+
+
+router.get('/analytics/runs', async (_req, res) => {
+  try {
+    const { rows } = await query('SELECT * FROM analytics_ingest_runs ORDER BY started_at DESC LIMIT 100');
+    res.json({ runs: rows });
+  } catch (error) {
+    handleError(res, error, 'Analytics run listing failed');
+  }
+});
+
+
+// These run the scheduled job of the same name now: ownership { season? }
+router.post('/ownership/snapshot', runJobRoute('ownership-snapshot'));
+router.post('/news/ingest', runJobRoute('news-ingest'));
+router.post('/notifications/check', runJobRoute('notifications'));
+
+
+// Scheduled jobs with their schedule, lease and last run
+router.get('/jobs', async (_req, res) => {
+  try {
+    res.json({ jobs: await listJobs() });
+  } catch (error) {
+    handleJobError(res, error);
+  }
+});
+
+
+// Run history across jobs, newest first: ?job=&status=running|succeeded|failed&limit=
+router.get('/jobs/runs', async (req, res) => {
+  const { job, status, limit } = req.query as Record<string, string | undefined>;
+  try {
+    res.json({ runs: await listJobRuns({ job, status, limit: limit === undefined ? undefined : Number(limit) }) });
+  } catch (error) {
+    handleJobError(res, error);
+  }
+});
+
+
+router.get('/jobs/:name/runs', async (req, res) => {
+  const { status, limit } = req.query as Record<string, string | undefined>;
+  try {
+    res.json({
+      runs: await listJobRuns({ job: req.params.name, status, limit: limit === undefined ? undefined : Number(limit) }),
+    });
+  } catch (error) {
+    handleJobError(res, error);
+  }
+});
+
+
+// Change a job's schedule or pause it: { schedule?, enabled? }
+router.patch('/jobs/:name', async (req, res) => {
+  const { update, error } = parseJobUpdate(req.body);
+  if (!update) {
+    return res.status(400).json({ error });
+  }
+  try {
+    res.json({ job: await updateJob(req.params.name, update) });
+  } catch (error) {
+    handleJobError(res, error);
+  }
+});
+
+
+// Run a job now; the body is passed to the job as its params. Responds once the run finishes.
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const run = await runJob(req.params.name, { body: req.body ?? {} });
+    res.status(run?.status === 'failed' ? 500 : 200).json({ run });
+  } catch (error) {
+    handleJobError(res, error);
+  }
+});
+
+
+export default router;
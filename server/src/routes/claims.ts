@@ -0,0 +1,471 @@
+import { Router, type Response } from 'express';
+import type { PoolClient } from 'pg';
+import { pool, withTransaction } from '../db';
+import {
+  ensureLeagueScope,
+  findLeagueScope,
+  parseLeagueContext,
+  scopeCondition,
+  type LeagueScope,
+} from '../leagueContext';
+
+
+const router = Router();
+
+
+export const CLAIM_STATUSES = ['pending', 'won', 'lost', 'cancelled'] as const;
+
+export type ClaimStatus = (typeof CLAIM_STATUSES)[number];
+
+export class ClaimError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = 'ClaimError';
+  }
+}
+
+type ClaimRow = {
+  id: number;
+  player_id: number;
+  drop_player_id: number | null;
+  status: ClaimStatus;
+};
+
+const ROSTER_SLOTS = ['QB', 'RB', 'WR', 'TE', 'FLEX', 'D/ST', 'K', 'BENCH', 'IR'];
+
+const CLAIM_SELECT = `
+  SELECT c.*,
+         p.espn_id, p.name, p.position, p.team,
+         d.espn_id AS drop_espn_id, d.name AS drop_name, d.position AS drop_position
+    FROM waiver_claims c
+    JOIN players p ON p.id = c.player_id
+    LEFT JOIN players d ON d.id = c.drop_player_id`;
+
+
+const handleError = (res: Response, error: unknown) => {
+  const status = (error as { status?: number } | undefined)?.status ?? 500;
+  if (status >= 500) {
+    console.error('Claims route error:', error);
+  }
+  res.status(status).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+};
+
+const isId = (value: unknown): boolean => /^\d+$/.test(String(value ?? ''));
+
+// Whole dollars, or undefined when the field was not sent.
+function parseBid(value: unknown): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  const bid = Number(value);
+  if (!Number.isInteger(bid) || bid < 0) {
+    throw new ClaimError('faab_bid must be a whole number of dollars', 400);
+  }
+  return bid;
+}
+
+async function scopeFor(source: Record<string, unknown>, create: boolean): Promise<LeagueScope | null> {
+  const { context, error } = parseLeagueContext(source);
+  if (error) {
+    throw new ClaimError(error, 400);
+  }
+  return create ? ensureLeagueScope(context) : findLeagueScope(context);
+}
+
+async function loadClaims(db: Pick<PoolClient, 'query'>, scope: LeagueScope, status?: string) {
+  const params: unknown[] = [];
+  let where = scopeCondition('c', scope, params);
+  if (status) {
+    params.push(status);
+    where += ` AND c.status = $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `${CLAIM_SELECT}
+      WHERE ${where}
+      ORDER BY c.status = 'pending' DESC, c.claim_priority NULLS LAST, c.claim_date DESC`,
+    params
+  );
+  return rows;
+}
+
+async function lockClaim(client: PoolClient, id: string, scope: LeagueScope): Promise<ClaimRow> {
+  const params: unknown[] = [id];
+  const { rows } = await client.query<ClaimRow>(
+    `SELECT c.id, c.player_id, c.drop_player_id, c.status
+       FROM waiver_claims c
+      WHERE c.id = $1 AND ${scopeCondition('c', scope, params)}
+        FOR UPDATE`,
+    params
+  );
+  if (!rows[0]) {
+    throw new ClaimError('Claim not found', 404);
+  }
+  return rows[0];
+}
+
+// A drop candidate has to be on the roster the claim belongs to.
+async function assertOnRoster(client: PoolClient, playerId: number, scope: LeagueScope) {
+  const params: unknown[] = [playerId];
+  const { rows } = await client.query(
+    `SELECT 1 FROM my_roster r WHERE r.player_id = $1 AND ${scopeCondition('r', scope, params)} LIMIT 1`,
+    params
+  );
+  if (!rows.length) {
+    throw new ClaimError('drop_player_id is not on this roster', 400);
+  }
+}
+
+// Pending claims are kept numbered 1..n in their current order.
+async function renumberPending(client: PoolClient, scope: LeagueScope) {
+  const params: unknown[] = [];
+  await client.query(
+    `UPDATE waiver_claims c SET claim_priority = ordered.priority
+       FROM (
+         SELECT c.id, ROW_NUMBER() OVER (ORDER BY c.claim_priority NULLS LAST, c.claim_date, c.id) AS priority
+           FROM waiver_claims c
+          WHERE c.status = 'pending' AND ${scopeCondition('c', scope, params)}
+       ) ordered
+      WHERE c.id = ordered.id AND c.claim_priority IS DISTINCT FROM ordered.priority`,
+    params
+  );
+}
+
+// Claims made straight from waiver analysis only know the ESPN player, so it is added
+// to `players` if needed. Stored players keep their details.
+async function claimedPlayerId(client: PoolClient, body: Record<string, unknown>): Promise<number> {
+  if (body.player_id !== undefined) {
+    if (!isId(body.player_id)) {
+      throw new ClaimError('player_id must be a player id', 400);
+    }
+    const { rows } = await client.query<{ id: number }>('SELECT id FROM players WHERE id = $1', [body.player_id]);
+    if (!rows[0]) {
+      throw new ClaimError('Player not found', 404);
+    }
+    return rows[0].id;
+  }
+
+  if (!isId(body.espn_id) || typeof body.name !== 'string' || !body.name.trim()) {
+    throw new ClaimError('player_id, or espn_id and name, required', 400);
+  }
+  const { rows } = await client.query<{ id: number }>(
+    `INSERT INTO players (espn_id, name, position, team) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (espn_id) DO UPDATE SET espn_id = EXCLUDED.espn_id
+     RETURNING id`,
+    [body.espn_id, body.name.trim(), body.position ?? null, body.team ?? null]
+  );
+  return rows[0].id;
+}
+
+
+// Every route takes an optional league context (leagueId, season, teamId) in the query
+// string or body; without one it works on the unscoped claims. ?status= filters the list.
+router.get('/', async (req, res) => {
+  if (!pool) {
+    return res.json({ claims: [], message: 'Database not available' });
+  }
+
+  const status = req.query.status as string | undefined;
+  if (status && !(CLAIM_STATUSES as readonly string[]).includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${CLAIM_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const scope = await scopeFor(req.query as Record<string, unknown>, false);
+    res.json({ claims: scope ? await loadClaims(pool, scope, status) : [] });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// New pending claim at the bottom of the priority order:
+// { player_id | espn_id + name (+ position, team), drop_player_id?, faab_bid?, notes? }
+router.post('/', async (req, res) => {
+  const body = (req.body ?? {}) as Record<string, unknown>;
+
+  try {
+    const faabBid = parseBid(body.faab_bid) ?? 0;
+    if (body.drop_player_id != null && !isId(body.drop_player_id)) {
+      throw new ClaimError('drop_player_id must be a player id', 400);
+    }
+    const scope = (await scopeFor(body, true)) as LeagueScope;
+
+    const claim = await withTransaction(async (client) => {
+      const playerId = await claimedPlayerId(client, body);
+      const dropPlayerId = body.drop_player_id == null ? null : Number(body.drop_player_id);
+      if (dropPlayerId !== null) {
+        await assertOnRoster(client, dropPlayerId, scope);
+      }
+
+      const params: unknown[] = [];
+      const inScope = scopeCondition('c', scope, params);
+      params.push(playerId, dropPlayerId, faabBid, body.notes ?? null);
+      const n = params.length;
+      const { rows } = await client.query(
+        `INSERT INTO waiver_claims (player_id, drop_player_id, faab_bid, notes, claim_priority, status, league_id, team_id)
+         SELECT $${n - 3}, $${n - 2}, $${n - 1}, $${n}, COALESCE(MAX(c.claim_priority), 0) + 1, 'pending', $1, $2
+           FROM waiver_claims c
+          WHERE c.status = 'pending' AND ${inScope}
+         RETURNING id`,
+        params
+      );
+      const { rows: saved } = await client.query(`${CLAIM_SELECT} WHERE c.id = $1`, [rows[0].id]);
+      return saved[0];
+    });
+
+    res.json({ claim });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Sets the pending claims' priority to the order given: { ids: [claimId, ...] }.
+// The list must contain every pending claim in the scope exactly once.
+router.put('/order', async (req, res) => {
+  const ids: unknown[] = Array.isArray(req.body?.ids) ? req.body.ids : [];
+  if (!ids.length || !ids.every(isId)) {
+    return res.status(400).json({ error: 'ids[] of claim ids required' });
+  }
+
+  try {
+    const scope = await scopeFor(req.body ?? {}, false);
+    if (!scope) {
+      throw new ClaimError('No claims for this league', 404);
+    }
+
+    const claims = await withTransaction(async (client) => {
+      const params: unknown[] = [];
+      const { rows: pending } = await client.query<{ id: number }>(
+        `SELECT c.id FROM waiver_claims c
+          WHERE c.status = 'pending' AND ${scopeCondition('c', scope, params)}
+            FOR UPDATE`,
+        params
+      );
+
+      const order = ids.map(Number);
+      const pendingIds = new Set(pending.map((row) => row.id));
+      const complete = order.length === pendingIds.size && order.every((id) => pendingIds.has(id));
+      if (!complete || new Set(order).size !== order.length) {
+        throw new ClaimError('ids must list every pending claim exactly once', 400);
+      }
+
+      await client.query(
+        `UPDATE waiver_claims c SET claim_priority = ordered.priority
+           FROM UNNEST($1::int[]) WITH ORDINALITY AS ordered(id, priority)
+          WHERE c.id = ordered.id`,
+        [order]
+      );
+      return loadClaims(client, scope, 'pending');
+    });
+
+    res.json({ claims });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Edit a claim: { faab_bid?, drop_player_id? (null clears it), notes?, status? }.
+// status only moves between pending and cancelled; won/lost go through /:id/resolve.
+router.patch('/:id', async (req, res) => {
+  if (!isId(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a claim id' });
+  }
+  const body = (req.body ?? {}) as Record<string, unknown>;
+
+  try {
+    const faabBid = parseBid(body.faab_bid);
+    const status = body.status as string | undefined;
+    if (status !== undefined && status !== 'pending' && status !== 'cancelled') {
+      throw new ClaimError('status can only be set to pending or cancelled; resolve claims to mark them won or lost', 400);
+    }
+    if (body.drop_player_id != null && !isId(body.drop_player_id)) {
+      throw new ClaimError('drop_player_id must be a player id', 400);
+    }
+
+    const scope = await scopeFor(body, false);
+    if (!scope) {
+      throw new ClaimError('Claim not found', 404);
+    }
+
+    const claim = await withTransaction(async (client) => {
+      const current = await lockClaim(client, req.params.id, scope);
+      const reopening = status === 'pending' && current.status !== 'pending';
+      if (current.status !== 'pending' && !reopening) {
+        throw new ClaimError(`Claim is already ${current.status}`, 409);
+      }
+      if (reopening && current.status === 'won') {
+        throw new ClaimError('A won claim cannot be reopened', 409);
+      }
+
+      const sets: string[] = [];
+      const params: unknown[] = [current.id];
+      const set = (column: string, value: unknown) => {
+        params.push(value);
+        sets.push(`${column} = $${params.length}`);
+      };
+
+      if (faabBid !== undefined) set('faab_bid', faabBid);
+      if (body.notes !== undefined) set('notes', body.notes);
+      if (body.drop_player_id !== undefined) {
+        const dropPlayerId = body.drop_player_id === null ? null : Number(body.drop_player_id);
+        if (dropPlayerId !== null) {
+          await assertOnRoster(client, dropPlayerId, scope);
+        }
+        set('drop_player_id', dropPlayerId);
+      }
+      if (status === 'cancelled') {
+        set('status', 'cancelled');
+        sets.push('resolved_at = NOW()');
+      } else if (reopening) {
+        // Reopened claims go to the back of the queue.
+        set('status', 'pending');
+        sets.push('resolved_at = NULL', 'claim_priority = NULL');
+      }
+
+      if (sets.length) {
+        await client.query(`UPDATE waiver_claims SET ${sets.join(', ')} WHERE id = $1`, params);
+      }
+      await renumberPending(client, scope);
+
+      const { rows } = await client.query(`${CLAIM_SELECT} WHERE c.id = $1`, [current.id]);
+      return rows[0];
+    });
+
+    res.json({ claim });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Record how a pending claim went: { outcome: 'won' | 'lost', faab_bid?, position_slot? }.
+// Winning drops the paired player from the roster and adds the claimed one (BENCH by
+// default). Other pending claims for the same player are cancelled, and other claims that
+// would drop the same player lose their drop.
+router.post('/:id/resolve', async (req, res) => {
+  if (!isId(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a claim id' });
+  }
+  const body = (req.body ?? {}) as Record<string, unknown>;
+  const outcome = body.outcome;
+  const slot = body.position_slot === undefined ? 'BENCH' : String(body.position_slot).toUpperCase();
+
+  try {
+    if (outcome !== 'won' && outcome !== 'lost') {
+      throw new ClaimError('outcome must be won or lost', 400);
+    }
+    if (!ROSTER_SLOTS.includes(slot)) {
+      throw new ClaimError(`position_slot must be one of ${ROSTER_SLOTS.join(', ')}`, 400);
+    }
+    const faabBid = parseBid(body.faab_bid);
+
+    const scope = await scopeFor(body, false);
+    if (!scope) {
+      throw new ClaimError('Claim not found', 404);
+    }
+
+    const result = await withTransaction(async (client) => {
+      const claim = await lockClaim(client, req.params.id, scope);
+      if (claim.status !== 'pending') {
+        throw new ClaimError(`Claim is already ${claim.status}`, 409);
+      }
+
+      const roster = { added: null as number | null, dropped: [] as number[] };
+      let cancelled: number[] = [];
+      let dropsCleared: number[] = [];
+
+      if (outcome === 'won') {
+        if (claim.drop_player_id !== null) {
+          const params: unknown[] = [claim.drop_player_id];
+          const { rows } = await client.query<{ id: number }>(
+            `DELETE FROM my_roster r WHERE r.player_id = $1 AND ${scopeCondition('r', scope, params)} RETURNING r.id`,
+            params
+          );
+          roster.dropped = rows.map((row) => row.id);
+        }
+
+        const params: unknown[] = [claim.player_id];
+        const inScope = scopeCondition('r', scope, params);
+        params.push(slot);
+        const { rows: added } = await client.query<{ id: number }>(
+          `INSERT INTO my_roster (player_id, position_slot, league_id, team_id)
+           SELECT $1, $4, $2, $3
+            WHERE NOT EXISTS (SELECT 1 FROM my_roster r WHERE r.player_id = $1 AND ${inScope})
+           RETURNING id`,
+          params
+        );
+        roster.added = added[0]?.id ?? null;
+
+        const otherParams: unknown[] = [claim.id, claim.player_id];
+        const { rows: cancelledRows } = await client.query<{ id: number }>(
+          `UPDATE waiver_claims c SET status = 'cancelled', resolved_at = NOW()
+            WHERE c.id <> $1 AND c.player_id = $2 AND c.status = 'pending'
+              AND ${scopeCondition('c', scope, otherParams)}
+           RETURNING c.id`,
+          otherParams
+        );
+        cancelled = cancelledRows.map((row) => row.id);
+
+        if (claim.drop_player_id !== null) {
+          const dropParams: unknown[] = [claim.id, claim.drop_player_id];
+          const { rows: clearedRows } = await client.query<{ id: number }>(
+            `UPDATE waiver_claims c SET drop_player_id = NULL
+              WHERE c.id <> $1 AND c.drop_player_id = $2 AND c.status = 'pending'
+                AND ${scopeCondition('c', scope, dropParams)}
+             RETURNING c.id`,
+            dropParams
+          );
+          dropsCleared = clearedRows.map((row) => row.id);
+        }
+      }
+
+      await client.query(
+        `UPDATE waiver_claims
+            SET status = $2, faab_bid = COALESCE($3, faab_bid), resolved_at = NOW()
+          WHERE id = $1`,
+        [claim.id, outcome, faabBid ?? null]
+      );
+      await renumberPending(client, scope);
+
+      const { rows } = await client.query(`${CLAIM_SELECT} WHERE c.id = $1`, [claim.id]);
+      return { claim: rows[0], roster, cancelled, dropsCleared };
+    });
+
+    res.json(result);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+router.delete('/:id', async (req, res) => {
+  if (!isId(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a claim id' });
+  }
+
+  try {
+    const scope = await scopeFor(req.query as Record<string, unknown>, false);
+    if (!scope) {
+      return res.json({ ok: true, deleted: 0 });
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const params: unknown[] = [req.params.id];
+      const { rows } = await client.query(
+        `DELETE FROM waiver_claims c WHERE c.id = $1 AND ${scopeCondition('c', scope, params)} RETURNING c.id`,
+        params
+      );
+      await renumberPending(client, scope);
+      return rows.length;
+    });
+
+    res.json({ ok: true, deleted });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+export default router;
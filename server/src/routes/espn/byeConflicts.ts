@@ -0,0 +1,282 @@
+import env from '../../env';
+import type { LeagueContext } from '../../leagueContext';
+import { cachedEspnFetch } from './cache';
+import {
+  DEFAULT_POSITION_IDS,
+  POSITION_SLOT_IDS,
+  PRO_TEAM_ABBREVIATIONS,
+  isFantasyPosition,
+  type FantasyPosition,
+} from './constants';
+import { assignMaxWeight, loadLineupLeague, loadStoredRoster, starterSlots } from './lineup';
+import { getMockWaiverPayload } from './mockWaiverData';
+import { loadProTeamSchedules } from './schedule';
+import type { KonaPlayerEntry, KonaPlayersResponse } from './waiver';
+
+export class ByeConflictError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = 'ByeConflictError';
+  }
+}
+
+// Free agents fetched per position, and how many are suggested per short slot.
+const FILLER_POOL = 50;
+const FILLERS_PER_SLOT = 3;
+const LAST_WEEK = 18;
+
+const KICKING_AND_DEFENSE = new Set(['D/ST', 'K']);
+
+export type ByeConflictRequest = {
+  season: number;
+  fromWeek?: number;
+  context: LeagueContext | null;
+};
+
+export type ByeWeekFiller = {
+  espnId: number;
+  name: string;
+  position: FantasyPosition;
+  team: string;
+  percentOwned: number;
+};
+
+// One heatmap cell: a group of identical lineup slots in one week.
+export type ByeWeekCell = {
+  slot: string;
+  required: number;
+  filled: number;
+  // Playable roster players for the slot who are not needed to start anywhere.
+  spare: number;
+  status: 'short' | 'thin' | 'ok';
+  fillers?: ByeWeekFiller[];
+};
+
+export type ByeWeekSummary = {
+  week: number;
+  byes: string[];
+  onBye: { name: string; position: string | null; team: string | null }[];
+  cells: ByeWeekCell[];
+  emptySlots: number;
+  conflict: boolean;
+};
+
+export type ByeConflictResult = {
+  season: number;
+  leagueId: string | null;
+  // Heatmap rows, in the order of each week's cells.
+  slots: { slot: string; eligible: FantasyPosition[]; required: number }[];
+  weeks: ByeWeekSummary[];
+  conflicts: number[];
+};
+
+export function parseByeConflictRequest(
+  source: Record<string, unknown>,
+  context: LeagueContext | null
+): { request?: ByeConflictRequest; error?: string } {
+  let fromWeek: number | undefined;
+  if (source.fromWeek !== undefined && source.fromWeek !== '') {
+    fromWeek = Number(source.fromWeek);
+    if (!Number.isInteger(fromWeek) || fromWeek < 1 || fromWeek > LAST_WEEK) {
+      return { error: `fromWeek must be 1-${LAST_WEEK}` };
+    }
+  }
+
+  const season = context?.season ?? (source.season === undefined ? new Date().getFullYear() : Number(source.season));
+  if (!Number.isInteger(season)) {
+    return { error: 'season must be a year' };
+  }
+
+  return { request: { season, fromWeek, context } };
+}
+
+async function fetchFreeAgents(
+  request: ByeConflictRequest,
+  position: FantasyPosition
+): Promise<KonaPlayerEntry[]> {
+  if (env.USE_MOCK_WAIVER_DATA) {
+    return getMockWaiverPayload(position, request.season).players ?? [];
+  }
+
+  const { season, context } = request;
+  const filter = {
+    players: {
+      filterStatus: { value: ['FREEAGENT', 'WAIVERS'] },
+      filterSlotIds: { value: [POSITION_SLOT_IDS[position]] },
+      sortPercOwned: { sortPriority: 1, sortAsc: false },
+      limit: FILLER_POOL,
+      offset: 0,
+    },
+  };
+  const url = context
+    ? `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${context.leagueId}?view=kona_player_info`
+    : `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>(
+    'freeAgents',
+    url,
+    { filter },
+    { leagueId: context?.leagueId, season }
+  );
+  return data.players ?? [];
+}
+
+// Free agents by position for every position a short slot could use. Without a league the
+// pool is ESPN's whole player list, so the stored roster is filtered out by ESPN id.
+async function loadFillerPool(
+  request: ByeConflictRequest,
+  positions: FantasyPosition[],
+  rostered: Set<number>
+): Promise<Map<FantasyPosition, (ByeWeekFiller & { proTeamId: number })[]>> {
+  const pool = new Map<FantasyPosition, (ByeWeekFiller & { proTeamId: number })[]>();
+
+  for (const position of positions) {
+    try {
+      const entries = await fetchFreeAgents(request, position);
+      pool.set(
+        position,
+        entries
+          .map((entry) => entry.player)
+          .filter((player): player is NonNullable<typeof player> => !!player && !rostered.has(player.id))
+          .filter((player) => DEFAULT_POSITION_IDS[player.defaultPositionId ?? -1] === position)
+          .map((player) => ({
+            espnId: player.id,
+            name: player.fullName ?? `${player.firstName ?? ''} ${player.lastName ?? ''}`.trim(),
+            position,
+            proTeamId: player.proTeamId ?? 0,
+            team: PRO_TEAM_ABBREVIATIONS[player.proTeamId ?? 0] ?? 'FA',
+            percentOwned: Math.round((player.ownership?.percentOwned ?? 0) * 10) / 10,
+          }))
+      );
+    } catch (error) {
+      console.warn(`[WARN] Free agents unavailable for ${position} fillers:`, (error as Error).message);
+    }
+  }
+  return pool;
+}
+
+/**
+ * Week-by-slot view of whether the stored roster can field a full lineup around NFL
+ * byes. Each week's roster players are matched to the league's starting slots so a
+ * FLEX counts as empty only when no eligible player is left over. Injuries are ignored;
+ * this is about byes. Short slots get free-agent suggestions whose team plays that week.
+ */
+export async function analyzeByeConflicts(request: ByeConflictRequest): Promise<ByeConflictResult> {
+  const [league, roster, schedules] = await Promise.all([
+    loadLineupLeague(request),
+    loadStoredRoster(request.context),
+    loadProTeamSchedules(request.season),
+  ]);
+  if (!roster.length) {
+    throw new ByeConflictError('No roster stored for this league/team', 404);
+  }
+  if (!schedules.length) {
+    throw new ByeConflictError(`No NFL schedule available for ${request.season}`, 404);
+  }
+
+  // Pro team -> weeks it plays, keyed by both id and abbreviation.
+  const weeksByTeam = new Map<string | number, Set<number>>();
+  for (const team of schedules) {
+    const weeks = new Set(team.games.map((game) => game.week));
+    weeksByTeam.set(team.proTeamId, weeks);
+    weeksByTeam.set(team.abbrev, weeks);
+  }
+  const lastWeek = Math.min(LAST_WEEK, Math.max(...schedules.flatMap((team) => team.games.map((game) => game.week))));
+  const fromWeek = request.fromWeek ?? league.week ?? 1;
+
+  // A team missing from the schedule is given the benefit of the doubt; free agents never play.
+  const plays = (team: string | null, week: number): boolean => {
+    const key = team?.toUpperCase() ?? '';
+    if (key === 'FA') {
+      return false;
+    }
+    return weeksByTeam.get(key)?.has(week) ?? true;
+  };
+
+  const players = roster
+    .filter((row) => row.position_slot !== 'IR')
+    .map((row) => ({
+      name: row.name,
+      team: row.team,
+      rawPosition: row.position,
+      position: isFantasyPosition(row.position) ? row.position : null,
+    }));
+
+  const slots = starterSlots(league.slotCounts);
+  // Heatmap rows in lineup order: offense and FLEX slots, then D/ST and K.
+  const groups = [...new Set(slots.map((slot) => slot.slotId))]
+    .map((slotId) => {
+      const members = slots.filter((slot) => slot.slotId === slotId);
+      const eligible = members[0].eligible;
+      return { slotId, slot: eligible.length === 1 ? members[0].slot : eligible.join('/'), eligible, required: members.length };
+    })
+    .sort((a, b) => Number(KICKING_AND_DEFENSE.has(a.slot)) - Number(KICKING_AND_DEFENSE.has(b.slot)));
+
+  const weeks: ByeWeekSummary[] = [];
+  for (let week = fromWeek; week <= lastWeek; week += 1) {
+    const available = players.filter((player) => player.position && plays(player.team, week));
+
+    // Filling slots is what counts; the small bonus fills dedicated slots before FLEX so
+    // a shortage shows up on the position that caused it.
+    const weights = slots.map((slot) =>
+      available.map((player) =>
+        slot.eligible.includes(player.position as FantasyPosition) ? 1 + 0.01 / slot.eligible.length : null
+      )
+    );
+    const assignment = assignMaxWeight(weights, available.length);
+    const starting = new Set(assignment.filter((col) => col >= 0));
+
+    const cells = groups.map((group) => {
+      const filled = slots.filter((slot, index) => slot.slotId === group.slotId && assignment[index] >= 0).length;
+      const spare = available.filter(
+        (player, index) => !starting.has(index) && group.eligible.includes(player.position as FantasyPosition)
+      ).length;
+      const status: ByeWeekCell['status'] = filled < group.required ? 'short' : spare === 0 ? 'thin' : 'ok';
+      return { slot: group.slot, required: group.required, filled, spare, status };
+    });
+
+    const emptySlots = cells.reduce((sum, cell) => sum + cell.required - cell.filled, 0);
+    weeks.push({
+      week,
+      byes: schedules.filter((team) => !team.games.some((game) => game.week === week)).map((team) => team.abbrev).sort(),
+      onBye: players
+        .filter((player) => player.team && !plays(player.team, week))
+        .map((player) => ({ name: player.name, position: player.rawPosition, team: player.team })),
+      cells,
+      emptySlots,
+      conflict: emptySlots > 0,
+    });
+  }
+
+  const shortPositions = [
+    ...new Set(
+      weeks.flatMap((summary) =>
+        summary.cells
+          .filter((cell) => cell.status === 'short')
+          .flatMap((cell) => groups.find((group) => group.slot === cell.slot)?.eligible ?? [])
+      )
+    ),
+  ];
+  if (shortPositions.length) {
+    const fillerPool = await loadFillerPool(request, shortPositions, new Set(roster.map((row) => Number(row.espn_id))));
+    for (const summary of weeks) {
+      for (const cell of summary.cells.filter((candidate) => candidate.status === 'short')) {
+        const eligible = groups.find((group) => group.slot === cell.slot)?.eligible ?? [];
+        cell.fillers = eligible
+          .flatMap((position) => fillerPool.get(position) ?? [])
+          .filter((filler) => weeksByTeam.get(filler.proTeamId)?.has(summary.week))
+          .sort((a, b) => b.percentOwned - a.percentOwned)
+          .slice(0, FILLERS_PER_SLOT)
+          .map(({ proTeamId: _proTeamId, ...filler }) => filler);
+      }
+    }
+  }
+
+  return {
+    season: request.season,
+    leagueId: request.context?.leagueId ?? null,
+    slots: groups.map(({ slot, eligible, required }) => ({ slot, eligible, required })),
+    weeks,
+    conflicts: weeks.filter((summary) => summary.conflict).map((summary) => summary.week),
+  };
+}
@@ -0,0 +1,203 @@
+import { createHash } from 'node:crypto';
+import type { Response } from 'express';
+import env from '../../env';
+import { pool, query } from '../../db';
+import { espnFetch, type EspnFetchInit } from './client';
+
+export type CacheEndpoint =
+  | 'league'
+  | 'leagueHistory'
+  | 'players'
+  | 'freeAgents'
+  | 'playerInfo'
+  | 'byeWeeks'
+  | 'news';
+
+type CachePolicy = {
+  // Seconds a response is served without touching ESPN.
+  ttl: number;
+  // Seconds past `ttl` a response may still be served while it is refreshed in the background.
+  staleFor: number;
+};
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const CACHE_POLICIES: Record<CacheEndpoint, CachePolicy> = {
+  league: { ttl: 5 * MINUTE, staleFor: HOUR },
+  leagueHistory: { ttl: 7 * DAY, staleFor: 30 * DAY },
+  players: { ttl: 30 * MINUTE, staleFor: 6 * HOUR },
+  freeAgents: { ttl: 2 * MINUTE, staleFor: 15 * MINUTE },
+  playerInfo: { ttl: 30 * MINUTE, staleFor: 6 * HOUR },
+  byeWeeks: { ttl: DAY, staleFor: 7 * DAY },
+  news: { ttl: 10 * MINUTE, staleFor: HOUR },
+};
+
+export type CacheStatus = 'HIT' | 'MISS' | 'STALE' | 'BYPASS';
+
+export type CacheScope = {
+  leagueId?: string;
+  season?: string | number;
+};
+
+export type CachedResult<T> = {
+  data: T;
+  status: CacheStatus;
+  cachedAt?: Date;
+};
+
+type CacheRow = {
+  data: unknown;
+  cached_at: Date;
+  fresh: boolean;
+  usable: boolean;
+};
+
+const revalidating = new Set<string>();
+let warnedUnavailable = false;
+
+// Fixture modes already serve deterministic data, and without a database there is nowhere to cache.
+const cacheEnabled = (): boolean =>
+  env.ESPN_CACHE && !env.ESPN_FIXTURE_MODE && pool !== null;
+
+const viewOf = (url: string): string | null => {
+  try {
+    return new URL(url).searchParams.get('view');
+  } catch {
+    return null;
+  }
+};
+
+export const cacheKeyFor = (endpoint: CacheEndpoint, url: string, init: EspnFetchInit): string =>
+  createHash('sha256')
+    .update(JSON.stringify({ endpoint, url, filter: init.filter ?? null, body: init.body ?? null }))
+    .digest('hex');
+
+const warnUnavailable = (error: unknown) => {
+  if (warnedUnavailable) {
+    return;
+  }
+  warnedUnavailable = true;
+  const message = (error as { message?: string } | undefined)?.message;
+  console.warn('[WARN] ESPN cache unavailable, falling back to live requests:', message);
+};
+
+async function readEntry(key: string, policy: CachePolicy): Promise<CacheRow | null> {
+  const { rows } = await query<CacheRow>(
+    `SELECT data, cached_at,
+            expires_at > NOW() AS fresh,
+            expires_at + make_interval(secs => $2) > NOW() AS usable
+       FROM league_cache
+      WHERE cache_key = $1`,
+    [key, policy.staleFor]
+  );
+  return rows[0] ?? null;
+}
+
+async function writeEntry(
+  key: string,
+  endpoint: CacheEndpoint,
+  url: string,
+  init: EspnFetchInit,
+  scope: CacheScope,
+  data: unknown
+): Promise<void> {
+  const policy = CACHE_POLICIES[endpoint];
+  await query(
+    `INSERT INTO league_cache (cache_key, endpoint, league_id, season, view, filter, data, cached_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW() + make_interval(secs => $8))
+     ON CONFLICT (cache_key) DO UPDATE SET
+       data = EXCLUDED.data,
+       cached_at = EXCLUDED.cached_at,
+       expires_at = EXCLUDED.expires_at`,
+    [
+      key,
+      endpoint,
+      scope.leagueId ?? null,
+      Number(scope.season) || 0,
+      viewOf(url),
+      init.filter === undefined ? null : JSON.stringify(init.filter),
+      JSON.stringify(data),
+      policy.ttl,
+    ]
+  );
+}
+
+async function fetchAndStore<T>(
+  key: string,
+  endpoint: CacheEndpoint,
+  url: string,
+  init: EspnFetchInit,
+  scope: CacheScope
+): Promise<T> {
+  const data = await espnFetch<T>(url, init);
+
+  try {
+    await writeEntry(key, endpoint, url, init, scope, data);
+  } catch (error) {
+    warnUnavailable(error);
+  }
+
+  return data;
+}
+
+function revalidate(key: string, endpoint: CacheEndpoint, url: string, init: EspnFetchInit, scope: CacheScope) {
+  if (revalidating.has(key)) {
+    return;
+  }
+
+  revalidating.add(key);
+  fetchAndStore(key, endpoint, url, init, scope)
+    .catch((error) => console.warn(`[WARN] Background refresh of ${endpoint} cache failed:`, error.message))
+    .finally(() => revalidating.delete(key));
+}
+
+/**
+ * Wraps `espnFetch` with the `league_cache` table. Fresh entries are served as HIT, entries
+ * inside their stale window are served as STALE and refreshed in the background, and
+ * anything older (or a `refresh` request) goes to ESPN and is stored as MISS.
+ */
+export async function cachedEspnFetch<T = unknown>(
+  endpoint: CacheEndpoint,
+  url: string,
+  init: EspnFetchInit = {},
+  scope: CacheScope = {},
+  options: { refresh?: boolean } = {}
+): Promise<CachedResult<T>> {
+  if (!cacheEnabled()) {
+    return { data: await espnFetch<T>(url, init), status: 'BYPASS' };
+  }
+
+  const key = cacheKeyFor(endpoint, url, init);
+  const policy = CACHE_POLICIES[endpoint];
+
+  let entry: CacheRow | null = null;
+  if (!options.refresh) {
+    try {
+      entry = await readEntry(key, policy);
+    } catch (error) {
+      warnUnavailable(error);
+      return { data: await espnFetch<T>(url, init), status: 'BYPASS' };
+    }
+  }
+
+  if (entry?.fresh) {
+    return { data: entry.data as T, status: 'HIT', cachedAt: entry.cached_at };
+  }
+
+  if (entry?.usable) {
+    revalidate(key, endpoint, url, init, scope);
+    return { data: entry.data as T, status: 'STALE', cachedAt: entry.cached_at };
+  }
+
+  return { data: await fetchAndStore<T>(key, endpoint, url, init, scope), status: 'MISS' };
+}
+
+export function setCacheHeaders(res: Response, result: CachedResult<unknown>) {
+  res.set('X-Cache', result.status);
+  if (result.cachedAt) {
+    const age = Math.max(0, Math.round((Date.now() - new Date(result.cachedAt).getTime()) / 1000));
+    res.set('Age', String(age));
+  }
+}
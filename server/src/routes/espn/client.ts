@@ -1,5 +1,6 @@
 import fetch, { type RequestInit } from 'node-fetch';
 import env from '../../env';
+import { describeFixtureRequest, recordFixture, replayFixture } from './fixtures';
 
 export type EspnFetchInit = {
   filter?: unknown;
@@ -50,6 +51,15 @@ const serializeBody = (body: unknown): string | undefined => {
 };
 
 export async function espnFetch<T = unknown>(url: string, init: EspnFetchInit = {}): Promise<T> {
+  const method = init.method ?? (init.body ? 'POST' : 'GET');
+  const filter = init.filter !== undefined ? JSON.stringify(init.filter) : undefined;
+  const body = serializeBody(init.body);
+  const fixture = env.ESPN_FIXTURE_MODE ? describeFixtureRequest(url, method, filter, body) : undefined;
+
+  if (fixture && env.ESPN_FIXTURE_MODE === 'replay') {
+    return replayFixture<T>(fixture);
+  }
+
   const requestUrl = buildScraperUrl(url);
 
   const headers: Record<string, string> = {
@@ -75,16 +85,15 @@ export async function espnFetch<T = unknown>(url: string, init: EspnFetchInit =
     }
   }
 
-  if (init.filter !== undefined) {
-    headers['x-fantasy-filter'] = JSON.stringify(init.filter);
+  if (filter !== undefined) {
+    headers['x-fantasy-filter'] = filter;
   }
 
   const requestInit: RequestInit = {
     headers,
-    method: init.method ?? (init.body ? 'POST' : 'GET'),
+    method,
   };
 
-  const body = serializeBody(init.body);
   if (body !== undefined) {
     requestInit.body = body;
     if (!headers['Content-Type']) {
@@ -98,5 +107,11 @@ export async function espnFetch<T = unknown>(url: string, init: EspnFetchInit =
     throw new Error(`ESPN ${response.status}: ${text}`);
   }
 
-  return response.json() as Promise<T>;
+  const data = (await response.json()) as T;
+
+  if (fixture) {
+    await recordFixture(fixture, data);
+  }
+
+  return data;
 }
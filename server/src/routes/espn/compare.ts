@@ -0,0 +1,225 @@
+import env from '../../env';
+import { pool, query } from '../../db';
+import { cachedEspnFetch } from './cache';
+import { isFantasyPosition } from './constants';
+import { fetchLeague } from './league';
+import { loadByeWeeks } from './schedule';
+import { parseScoringSettings, scorePlayer, type LeagueScoring, type PeriodPoints } from './scoring';
+import {
+  leaguePlayoffWeeks,
+  loadStrengthOfSchedule,
+  scheduleFactorFor,
+  type ScheduleFactor,
+  type StrengthOfSchedule,
+} from './strengthOfSchedule';
+import type { KonaPlayersResponse } from './waiver';
+
+export const MAX_COMPARE_PLAYERS = 4;
+
+const RECENT_WEEKS = 4;
+const WEEKS_PER_SEASON = 17;
+const SCHEDULE_WEEKS = 4;
+// Days of ownership snapshots behind the trend.
+const TREND_DAYS = 14;
+
+export type CompareRequest = {
+  season: number;
+  espnIds: number[];
+  leagueId?: string;
+};
+
+export type ComparedPlayer = {
+  espnId: number;
+  name: string;
+  position: string | null;
+  team: string;
+  injury: { injured: boolean; status: string };
+  byeWeek: number | null;
+  projection: {
+    season: number | null;
+    perGame: number | null;
+    actual: number | null;
+  };
+  // The latest weeks with points, oldest first.
+  recentWeeks: (PeriodPoints & { week: number })[];
+  ownership: {
+    percentOwned: number | null;
+    // Percentage-point change over the history (or ESPN's weekly change without one).
+    change: number | null;
+    history: { date: string; percentOwned: number }[];
+  };
+  schedule: ScheduleFactor | null;
+};
+
+export type CompareResult = {
+  season: number;
+  leagueId: string | null;
+  scoring: 'league' | 'espn';
+  players: ComparedPlayer[];
+};
+
+const round1 = (value: number): number => Math.round(value * 10) / 10;
+
+export function parseCompareRequest(source: Record<string, unknown>): { request?: CompareRequest; error?: string } {
+  const season = source.season === undefined || source.season === '' ? new Date().getFullYear() : Number(source.season);
+  if (!Number.isInteger(season)) {
+    return { error: 'season must be a year' };
+  }
+
+  const ids = String(source.ids ?? '')
+    .split(',')
+    .filter((value) => value.trim() !== '')
+    .map(Number);
+  if (!ids.length || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    return { error: 'ids must be a comma-separated list of ESPN player ids' };
+  }
+  const espnIds = [...new Set(ids)];
+  if (espnIds.length > MAX_COMPARE_PLAYERS) {
+    return { error: `At most ${MAX_COMPARE_PLAYERS} players can be compared` };
+  }
+
+  const leagueId = source.leagueId === undefined || source.leagueId === '' ? undefined : String(source.leagueId);
+  return { request: { season, espnIds, leagueId } };
+}
+
+async function fetchPlayerStats(request: CompareRequest): Promise<KonaPlayersResponse> {
+  const { season, espnIds, leagueId } = request;
+  const filter = {
+    players: {
+      filterIds: { value: espnIds },
+      filterStatsForExternalIds: { value: [season] },
+      filterStatsForSourceIds: { value: [0, 1] },
+      filterStatsForSplitTypeIds: { value: [0, 1] },
+      limit: espnIds.length,
+    },
+  };
+  const url = leagueId
+    ? `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=kona_player_info`
+    : `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>('playerInfo', url, { filter }, { leagueId, season });
+  return data;
+}
+
+// League scoring and playoff weeks; the comparison falls back to ESPN scoring without them.
+async function loadCompareLeague(request: CompareRequest): Promise<{ scoring: LeagueScoring | null; playoffWeeks?: number[] }> {
+  if (!request.leagueId) {
+    return { scoring: null };
+  }
+  try {
+    const { data: league } = await fetchLeague(request.season, request.leagueId, 'mSettings');
+    return {
+      scoring: parseScoringSettings(league, request.leagueId, request.season),
+      playoffWeeks: leaguePlayoffWeeks(league),
+    };
+  } catch (error) {
+    console.warn('[WARN] League scoring unavailable for comparison:', (error as Error).message);
+    return { scoring: null };
+  }
+}
+
+type OwnershipRow = { espn_id: number; day: string; percent_owned: number };
+
+// Last snapshot of each day per player, from the ownership snapshot job.
+async function loadOwnershipHistory(espnIds: number[]): Promise<Map<number, { date: string; percentOwned: number }[]>> {
+  const history = new Map<number, { date: string; percentOwned: number }[]>();
+  if (!pool) {
+    return history;
+  }
+  try {
+    const { rows } = await query<OwnershipRow>(
+      `SELECT DISTINCT ON (p.espn_id, h.recorded_at::date)
+              p.espn_id, to_char(h.recorded_at::date, 'YYYY-MM-DD') AS day, h.percent_owned::float AS percent_owned
+         FROM player_ownership_history h
+         JOIN players p ON p.id = h.player_id
+        WHERE p.espn_id = ANY($1::int[])
+          AND h.recorded_at >= NOW() - make_interval(days => $2)
+          AND h.percent_owned IS NOT NULL
+        ORDER BY p.espn_id, h.recorded_at::date, h.recorded_at DESC`,
+      [espnIds, TREND_DAYS]
+    );
+    for (const row of rows) {
+      const points = history.get(row.espn_id) ?? [];
+      points.push({ date: row.day, percentOwned: round1(row.percent_owned) });
+      history.set(row.espn_id, points);
+    }
+  } catch (error) {
+    console.warn('[WARN] Ownership history unavailable for comparison:', (error as Error).message);
+  }
+  return history;
+}
+
+async function loadCompareSchedule(season: number, playoffWeeks?: number[]): Promise<StrengthOfSchedule | null> {
+  if (!pool || env.USE_MOCK_WAIVER_DATA) {
+    return null;
+  }
+  try {
+    const sos = await loadStrengthOfSchedule({ season, weeks: SCHEDULE_WEEKS, playoffWeeks });
+    return sos.sampleWeeks ? sos : null;
+  } catch (error) {
+    console.warn('[WARN] Strength of schedule unavailable for comparison:', (error as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Side-by-side view of up to four players, one normalized record each: season
+ * projection, the latest weekly points, ownership trend, schedule strength, injury
+ * status and bye week. Points use the league's scoring when a leagueId is given.
+ * The optional parts (history, schedule, byes) are left empty when unavailable.
+ */
+export async function comparePlayers(request: CompareRequest): Promise<CompareResult> {
+  const { season } = request;
+  const { scoring, playoffWeeks } = await loadCompareLeague(request);
+  const [data, history, sos, byeWeeks] = await Promise.all([
+    fetchPlayerStats(request),
+    loadOwnershipHistory(request.espnIds),
+    loadCompareSchedule(season, playoffWeeks),
+    loadByeWeeks(season).catch((error) => {
+      console.warn('[WARN] Bye weeks unavailable for comparison:', (error as Error).message);
+      return new Map<number, number>();
+    }),
+  ]);
+
+  const entries = new Map((data.players ?? []).map((entry) => [entry.player?.id ?? entry.id, entry]));
+  const players = request.espnIds.flatMap((espnId): ComparedPlayer[] => {
+    const entry = entries.get(espnId);
+    const scored = entry ? scorePlayer(entry, season, scoring) : null;
+    if (!entry?.player || !scored) {
+      return [];
+    }
+    const player = entry.player;
+
+    const played = scored.weeks.filter((week) => week.actual !== null);
+    const ownership = history.get(espnId) ?? [];
+    const espnOwned = player.ownership?.percentOwned;
+
+    return [
+      {
+        espnId,
+        name: scored.name,
+        position: scored.position,
+        team: scored.team,
+        injury: { injured: player.injured ?? false, status: player.injuryStatus ?? 'ACTIVE' },
+        byeWeek: byeWeeks.get(player.proTeamId ?? -1) ?? null,
+        projection: {
+          season: scored.season.projected,
+          perGame: scored.season.projected === null ? null : round1(scored.season.projected / WEEKS_PER_SEASON),
+          actual: scored.season.actual,
+        },
+        recentWeeks: played.slice(-RECENT_WEEKS),
+        ownership: {
+          percentOwned: ownership.length
+            ? ownership[ownership.length - 1].percentOwned
+            : espnOwned === undefined ? null : round1(espnOwned),
+          change: ownership.length > 1
+            ? round1(ownership[ownership.length - 1].percentOwned - ownership[0].percentOwned)
+            : player.ownership?.percentChange === undefined ? null : round1(player.ownership.percentChange),
+          history: ownership,
+        },
+        schedule: sos && isFantasyPosition(scored.position) ? scheduleFactorFor(sos, player.proTeamId, scored.position) : null,
+      },
+    ];
+  });
+
+  return { season, leagueId: request.leagueId ?? null, scoring: scoring ? 'league' : 'espn', players };
+}
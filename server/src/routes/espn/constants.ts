@@ -0,0 +1,124 @@
+// ESPN identifiers shared by the proxy routes.
+
+export const FANTASY_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'D/ST', 'K'] as const;
+
+export type FantasyPosition = (typeof FANTASY_POSITIONS)[number];
+
+// Lineup slot IDs used by ESPN's `filterSlotIds` for each fantasy position.
+export const POSITION_SLOT_IDS: Record<FantasyPosition, number> = {
+  QB: 0,
+  RB: 2,
+  WR: 4,
+  TE: 6,
+  'D/ST': 16,
+  K: 17,
+};
+
+// Roster depth below which a position is treated as a need.
+export const TARGET_DEPTH: Record<FantasyPosition, number> = {
+  QB: 2,
+  RB: 5,
+  WR: 5,
+  TE: 2,
+  'D/ST': 1,
+  K: 1,
+};
+
+// Roster slots stored in `my_roster.position_slot`.
+export type RosterSlot = FantasyPosition | 'FLEX' | 'BENCH' | 'IR';
+
+// `lineupSlotId` on a team's roster entries, mapped to roster slots. OP (superflex)
+// counts as FLEX; any slot not listed here (IDP and other unusual lineups) is stored as BENCH.
+export const LINEUP_SLOT_LABELS: Record<number, RosterSlot> = {
+  0: 'QB',
+  2: 'RB',
+  3: 'FLEX', // RB/WR
+  4: 'WR',
+  5: 'FLEX', // WR/TE
+  6: 'TE',
+  7: 'FLEX', // OP (superflex)
+  16: 'D/ST',
+  17: 'K',
+  20: 'BENCH',
+  21: 'IR',
+  23: 'FLEX', // RB/WR/TE
+};
+
+export const BENCH_SLOT_ID = 20;
+export const IR_SLOT_ID = 21;
+
+// Positions that may start in each lineup slot.
+export const LINEUP_SLOT_POSITIONS: Record<number, FantasyPosition[]> = {
+  0: ['QB'],
+  2: ['RB'],
+  3: ['RB', 'WR'],
+  4: ['WR'],
+  5: ['WR', 'TE'],
+  6: ['TE'],
+  7: ['QB', 'RB', 'WR', 'TE'],
+  16: ['D/ST'],
+  17: ['K'],
+  23: ['RB', 'WR', 'TE'],
+};
+
+// ESPN's standard lineup (`settings.rosterSettings.lineupSlotCounts`), for requests without a league.
+export const DEFAULT_LINEUP_SLOT_COUNTS: Record<number, number> = {
+  0: 1,
+  2: 2,
+  4: 2,
+  6: 1,
+  23: 1,
+  16: 1,
+  17: 1,
+  20: 7,
+  21: 1,
+};
+
+// `player.defaultPositionId` values (these differ from lineup slot IDs).
+export const DEFAULT_POSITION_IDS: Record<number, FantasyPosition> = {
+  1: 'QB',
+  2: 'RB',
+  3: 'WR',
+  4: 'TE',
+  5: 'K',
+  16: 'D/ST',
+};
+
+export const PRO_TEAM_ABBREVIATIONS: Record<number, string> = {
+  0: 'FA',
+  1: 'ATL',
+  2: 'BUF',
+  3: 'CHI',
+  4: 'CIN',
+  5: 'CLE',
+  6: 'DAL',
+  7: 'DEN',
+  8: 'DET',
+  9: 'GB',
+  10: 'TEN',
+  11: 'IND',
+  12: 'KC',
+  13: 'LV',
+  14: 'LAR',
+  15: 'MIA',
+  16: 'MIN',
+  17: 'NE',
+  18: 'NO',
+  19: 'NYG',
+  20: 'NYJ',
+  21: 'PHI',
+  22: 'ARI',
+  23: 'PIT',
+  24: 'LAC',
+  25: 'SF',
+  26: 'SEA',
+  27: 'TB',
+  28: 'WSH',
+  29: 'CAR',
+  30: 'JAX',
+  33: 'BAL',
+  34: 'HOU',
+};
+
+export const isFantasyPosition = (value: unknown): value is FantasyPosition =>
+  typeof value === 'string' && (FANTASY_POSITIONS as readonly string[]).includes(value);
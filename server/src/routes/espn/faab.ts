@@ -0,0 +1,125 @@
+import { DEFAULT_POSITION_IDS, IR_SLOT_ID, TARGET_DEPTH, type FantasyPosition } from './constants';
+import { findMyTeam, type EspnLeague, type EspnTeam } from './league';
+
+export type FaabConfidence = 'HIGH' | 'MEDIUM' | 'LOW';
+
+export type FaabRival = {
+  teamId: number;
+  remaining: number;
+  depth: Partial<Record<FantasyPosition, number>>;
+};
+
+export type FaabLeague = {
+  budget: number;
+  minimumBid: number;
+  remaining: number;
+  // Other teams in the league; null when there is no league to read them from.
+  rivals: FaabRival[] | null;
+};
+
+export type FaabRecommendation = {
+  recommended: number;
+  min: number;
+  max: number;
+  confidence: FaabConfidence;
+  // Other teams thin at the position with budget left to bid.
+  competingTeams: number | null;
+  remainingBudget: number;
+};
+
+// ESPN's default budget, used when no league is given.
+export const DEFAULT_FAAB_LEAGUE: FaabLeague = { budget: 100, minimumBid: 0, remaining: 100, rivals: null };
+
+// The most of the full budget a single player is ever worth before competition.
+const MAX_BUDGET_SHARE = 0.35;
+
+// Waiver scores (see scoreCandidate) below the floor get the minimum bid; the share
+// grows linearly up to MAX_BUDGET_SHARE over SCORE_RANGE.
+const SCORE_FLOOR = 0.4;
+const SCORE_RANGE = 1.2;
+
+const clamp = (value: number, min: number, max: number): number => Math.min(Math.max(value, min), max);
+
+const remainingBudget = (team: EspnTeam, budget: number): number =>
+  Math.max(budget - (team.transactionCounter?.acquisitionBudgetSpent ?? 0), 0);
+
+function positionDepth(team: EspnTeam): FaabRival['depth'] {
+  const depth: FaabRival['depth'] = {};
+  for (const entry of team.roster?.entries ?? []) {
+    const position = DEFAULT_POSITION_IDS[entry.playerPoolEntry?.player?.defaultPositionId ?? -1];
+    if (position && entry.lineupSlotId !== IR_SLOT_ID) {
+      depth[position] = (depth[position] ?? 0) + 1;
+    }
+  }
+  return depth;
+}
+
+/**
+ * Reads bid rules (`settings.acquisitionSettings`), every team's remaining budget
+ * (`transactionCounter`) and roster depth from a league fetched with mSettings, mTeam
+ * and mRoster. Returns null for leagues that do not use FAAB.
+ */
+export function parseFaabLeague(league: EspnLeague, teamId?: number): FaabLeague | null {
+  const settings = league.settings?.acquisitionSettings;
+  if (!settings?.isUsingAcquisitionBudget) {
+    return null;
+  }
+
+  const budget = settings.acquisitionBudget ?? DEFAULT_FAAB_LEAGUE.budget;
+  const myTeam = findMyTeam(league, teamId);
+  const rivals = (league.teams ?? [])
+    .filter((team) => team.id !== myTeam?.id)
+    .map((team) => ({ teamId: team.id, remaining: remainingBudget(team, budget), depth: positionDepth(team) }));
+
+  return {
+    budget,
+    minimumBid: settings.minimumBid ?? 0,
+    remaining: myTeam ? remainingBudget(myTeam, budget) : budget,
+    rivals,
+  };
+}
+
+/**
+ * Dollar bid for a waiver candidate. The player's value sets a share of the league
+ * budget, scaled by how many rivals are thin at the position and can still pay. If no
+ * such rival can afford that much, a dollar over the richest of them is enough.
+ */
+export function recommendFaabBid(score: number, position: FantasyPosition, league: FaabLeague): FaabRecommendation {
+  const { budget, minimumBid, remaining, rivals } = league;
+
+  const valueShare = clamp((score - SCORE_FLOOR) / SCORE_RANGE, 0, 1) * MAX_BUDGET_SHARE;
+
+  const competitors = rivals?.filter(
+    (rival) => (rival.depth[position] ?? 0) < TARGET_DEPTH[position] && rival.remaining > minimumBid
+  );
+  // Without league data assume half the league is in the market.
+  const demand = rivals ? (rivals.length ? (competitors?.length ?? 0) / rivals.length : 0) : 0.5;
+  const topRival = competitors?.length ? Math.max(...competitors.map((rival) => rival.remaining)) : null;
+
+  let bid = Math.round(valueShare * budget * (0.6 + 0.8 * demand));
+  let outbidsRivals = competitors !== undefined && (topRival === null || bid > topRival);
+  if (topRival !== null && bid > topRival + 1) {
+    bid = topRival + 1;
+    outbidsRivals = true;
+  }
+
+  const recommended = clamp(bid, minimumBid, Math.max(remaining, minimumBid));
+  const max = clamp(Math.round(recommended * 1.3), recommended, Math.max(remaining, recommended));
+  const min = clamp(Math.round(recommended * 0.75), minimumBid, recommended);
+
+  let confidence: FaabConfidence = 'LOW';
+  if (outbidsRivals && recommended >= bid) {
+    confidence = 'HIGH';
+  } else if (rivals && demand <= 0.4) {
+    confidence = 'MEDIUM';
+  }
+
+  return {
+    recommended,
+    min,
+    max,
+    confidence,
+    competingTeams: competitors?.length ?? null,
+    remainingBudget: remaining,
+  };
+}
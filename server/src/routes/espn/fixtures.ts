@@ -0,0 +1,87 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import env from '../../env';
+
+export type FixtureRequest = {
+  method: string;
+  url: string;
+  view: string | null;
+  filter: string | null;
+  body: string | null;
+};
+
+type FixtureFile = {
+  request: FixtureRequest;
+  recordedAt: string;
+  response: unknown;
+};
+
+export class EspnFixtureMissingError extends Error {
+  readonly status = 404;
+
+  constructor(request: FixtureRequest, file: string) {
+    super(
+      `No recorded ESPN fixture for ${request.method} ${request.url}` +
+        (request.filter ? ` with x-fantasy-filter ${request.filter}` : '') +
+        ` (expected ${file}). Run once with ESPN_FIXTURE_MODE=record to capture it.`
+    );
+    this.name = 'EspnFixtureMissingError';
+  }
+}
+
+// Keys are derived from the caller's URL (before any scraper host rewrite) so a
+// recording made in either mode replays in both.
+export function describeFixtureRequest(url: string, method: string, filter?: string, body?: string): FixtureRequest {
+  let view: string | null = null;
+  let normalizedUrl = url;
+
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.sort();
+    view = parsed.searchParams.get('view');
+    normalizedUrl = parsed.toString();
+  } catch {
+    // Keep the raw URL; it still makes a stable key.
+  }
+
+  return { method, url: normalizedUrl, view, filter: filter ?? null, body: body ?? null };
+}
+
+const fixturePath = (request: FixtureRequest): string => {
+  const hash = createHash('sha1').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  const host = (() => {
+    try {
+      return new URL(request.url).hostname;
+    } catch {
+      return 'unknown';
+    }
+  })();
+  const view = request.view ? `-${request.view.replace(/[^a-zA-Z0-9_]+/g, '_')}` : '';
+
+  return path.resolve(env.ESPN_FIXTURE_DIR, `${host}${view}-${hash}.json`);
+};
+
+export async function replayFixture<T>(request: FixtureRequest): Promise<T> {
+  const file = fixturePath(request);
+
+  let raw: string;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      throw new EspnFixtureMissingError(request, file);
+    }
+    throw error;
+  }
+
+  return (JSON.parse(raw) as FixtureFile).response as T;
+}
+
+export async function recordFixture(request: FixtureRequest, response: unknown): Promise<void> {
+  const file = fixturePath(request);
+  const contents: FixtureFile = { request, recordedAt: new Date().toISOString(), response };
+
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, `${JSON.stringify(contents, null, 2)}\n`);
+}
@@ -1,20 +1,39 @@
-import { Router, type Response } from 'express';
+import { Router, type Request, type Response } from 'express';
+import { parseLeagueContext } from '../../leagueContext';
 import { espnFetch } from './client';
+import { cachedEspnFetch, setCacheHeaders } from './cache';
+import { comparePlayers, parseCompareRequest } from './compare';
+import { DEFAULT_LEAGUE_VIEW, fetchLeague } from './league';
+import { fetchPlayerNews, parseNewsRequest } from './news';
+import { fetchProTeamSchedules, loadProTeamSchedules, syncProTeamSchedules } from './schedule';
+import { loadLeagueScoring, parseRescoreRequest, rescorePlayers } from './scoring';
+import { leaguePlayoffWeeks, loadStrengthOfSchedule, parseSosRequest } from './strengthOfSchedule';
+import { analyzeTrade, loadTradeRosters, parseTradeRequest } from './trade';
+import { parseWaiverRequest, runWaiverAnalysis } from './waiver';
 
 const router = Router();
 
 const handleError = (res: Response, error: unknown) => {
   const message = error instanceof Error ? error.message : 'Unknown error';
-  res.status(500).json({ error: message });
+  const status = (error as { status?: number } | undefined)?.status ?? 500;
+  res.status(status).json({ error: message });
 };
 
+// `Cache-Control: no-cache` or `?refresh=1` skips the cache and stores a fresh copy.
+const wantsRefresh = (req: Request): boolean =>
+  req.get('Cache-Control')?.includes('no-cache') === true || req.query.refresh === '1';
+
+const isFreeAgentFilter = (filter: unknown): boolean =>
+  JSON.stringify((filter as { players?: { filterStatus?: unknown } } | undefined)?.players?.filterStatus ?? '').includes(
+    'FREEAGENT'
+  );
+
 router.get('/league', async (req, res) => {
   try {
     const { season, leagueId, view } = req.query as Record<string, string | undefined>;
-    const v = view ?? 'mTeam,mRoster,mSettings,mNav';
-    const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=${encodeURIComponent(v)}`;
-    const data = await espnFetch(url);
-    res.json(data);
+    const result = await fetchLeague(season ?? '', leagueId ?? '', view ?? DEFAULT_LEAGUE_VIEW, { refresh: wantsRefresh(req) });
+    setCacheHeaders(res, result);
+    res.json(result.data);
   } catch (error) {
     handleError(res, error);
   }
@@ -25,8 +44,9 @@ router.get('/leagueHistory', async (req, res) => {
     const { season, leagueId, view } = req.query as Record<string, string | undefined>;
     const v = view ?? 'mTeam,mRoster,mSettings';
     const url = `https://fantasy.espn.com/apis/v3/games/ffl/leagueHistory/${leagueId}?seasonId=${season}&view=${encodeURIComponent(v)}`;
-    const data = await espnFetch(url);
-    res.json(data);
+    const result = await cachedEspnFetch('leagueHistory', url, {}, { leagueId, season }, { refresh: wantsRefresh(req) });
+    setCacheHeaders(res, result);
+    res.json(result.data);
   } catch (error) {
     handleError(res, error);
   }
@@ -36,8 +56,10 @@ router.post('/players', async (req, res) => {
   try {
     const { season, filter } = req.body as { season: string; filter?: unknown };
     const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/players?view=players_wl`;
-    const data = await espnFetch(url, { filter });
-    res.json(data);
+    const endpoint = isFreeAgentFilter(filter) ? 'freeAgents' : 'players';
+    const result = await cachedEspnFetch(endpoint, url, { filter }, { season }, { refresh: wantsRefresh(req) });
+    setCacheHeaders(res, result);
+    res.json(result.data);
   } catch (error) {
     handleError(res, error);
   }
@@ -47,30 +69,158 @@ router.post('/playerInfo', async (req, res) => {
   try {
     const { season, pprId = 0, filter } = req.body as { season: string; pprId?: number; filter?: unknown };
     const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/${pprId}?view=kona_player_info`;
-    const data = await espnFetch(url, { filter });
-    res.json(data);
+    const result = await cachedEspnFetch('playerInfo', url, { filter }, { season }, { refresh: wantsRefresh(req) });
+    setCacheHeaders(res, result);
+    res.json(result.data);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post('/waiver-analysis', async (req, res) => {
+  const { request, error } = parseWaiverRequest(req.body);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await runWaiverAnalysis(request);
+    res.json(result);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// The league's parsed scoring rules, one entry per stat ID
+router.get('/scoring', async (req, res) => {
+  const { leagueId, season } = req.query as Record<string, string | undefined>;
+  if (!leagueId || !season) {
+    return res.status(400).json({ error: 'leagueId, season required' });
+  }
+
+  try {
+    const scoring = await loadLeagueScoring(leagueId, Number(season));
+    res.json({ leagueId, season: Number(season), rules: [...scoring.rules.values()] });
   } catch (error) {
     handleError(res, error);
   }
 });
 
+// Rescores players' season and weekly stat lines under a league's scoring rules
+router.post('/rescore', async (req, res) => {
+  const { request, error } = parseRescoreRequest(req.body);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await rescorePlayers(request));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
 router.get('/byeWeeks', async (req, res) => {
   try {
     const { season } = req.query as Record<string, string | undefined>;
-    const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}?view=proTeamSchedules_wl`;
-    const data = await espnFetch(url);
-    res.json(data);
+    const result = await fetchProTeamSchedules(season ?? '', { refresh: wantsRefresh(req) });
+    setCacheHeaders(res, result);
+    res.json(result.data);
   } catch (error) {
     handleError(res, error);
   }
 });
 
+// Parsed bye weeks and opponents per NFL team; `?refresh=1` re-reads ESPN and re-stores the season.
+router.get('/schedules', async (req, res) => {
+  try {
+    const season = req.query.season === undefined ? new Date().getFullYear() : Number(req.query.season);
+    if (!Number.isInteger(season)) {
+      return res.status(400).json({ error: 'season must be a year' });
+    }
+    const teams = wantsRefresh(req) ? await syncProTeamSchedules(season, { refresh: true }) : await loadProTeamSchedules(season);
+    res.json({ season, teams });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Matchup ratings per NFL team and position for the next `weeks` weeks and the fantasy
+// playoffs; with `leagueId` the playoff weeks come from the league's settings.
+router.get('/strength-of-schedule', async (req, res) => {
+  const { request, error } = parseSosRequest(req.query as Record<string, unknown>);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const leagueId = req.query.leagueId as string | undefined;
+    if (leagueId && !request.playoffWeeks) {
+      const { data: league } = await fetchLeague(request.season, leagueId, 'mSettings');
+      request.playoffWeeks = leaguePlayoffWeeks(league);
+    }
+    res.json(await loadStrengthOfSchedule(request));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Up to four players side by side: ?ids=<espn ids>&season=&leagueId=
+router.get('/compare', async (req, res) => {
+  const { request, error } = parseCompareRequest(req.query as Record<string, unknown>);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await comparePlayers(request));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Every team's roster with rest-of-season values, for building a trade.
+router.get('/trade-rosters', async (req, res) => {
+  const { context, error } = parseLeagueContext(req.query as Record<string, unknown>);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!context) {
+    return res.status(400).json({ error: 'leagueId and season are required' });
+  }
+
+  try {
+    res.json(await loadTradeRosters(context.season, context.leagueId));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Body: { season, leagueId, teamA: { teamId, playerIds }, teamB: { teamId, playerIds } }
+router.post('/trade-analysis', async (req, res) => {
+  const { request, error } = parseTradeRequest(req.body);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await analyzeTrade(request));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// A player's ESPN news feed: ?playerId=<espn id>&limit=
 router.get('/news', async (req, res) => {
+  const { request, error } = parseNewsRequest(req.query as Record<string, unknown>);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
   try {
-    const { playerId, limit = '10' } = req.query as Record<string, string | undefined>;
-    const url = `https://site.api.espn.com/apis/fantasy/v2/games/ffl/news/players?playerId=${playerId}&limit=${limit}`;
-    const data = await espnFetch(url);
-    res.json(data);
+    const result = await fetchPlayerNews(request.espnId, request.limit, { refresh: wantsRefresh(req) });
+    setCacheHeaders(res, result);
+    res.json(result.data);
   } catch (error) {
     handleError(res, error);
   }
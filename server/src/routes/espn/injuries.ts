@@ -0,0 +1,194 @@
+import env from '../../env';
+import { query } from '../../db';
+import { findLeagueScope, scopeCondition, type LeagueContext } from '../../leagueContext';
+import { cachedEspnFetch } from './cache';
+import { upsertEspnPlayers } from './playerStore';
+import type { KonaPlayersResponse } from './waiver';
+
+// Most serious first; statuses ESPN adds later sort just above ACTIVE.
+const STATUS_ORDER = ['INJURY_RESERVE', 'OUT', 'SUSPENSION', 'DOUBTFUL', 'QUESTIONABLE', 'DAY_TO_DAY', 'PROBABLE'];
+
+export type InjuryReportRequest = {
+  season: number;
+  context: LeagueContext | null;
+  // Re-read statuses from ESPN instead of the cached player feed.
+  refresh: boolean;
+};
+
+export type InjuryReportPlayer = {
+  playerId: number;
+  espnId: number;
+  name: string;
+  position: string | null;
+  team: string | null;
+  positionSlot: string;
+  status: string;
+  injured: boolean;
+  // When the current status was first seen, and what it replaced.
+  statusSince: Date | null;
+  previousStatus: string | null;
+  latestNews: { headline: string; link: string | null; source: string | null; publishedDate: Date | null } | null;
+};
+
+export type InjuryReport = {
+  season: number;
+  leagueId: string | null;
+  // False when statuses could not be refreshed from ESPN and the stored ones are shown.
+  updated: boolean;
+  players: InjuryReportPlayer[];
+};
+
+export type InjuryHistoryEntry = {
+  status: string;
+  previous_status: string | null;
+  is_injured: boolean;
+  changed_at: Date;
+};
+
+export function parseInjuryReportRequest(
+  source: Record<string, unknown>,
+  context: LeagueContext | null
+): { request?: InjuryReportRequest; error?: string } {
+  const season = context?.season ?? (source.season === undefined ? new Date().getFullYear() : Number(source.season));
+  if (!Number.isInteger(season)) {
+    return { error: 'season must be a year' };
+  }
+  return { request: { season, context, refresh: source.refresh === '1' } };
+}
+
+const severity = (status: string): number => {
+  const index = STATUS_ORDER.indexOf(status);
+  return index === -1 ? (status === 'ACTIVE' ? STATUS_ORDER.length + 1 : STATUS_ORDER.length) : index;
+};
+
+/**
+ * Reads ESPN's structured injury status for the given players and stores it, which
+ * records any status change in player_injury_history.
+ */
+export async function refreshInjuryStatuses(
+  espnIds: number[],
+  options: { season: number; leagueId?: string; refresh?: boolean }
+): Promise<void> {
+  if (!espnIds.length) {
+    return;
+  }
+  const { season, leagueId } = options;
+  const filter = { players: { filterIds: { value: espnIds }, limit: espnIds.length } };
+  const url = leagueId
+    ? `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=kona_player_info`
+    : `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>(
+    'playerInfo',
+    url,
+    { filter },
+    { leagueId, season },
+    { refresh: options.refresh }
+  );
+  await upsertEspnPlayers((data.players ?? []).flatMap((entry) => (entry.player ? [entry.player] : [])));
+}
+
+type ReportRow = {
+  player_id: number;
+  espn_id: number;
+  name: string;
+  position: string | null;
+  team: string | null;
+  position_slot: string;
+  injury_status: string | null;
+  is_injured: boolean | null;
+  status_since: Date | null;
+  previous_status: string | null;
+  headline: string | null;
+  link: string | null;
+  source: string | null;
+  published_date: Date | null;
+};
+
+/**
+ * Current injury status of every rostered player in the context, refreshed from ESPN
+ * first, with when that status began and the player's latest stored news item. Players
+ * with a designation come first, most serious first.
+ */
+export async function loadInjuryReport(request: InjuryReportRequest): Promise<InjuryReport> {
+  const { season, context } = request;
+  const report: InjuryReport = { season, leagueId: context?.leagueId ?? null, updated: true, players: [] };
+  const scope = await findLeagueScope(context);
+  if (!scope) {
+    return report;
+  }
+
+  const rosterParams: unknown[] = [];
+  const { rows: rostered } = await query<{ espn_id: number }>(
+    `SELECT p.espn_id FROM my_roster r JOIN players p ON p.id = r.player_id
+      WHERE ${scopeCondition('r', scope, rosterParams)}
+      ORDER BY r.id`,
+    rosterParams
+  );
+  if (env.USE_MOCK_WAIVER_DATA) {
+    report.updated = false;
+  } else {
+    try {
+      await refreshInjuryStatuses(
+        rostered.map((row) => row.espn_id),
+        { season, leagueId: context?.leagueId, refresh: request.refresh }
+      );
+    } catch (error) {
+      console.warn('[WARN] Injury statuses not refreshed from ESPN:', (error as Error).message);
+      report.updated = false;
+    }
+  }
+
+  const params: unknown[] = [];
+  const { rows } = await query<ReportRow>(
+    `SELECT r.player_id, p.espn_id, p.name, p.position, p.team, r.position_slot, p.injury_status, p.is_injured,
+            h.changed_at AS status_since, h.previous_status,
+            n.headline, n.link, n.source, n.published_date
+       FROM my_roster r
+       JOIN players p ON p.id = r.player_id
+       LEFT JOIN LATERAL (
+         SELECT changed_at, previous_status FROM player_injury_history
+          WHERE player_id = p.id
+          ORDER BY changed_at DESC, id DESC
+          LIMIT 1
+       ) h ON TRUE
+       LEFT JOIN LATERAL (
+         SELECT headline, link, source, published_date FROM player_news
+          WHERE player_id = p.id
+          ORDER BY published_date DESC NULLS LAST, id DESC
+          LIMIT 1
+       ) n ON TRUE
+      WHERE ${scopeCondition('r', scope, params)}`,
+    params
+  );
+
+  report.players = rows
+    .map((row) => ({
+      playerId: row.player_id,
+      espnId: row.espn_id,
+      name: row.name,
+      position: row.position,
+      team: row.team,
+      positionSlot: row.position_slot,
+      status: row.injury_status ?? 'ACTIVE',
+      injured: row.is_injured === true,
+      statusSince: row.status_since,
+      previousStatus: row.previous_status,
+      latestNews: row.headline
+        ? { headline: row.headline, link: row.link, source: row.source, publishedDate: row.published_date }
+        : null,
+    }))
+    .sort((a, b) => severity(a.status) - severity(b.status) || a.name.localeCompare(b.name));
+  return report;
+}
+
+// Every recorded status change for one player (players.id), newest first.
+export async function loadInjuryHistory(playerId: number): Promise<InjuryHistoryEntry[]> {
+  const { rows } = await query<InjuryHistoryEntry>(
+    `SELECT status, previous_status, is_injured, changed_at
+       FROM player_injury_history
+      WHERE player_id = $1
+      ORDER BY changed_at DESC, id DESC`,
+    [playerId]
+  );
+  return rows;
+}
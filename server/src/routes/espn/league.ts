@@ -0,0 +1,99 @@
+import env from '../../env';
+import { cachedEspnFetch, type CachedResult } from './cache';
+import type { EspnPlayer } from './playerStore';
+
+// The parts of ESPN's league payload (mTeam, mRoster, mSettings views) the server reads.
+export type EspnRosterEntry = {
+  playerId: number;
+  lineupSlotId: number;
+  playerPoolEntry?: {
+    id?: number;
+    player?: EspnPlayer;
+  };
+};
+
+export type EspnTeam = {
+  id: number;
+  name?: string;
+  location?: string;
+  nickname?: string;
+  abbrev?: string;
+  owners?: string[];
+  primaryOwner?: string;
+  roster?: { entries?: EspnRosterEntry[] };
+  transactionCounter?: { acquisitionBudgetSpent?: number };
+};
+
+export type EspnMember = {
+  id: string;
+  displayName?: string;
+  firstName?: string;
+  lastName?: string;
+};
+
+export type EspnScoringItem = {
+  statId: number;
+  points: number;
+  // Per lineup slot overrides, e.g. { "6": 1.5 } for a TE reception premium.
+  pointsOverrides?: Record<string, number>;
+};
+
+export type EspnLeague = {
+  id?: number;
+  seasonId?: number;
+  scoringPeriodId?: number;
+  settings?: {
+    name?: string;
+    scoringSettings?: { scoringItems?: EspnScoringItem[] };
+    rosterSettings?: { lineupSlotCounts?: Record<string, number> };
+    scheduleSettings?: {
+      // Regular-season matchups; the playoffs start the week after.
+      matchupPeriodCount?: number;
+      playoffTeamCount?: number;
+      playoffMatchupPeriodLength?: number;
+    };
+    acquisitionSettings?: {
+      isUsingAcquisitionBudget?: boolean;
+      acquisitionBudget?: number;
+      minimumBid?: number;
+    };
+  };
+  teams?: EspnTeam[];
+  members?: EspnMember[];
+};
+
+export const DEFAULT_LEAGUE_VIEW = 'mTeam,mRoster,mSettings,mNav';
+
+export const leagueUrl = (season: string | number, leagueId: string, view: string = DEFAULT_LEAGUE_VIEW): string =>
+  `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=${encodeURIComponent(view)}`;
+
+/**
+ * Fetches a league through the `league` cache, the same path `GET /api/espn/league` uses.
+ */
+export function fetchLeague<T = EspnLeague>(
+  season: string | number,
+  leagueId: string,
+  view: string = DEFAULT_LEAGUE_VIEW,
+  options: { refresh?: boolean } = {}
+): Promise<CachedResult<T>> {
+  return cachedEspnFetch<T>('league', leagueUrl(season, leagueId, view), {}, { leagueId, season }, options);
+}
+
+export const teamDisplayName = (team: EspnTeam): string =>
+  team.name ?? ([team.location, team.nickname].filter(Boolean).join(' ') || `Team ${team.id}`);
+
+// ESPN sends SWID as "{GUID}"; owners may or may not keep the braces.
+export const normalizeSwid = (value: string | undefined): string => (value ?? '').replace(/[{}]/g, '').toUpperCase();
+
+export const ownsTeam = (team: EspnTeam, swid: string): boolean =>
+  Boolean(swid) && [...(team.owners ?? []), team.primaryOwner].some((owner) => normalizeSwid(owner) === swid);
+
+// The team with this ESPN id, or without one the team owned by the configured SWID.
+export function findMyTeam(league: EspnLeague, teamId?: number): EspnTeam | undefined {
+  const teams = league.teams ?? [];
+  if (teamId !== undefined) {
+    return teams.find((team) => team.id === teamId);
+  }
+  const swid = normalizeSwid(env.SWID);
+  return teams.find((team) => ownsTeam(team, swid));
+}
@@ -0,0 +1,402 @@
+import env from '../../env';
+import { query } from '../../db';
+import { findLeagueScope, scopeCondition, type LeagueContext } from '../../leagueContext';
+import { cachedEspnFetch } from './cache';
+import {
+  BENCH_SLOT_ID,
+  DEFAULT_LINEUP_SLOT_COUNTS,
+  DEFAULT_POSITION_IDS,
+  IR_SLOT_ID,
+  LINEUP_SLOT_LABELS,
+  LINEUP_SLOT_POSITIONS,
+  isFantasyPosition,
+  type FantasyPosition,
+  type RosterSlot,
+} from './constants';
+import { fetchLeague, type EspnLeague } from './league';
+import { loadByeWeeks } from './schedule';
+import { parseScoringSettings, pointsForStats, type LeagueScoring } from './scoring';
+import type { KonaPlayersResponse } from './waiver';
+
+export class LineupError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = 'LineupError';
+  }
+}
+
+// Injury designations that keep a player out of the lineup.
+const OUT_STATUSES = new Set(['OUT', 'INJURY_RESERVE', 'SUSPENSION']);
+
+export type LineupRequest = {
+  season: number;
+  week?: number;
+  context: LeagueContext | null;
+};
+
+export type LineupPlayer = {
+  rosterId: number;
+  playerId: number;
+  espnId: number;
+  name: string;
+  position: FantasyPosition | null;
+  team: string | null;
+  currentSlot: string;
+  projected: number;
+  injuryStatus: string | null;
+  // Why the player cannot start this week.
+  unavailable: 'BYE' | 'OUT' | null;
+};
+
+export type LineupSlot = {
+  slotId: number;
+  slot: RosterSlot;
+  // Positions eligible for the slot, e.g. RB/WR/TE for FLEX.
+  eligible: FantasyPosition[];
+  player: LineupPlayer | null;
+};
+
+export type LineupResult = {
+  season: number;
+  week: number;
+  leagueId: string | null;
+  scoring: 'league' | 'espn';
+  starters: LineupSlot[];
+  bench: LineupPlayer[];
+  ir: LineupPlayer[];
+  excluded: LineupPlayer[];
+  projected: { optimal: number; current: number; gain: number };
+  changes: { name: string; from: string; to: RosterSlot }[];
+};
+
+export type StoredRosterRow = {
+  id: number;
+  position_slot: string;
+  player_id: number;
+  espn_id: number;
+  name: string;
+  position: string | null;
+  team: string | null;
+  bye_week: number | null;
+  injury_status: string | null;
+};
+
+export type LineupLeague = {
+  slotCounts: Record<number, number>;
+  scoring: LeagueScoring | null;
+  week?: number;
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+export function parseLineupRequest(
+  source: Record<string, unknown>,
+  context: LeagueContext | null
+): { request?: LineupRequest; error?: string } {
+  let week: number | undefined;
+  if (source.week !== undefined && source.week !== '') {
+    week = Number(source.week);
+    if (!Number.isInteger(week) || week < 1 || week > 18) {
+      return { error: 'week must be 1-18' };
+    }
+  }
+
+  if (!context && week === undefined) {
+    return { error: 'week is required without leagueId' };
+  }
+
+  const season = context?.season ?? (source.season === undefined ? new Date().getFullYear() : Number(source.season));
+  if (!Number.isInteger(season)) {
+    return { error: 'season must be a year' };
+  }
+
+  return { request: { season, week, context } };
+}
+
+// Lineup slot id -> count from the league's roster settings (mSettings view).
+export function leagueSlotCounts(league: EspnLeague): Record<number, number> {
+  const counts = league.settings?.rosterSettings?.lineupSlotCounts;
+  return counts
+    ? Object.fromEntries(Object.entries(counts).map(([slotId, count]) => [Number(slotId), count]))
+    : DEFAULT_LINEUP_SLOT_COUNTS;
+}
+
+// Slot counts, scoring and the current week from the league, or ESPN defaults without one.
+export async function loadLineupLeague(request: Pick<LineupRequest, 'context'>): Promise<LineupLeague> {
+  if (!request.context) {
+    return { slotCounts: DEFAULT_LINEUP_SLOT_COUNTS, scoring: null };
+  }
+
+  const { leagueId, season } = request.context;
+  const { data: league } = await fetchLeague<EspnLeague>(season, leagueId, 'mSettings,mStatus');
+
+  let scoring: LeagueScoring | null = null;
+  try {
+    scoring = parseScoringSettings(league, leagueId, season);
+  } catch (error) {
+    console.warn('[WARN] League scoring unavailable, using ESPN projections:', (error as Error).message);
+  }
+
+  return { slotCounts: leagueSlotCounts(league), scoring, week: league.scoringPeriodId };
+}
+
+export async function loadStoredRoster(context: LeagueContext | null): Promise<StoredRosterRow[]> {
+  const scope = await findLeagueScope(context);
+  if (!scope) {
+    return [];
+  }
+
+  const params: unknown[] = [];
+  const { rows } = await query<StoredRosterRow>(
+    `SELECT r.id, r.position_slot, p.id AS player_id, p.espn_id, p.name, p.position, p.team, p.bye_week, p.injury_status
+       FROM my_roster r
+       JOIN players p ON p.id = r.player_id
+      WHERE ${scopeCondition('r', scope, params)}
+      ORDER BY r.id`,
+    params
+  );
+  return rows;
+}
+
+// Weekly projections keyed by ESPN id, with ESPN's current pro team and injury status.
+async function fetchWeekProjections(
+  request: LineupRequest,
+  week: number,
+  espnIds: number[],
+  scoring: LeagueScoring | null
+): Promise<Map<number, { projected: number | null; proTeamId?: number; injuryStatus?: string }>> {
+  const projections = new Map<number, { projected: number | null; proTeamId?: number; injuryStatus?: string }>();
+  if (!espnIds.length || env.USE_MOCK_WAIVER_DATA) {
+    return projections;
+  }
+
+  const { season, context } = request;
+  const filter = {
+    players: {
+      filterIds: { value: espnIds },
+      filterStatsForCurrentSeasonScoringPeriodId: { value: [week] },
+      filterStatsForSourceIds: { value: [1] },
+      filterStatsForSplitTypeIds: { value: [1] },
+      limit: espnIds.length,
+    },
+  };
+  const url = context
+    ? `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${context.leagueId}?view=kona_player_info`
+    : `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>(
+    'playerInfo',
+    url,
+    { filter },
+    { leagueId: context?.leagueId, season }
+  );
+
+  for (const entry of data.players ?? []) {
+    const player = entry.player;
+    if (!player) {
+      continue;
+    }
+    const stat = player.stats?.find(
+      (candidate) =>
+        candidate.statSourceId === 1 &&
+        candidate.statSplitTypeId === 1 &&
+        candidate.scoringPeriodId === week &&
+        (candidate.seasonId ?? season) === season
+    );
+    const position = DEFAULT_POSITION_IDS[player.defaultPositionId ?? -1] ?? null;
+    const projected =
+      scoring && stat?.stats ? pointsForStats(stat.stats, scoring, position) : (stat?.appliedTotal ?? null);
+
+    projections.set(player.id ?? entry.id, {
+      projected,
+      proTeamId: player.proTeamId,
+      injuryStatus: player.injuryStatus,
+    });
+  }
+  return projections;
+}
+
+// One empty entry per starting slot in the league's lineup, in slot id order.
+export function starterSlots(slotCounts: Record<number, number>): LineupSlot[] {
+  return Object.entries(slotCounts)
+    .map(([slotId, count]) => ({ slotId: Number(slotId), count }))
+    .filter(({ slotId }) => slotId !== BENCH_SLOT_ID && slotId !== IR_SLOT_ID && LINEUP_SLOT_POSITIONS[slotId])
+    .sort((a, b) => a.slotId - b.slotId)
+    .flatMap(({ slotId, count }) =>
+      Array.from({ length: count }, () => ({
+        slotId,
+        slot: LINEUP_SLOT_LABELS[slotId] ?? 'FLEX',
+        eligible: LINEUP_SLOT_POSITIONS[slotId],
+        player: null,
+      }))
+    );
+}
+
+/**
+ * Maximum-weight assignment of rows to columns (Hungarian algorithm on a padded square
+ * matrix). `weights[row][col]` is null where the pairing is not allowed. Returns the
+ * column for each row, or -1 when the row is left empty.
+ */
+export function assignMaxWeight(weights: (number | null)[][], columns: number): number[] {
+  const rows = weights.length;
+  const n = Math.max(rows, columns);
+  if (!n) {
+    return [];
+  }
+
+  // Disallowed pairs cost more than any real lineup could score.
+  const forbidden = 1e6;
+  const cost = (row: number, col: number): number => {
+    if (row >= rows || col >= columns) {
+      return 0;
+    }
+    const weight = weights[row][col];
+    return weight === null ? forbidden : -weight;
+  };
+
+  const u = new Array<number>(n + 1).fill(0);
+  const v = new Array<number>(n + 1).fill(0);
+  const match = new Array<number>(n + 1).fill(0);
+  const way = new Array<number>(n + 1).fill(0);
+
+  for (let row = 1; row <= n; row += 1) {
+    match[0] = row;
+    let col0 = 0;
+    const minv = new Array<number>(n + 1).fill(Infinity);
+    const used = new Array<boolean>(n + 1).fill(false);
+    do {
+      used[col0] = true;
+      const row0 = match[col0];
+      let delta = Infinity;
+      let col1 = 0;
+      for (let col = 1; col <= n; col += 1) {
+        if (used[col]) {
+          continue;
+        }
+        const current = cost(row0 - 1, col - 1) - u[row0] - v[col];
+        if (current < minv[col]) {
+          minv[col] = current;
+          way[col] = col0;
+        }
+        if (minv[col] < delta) {
+          delta = minv[col];
+          col1 = col;
+        }
+      }
+      for (let col = 0; col <= n; col += 1) {
+        if (used[col]) {
+          u[match[col]] += delta;
+          v[col] -= delta;
+        } else {
+          minv[col] -= delta;
+        }
+      }
+      col0 = col1;
+    } while (match[col0] !== 0);
+    do {
+      const col1 = way[col0];
+      match[col0] = match[col1];
+      col0 = col1;
+    } while (col0 !== 0);
+  }
+
+  const assignment = new Array<number>(rows).fill(-1);
+  for (let col = 1; col <= n; col += 1) {
+    const row = match[col] - 1;
+    if (row < rows && col - 1 < columns && weights[row][col - 1] !== null) {
+      assignment[row] = col - 1;
+    }
+  }
+  return assignment;
+}
+
+/**
+ * Builds the highest-projected legal lineup for a week from the stored roster. Players
+ * in the IR slot stay there; players on bye or ruled out never start. The current
+ * projection counts whoever is stored in a starting slot.
+ */
+export async function optimizeLineup(request: LineupRequest): Promise<LineupResult> {
+  const league = await loadLineupLeague(request);
+  const week = request.week ?? league.week;
+  if (!week) {
+    throw new LineupError('week is required; the league did not report a current week', 400);
+  }
+
+  const roster = await loadStoredRoster(request.context);
+  if (!roster.length) {
+    throw new LineupError('No roster stored for this league/team', 404);
+  }
+
+  const [projections, byeWeeks] = await Promise.all([
+    fetchWeekProjections(request, week, roster.map((row) => Number(row.espn_id)), league.scoring),
+    loadByeWeeks(request.season).catch((error) => {
+      console.warn('[WARN] Bye weeks unavailable, using stored bye_week:', (error as Error).message);
+      return new Map<number, number>();
+    }),
+  ]);
+
+  const players: LineupPlayer[] = roster.map((row) => {
+    const espnId = Number(row.espn_id);
+    const espn = projections.get(espnId);
+    const byeWeek = (espn?.proTeamId !== undefined ? byeWeeks.get(espn.proTeamId) : undefined) ?? row.bye_week;
+    const injuryStatus = espn?.injuryStatus ?? row.injury_status;
+    return {
+      rosterId: row.id,
+      playerId: row.player_id,
+      espnId,
+      name: row.name,
+      position: isFantasyPosition(row.position) ? row.position : null,
+      team: row.team,
+      currentSlot: row.position_slot,
+      projected: round2(espn?.projected ?? 0),
+      injuryStatus: injuryStatus ?? null,
+      unavailable: byeWeek === week ? 'BYE' : injuryStatus && OUT_STATUSES.has(injuryStatus) ? 'OUT' : null,
+    };
+  });
+
+  const ir = players.filter((player) => player.currentSlot === 'IR');
+  const candidates = players.filter((player) => player.currentSlot !== 'IR');
+
+  const starters = starterSlots(league.slotCounts);
+
+  const weights = starters.map((slot) =>
+    candidates.map((player) =>
+      player.position && !player.unavailable && slot.eligible.includes(player.position) ? player.projected : null
+    )
+  );
+  assignMaxWeight(weights, candidates.length).forEach((col, index) => {
+    starters[index].player = col >= 0 ? candidates[col] : null;
+  });
+
+  const starting = new Set(starters.map((slot) => slot.player).filter(Boolean));
+  const bench = candidates.filter((player) => !starting.has(player) && !player.unavailable);
+  const excluded = candidates.filter((player) => !starting.has(player) && player.unavailable);
+
+  const optimal = round2(starters.reduce((sum, slot) => sum + (slot.player?.projected ?? 0), 0));
+  const current = round2(
+    candidates
+      .filter((player) => player.currentSlot !== 'BENCH' && !player.unavailable)
+      .reduce((sum, player) => sum + player.projected, 0)
+  );
+
+  const changes = [
+    ...starters
+      .filter((slot) => slot.player && slot.player.currentSlot !== slot.slot)
+      .map((slot) => ({ name: slot.player!.name, from: slot.player!.currentSlot, to: slot.slot })),
+    ...[...bench, ...excluded]
+      .filter((player) => player.currentSlot !== 'BENCH')
+      .map((player) => ({ name: player.name, from: player.currentSlot, to: 'BENCH' as RosterSlot })),
+  ];
+
+  return {
+    season: request.season,
+    week,
+    leagueId: request.context?.leagueId ?? null,
+    scoring: league.scoring ? 'league' : 'espn',
+    starters,
+    bench,
+    ir,
+    excluded,
+    projected: { optimal, current, gain: round2(optimal - current) },
+    changes,
+  };
+}
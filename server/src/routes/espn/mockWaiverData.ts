@@ -0,0 +1,76 @@
+import { DEFAULT_POSITION_IDS, type FantasyPosition } from './constants';
+import type { KonaPlayersResponse } from './waiver';
+
+type MockPlayer = {
+  id: number;
+  fullName: string;
+  proTeamId: number;
+  percentOwned: number;
+  seasonProjection: number;
+  avgProjection: number;
+};
+
+// Sample free agents per position, shaped like ESPN's `kona_player_info` view.
+const MOCK_PLAYERS: Record<FantasyPosition, MockPlayer[]> = {
+  QB: [
+    { id: 9001, fullName: 'Baker Mayfield', proTeamId: 27, percentOwned: 61.3, seasonProjection: 268.4, avgProjection: 16.8 },
+    { id: 9002, fullName: 'Derek Carr', proTeamId: 18, percentOwned: 22.7, seasonProjection: 221.9, avgProjection: 13.9 },
+    { id: 9003, fullName: 'Gardner Minshew', proTeamId: 13, percentOwned: 4.1, seasonProjection: 187.6, avgProjection: 11.7 },
+  ],
+  RB: [
+    { id: 9101, fullName: 'Tyler Allgeier', proTeamId: 1, percentOwned: 54.8, seasonProjection: 184.2, avgProjection: 12.7 },
+    { id: 9102, fullName: 'Jaylen Warren', proTeamId: 23, percentOwned: 47.2, seasonProjection: 162.5, avgProjection: 10.9 },
+    { id: 9103, fullName: 'Chuba Hubbard', proTeamId: 29, percentOwned: 31.6, seasonProjection: 141.3, avgProjection: 9.4 },
+    { id: 9104, fullName: 'Tyjae Spears', proTeamId: 10, percentOwned: 12.9, seasonProjection: 98.7, avgProjection: 6.6 },
+  ],
+  WR: [
+    { id: 9201, fullName: 'Jakobi Meyers', proTeamId: 13, percentOwned: 58.4, seasonProjection: 176.8, avgProjection: 11.8 },
+    { id: 9202, fullName: 'Rashid Shaheed', proTeamId: 18, percentOwned: 36.1, seasonProjection: 149.2, avgProjection: 9.9 },
+    { id: 9203, fullName: 'Demarcus Robinson', proTeamId: 14, percentOwned: 9.7, seasonProjection: 104.5, avgProjection: 7.0 },
+  ],
+  TE: [
+    { id: 9301, fullName: 'Hunter Henry', proTeamId: 17, percentOwned: 42.5, seasonProjection: 128.3, avgProjection: 8.6 },
+    { id: 9302, fullName: 'Cole Kmet', proTeamId: 3, percentOwned: 18.2, seasonProjection: 97.4, avgProjection: 6.5 },
+    { id: 9303, fullName: 'Tyler Conklin', proTeamId: 20, percentOwned: 6.3, seasonProjection: 81.9, avgProjection: 5.5 },
+  ],
+  'D/ST': [
+    { id: -16026, fullName: 'Seahawks D/ST', proTeamId: 26, percentOwned: 38.9, seasonProjection: 112.6, avgProjection: 7.5 },
+    { id: -16011, fullName: 'Colts D/ST', proTeamId: 11, percentOwned: 14.4, seasonProjection: 96.1, avgProjection: 6.4 },
+  ],
+  K: [
+    { id: 9501, fullName: 'Jason Myers', proTeamId: 26, percentOwned: 33.7, seasonProjection: 134.2, avgProjection: 8.9 },
+    { id: 9502, fullName: 'Greg Joseph', proTeamId: 19, percentOwned: 5.8, seasonProjection: 108.6, avgProjection: 7.2 },
+  ],
+};
+
+const positionIdFor = (position: FantasyPosition): number =>
+  Number(Object.entries(DEFAULT_POSITION_IDS).find(([, value]) => value === position)?.[0] ?? 0);
+
+export function getMockWaiverPayload(position: FantasyPosition, season: number): KonaPlayersResponse {
+  const defaultPositionId = positionIdFor(position);
+
+  return {
+    players: MOCK_PLAYERS[position].map((mock) => ({
+      id: mock.id,
+      onTeamId: 0,
+      status: 'FREEAGENT',
+      player: {
+        id: mock.id,
+        fullName: mock.fullName,
+        defaultPositionId,
+        proTeamId: mock.proTeamId,
+        ownership: { percentOwned: mock.percentOwned },
+        stats: [
+          {
+            seasonId: season,
+            scoringPeriodId: 0,
+            statSourceId: 1,
+            statSplitTypeId: 0,
+            appliedTotal: mock.seasonProjection,
+            appliedAverage: mock.avgProjection,
+          },
+        ],
+      },
+    })),
+  };
+}
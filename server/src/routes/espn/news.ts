@@ -0,0 +1,239 @@
+import { withTransaction } from '../../db';
+import { cachedEspnFetch, type CachedResult } from './cache';
+
+export const MAX_NEWS_ITEMS = 500;
+
+// One article from ESPN's fantasy news feed; only the fields we store.
+export type EspnNewsArticle = {
+  id?: number | string;
+  headline?: string;
+  description?: string;
+  story?: string;
+  published?: string;
+  lastModified?: string;
+  source?: string;
+  type?: string;
+  links?: { web?: { href?: string } };
+};
+
+// ESPN has served the list as `feed`; older responses used `articles`.
+export type EspnNewsResponse = {
+  feed?: EspnNewsArticle[];
+  articles?: EspnNewsArticle[];
+};
+
+export type NewsItem = {
+  playerId: number;
+  headline: string;
+  content: string | null;
+  source: string;
+  publishedDate: Date | null;
+  espnNewsId: string | null;
+  link: string | null;
+};
+
+export type NewsUpsertResult = { inserted: number; updated: number };
+
+export type NewsRequest = { espnId: number; limit: number };
+
+const DEFAULT_NEWS_LIMIT = 10;
+// More than a player's recent feed only makes the cached response bigger.
+const MAX_NEWS_LIMIT = 50;
+
+// Validates GET /api/espn/news's ?playerId=&limit= before they become part of the ESPN URL
+// and the cache key.
+export function parseNewsRequest(source: Record<string, unknown>): { request?: NewsRequest; error?: string } {
+  if (source.playerId === undefined || source.playerId === '') {
+    return { error: 'playerId required' };
+  }
+  const espnId = Number(source.playerId);
+  if (!Number.isInteger(espnId) || espnId <= 0) {
+    return { error: 'playerId must be an ESPN player id' };
+  }
+
+  const limit = source.limit === undefined || source.limit === '' ? DEFAULT_NEWS_LIMIT : Number(source.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NEWS_LIMIT) {
+    return { error: `limit must be 1-${MAX_NEWS_LIMIT}` };
+  }
+  return { request: { espnId, limit } };
+}
+
+export async function fetchPlayerNews(
+  espnId: number,
+  limit: number = DEFAULT_NEWS_LIMIT,
+  options: { refresh?: boolean } = {}
+): Promise<CachedResult<EspnNewsResponse>> {
+  const url = `https://site.api.espn.com/apis/fantasy/v2/games/ffl/news/players?playerId=${espnId}&limit=${limit}`;
+  return cachedEspnFetch<EspnNewsResponse>('news', url, {}, {}, options);
+}
+
+export const newsArticles = (data: EspnNewsResponse): EspnNewsArticle[] => data.feed ?? data.articles ?? [];
+
+const validDate = (value: unknown): Date | null => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value as string);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export function newsItemFromArticle(article: EspnNewsArticle, playerId: number): NewsItem | null {
+  const headline = article.headline?.trim();
+  if (!headline) {
+    return null;
+  }
+  return {
+    playerId,
+    headline: headline.slice(0, 500),
+    content: article.description ?? article.story ?? null,
+    source: article.source ?? 'ESPN',
+    publishedDate: validDate(article.published ?? article.lastModified),
+    espnNewsId: article.id === undefined ? null : String(article.id),
+    link: article.links?.web?.href ?? null,
+  };
+}
+
+/**
+ * Validates POST /api/news/bulk items ({ player_id, headline, content?, source?,
+ * published_date?, espn_news_id?, link? }).
+ */
+export function parseNewsItems(body: unknown): { items?: NewsItem[]; error?: string } {
+  const input = (body ?? {}) as Record<string, unknown>;
+  if (!Array.isArray(input.items)) {
+    return { error: 'items[] required' };
+  }
+  if (input.items.length > MAX_NEWS_ITEMS) {
+    return { error: `At most ${MAX_NEWS_ITEMS} items per request` };
+  }
+
+  const items: NewsItem[] = [];
+  for (const [index, raw] of input.items.entries()) {
+    const item = (raw ?? {}) as Record<string, unknown>;
+    const playerId = Number(item.player_id);
+    if (!Number.isInteger(playerId) || playerId < 1) {
+      return { error: `items[${index}].player_id must be a players.id` };
+    }
+    if (typeof item.headline !== 'string' || !item.headline.trim()) {
+      return { error: `items[${index}].headline required` };
+    }
+    const publishedDate = item.published_date === undefined ? new Date() : validDate(item.published_date);
+    if (item.published_date !== undefined && !publishedDate) {
+      return { error: `items[${index}].published_date must be a date` };
+    }
+    items.push({
+      playerId,
+      headline: item.headline.trim().slice(0, 500),
+      content: typeof item.content === 'string' ? item.content : null,
+      source: typeof item.source === 'string' ? item.source : 'misc',
+      publishedDate,
+      espnNewsId: item.espn_news_id === undefined || item.espn_news_id === null ? null : String(item.espn_news_id),
+      link: typeof item.link === 'string' ? item.link : null,
+    });
+  }
+  return { items };
+}
+
+// Mirrors the generated player_news.dedupe_key column (migration 0008).
+const dedupeKey = (item: NewsItem): string =>
+  `${item.playerId}:${item.espnNewsId === null ? `headline:${item.headline.toLowerCase()}` : `espn:${item.espnNewsId}`}`;
+
+const headlineKey = (playerId: number, headline: string): string => `${playerId}:${headline.toLowerCase()}`;
+
+type StoredStory = { player_id: number; headline: string; espn_news_id: string | null };
+
+/**
+ * Inserts news items, updating the stored copy of a story already seen. A story is the
+ * same when it has the same ESPN article id or the same headline for the player, so an
+ * article first stored without its id (e.g. via the bulk route) is matched by headline
+ * and given the id. Within the batch the first copy wins; ESPN's feed is newest first.
+ * A stored story keeps its published_date, since bulk items without one default to now.
+ */
+export async function upsertPlayerNews(input: NewsItem[]): Promise<NewsUpsertResult> {
+  const items = input.map((item) => ({ ...item }));
+  if (!items.length) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  return withTransaction(async (client) => {
+    const { rows: stored } = await client.query<StoredStory>(
+      `SELECT n.player_id, n.headline, n.espn_news_id
+         FROM player_news n
+         JOIN UNNEST($1::int[], $2::text[], $3::text[]) AS t(player_id, headline, espn_news_id)
+           ON n.player_id = t.player_id
+          AND (LOWER(n.headline) = LOWER(t.headline) OR n.espn_news_id = t.espn_news_id)`,
+      [items.map((item) => item.playerId), items.map((item) => item.headline), items.map((item) => item.espnNewsId)]
+    );
+    const storedIds = new Set(stored.filter((row) => row.espn_news_id).map((row) => `${row.player_id}:${row.espn_news_id}`));
+    const byHeadline = new Map(stored.map((row) => [headlineKey(row.player_id, row.headline), row]));
+
+    // Settle each item's ESPN id first so both matching rules land on one dedupe key: an
+    // item without one takes the id of a same-headline item in the batch, then of a stored row.
+    const batchIds = new Map<string, string>();
+    for (const item of items) {
+      const key = headlineKey(item.playerId, item.headline);
+      if (item.espnNewsId !== null && !batchIds.has(key)) {
+        batchIds.set(key, item.espnNewsId);
+      }
+    }
+    for (const item of items) {
+      item.espnNewsId ??= batchIds.get(headlineKey(item.playerId, item.headline)) ?? null;
+    }
+
+    const adopt: { playerId: number; headline: string; espnNewsId: string }[] = [];
+    for (const item of items) {
+      const match = byHeadline.get(headlineKey(item.playerId, item.headline));
+      if (!match) {
+        continue;
+      }
+      if (item.espnNewsId === null) {
+        item.espnNewsId = match.espn_news_id;
+      } else if (match.espn_news_id === null && !storedIds.has(`${item.playerId}:${item.espnNewsId}`)) {
+        adopt.push({ playerId: item.playerId, headline: match.headline, espnNewsId: item.espnNewsId });
+        match.espn_news_id = item.espnNewsId;
+        storedIds.add(`${item.playerId}:${item.espnNewsId}`);
+      }
+    }
+    if (adopt.length) {
+      await client.query(
+        `UPDATE player_news n SET espn_news_id = t.espn_news_id
+           FROM UNNEST($1::int[], $2::text[], $3::text[]) AS t(player_id, headline, espn_news_id)
+          WHERE n.player_id = t.player_id AND n.headline = t.headline AND n.espn_news_id IS NULL`,
+        [adopt.map((row) => row.playerId), adopt.map((row) => row.headline), adopt.map((row) => row.espnNewsId)]
+      );
+    }
+
+    // One statement cannot update a row twice, so later copies of a story are dropped.
+    const unique = new Map<string, NewsItem>();
+    for (const item of items) {
+      const key = dedupeKey(item);
+      if (!unique.has(key)) {
+        unique.set(key, item);
+      }
+    }
+    const rows = [...unique.values()];
+
+    const { rows: upserted } = await client.query<{ inserted: boolean }>(
+      `INSERT INTO player_news (player_id, headline, content, source, published_date, espn_news_id, link)
+       SELECT * FROM UNNEST($1::int[], $2::text[], $3::text[], $4::text[], $5::timestamp[], $6::text[], $7::text[])
+       ON CONFLICT (player_id, dedupe_key) DO UPDATE SET
+         headline = EXCLUDED.headline,
+         content = COALESCE(EXCLUDED.content, player_news.content),
+         source = EXCLUDED.source,
+         published_date = COALESCE(player_news.published_date, EXCLUDED.published_date),
+         link = COALESCE(EXCLUDED.link, player_news.link)
+       RETURNING (xmax = 0) AS inserted`,
+      [
+        rows.map((item) => item.playerId),
+        rows.map((item) => item.headline),
+        rows.map((item) => item.content),
+        rows.map((item) => item.source),
+        rows.map((item) => item.publishedDate),
+        rows.map((item) => item.espnNewsId),
+        rows.map((item) => item.link),
+      ]
+    );
+
+    const inserted = upserted.filter((row) => row.inserted).length;
+    return { inserted, updated: upserted.length - inserted };
+  });
+}
@@ -0,0 +1,96 @@
+import { query } from '../../db';
+import { DEFAULT_POSITION_IDS, PRO_TEAM_ABBREVIATIONS } from './constants';
+
+// Player fields shared by roster entries (mRoster) and kona_player_info results.
+export type EspnPlayer = {
+  id: number;
+  fullName?: string;
+  firstName?: string;
+  lastName?: string;
+  defaultPositionId?: number;
+  proTeamId?: number;
+  injured?: boolean;
+  injuryStatus?: string;
+  ownership?: { percentOwned?: number; percentStarted?: number; percentChange?: number };
+};
+
+const COLUMNS = 12;
+
+/**
+ * Upserts ESPN players into `players` and returns players.id keyed by ESPN id. This is the
+ * one mapping from ESPN's player fields to a players row, shared by the player-ingest job
+ * and scripts/ingestPlayers.js (through POST /api/players/ingest). Ownership values,
+ * injury status and bye weeks (from `byeWeeks`, keyed by proTeamId) that are missing keep
+ * their stored value. A changed injury status (including a player's first one) is
+ * recorded in player_injury_history.
+ */
+export async function upsertEspnPlayers(
+  input: EspnPlayer[],
+  byeWeeks: Map<number, number> = new Map()
+): Promise<Map<number, number>> {
+  // One statement cannot update the same row twice, so duplicates are dropped first.
+  const players = [...new Map(input.map((player) => [player.id, player])).values()];
+  if (!players.length) {
+    return new Map();
+  }
+
+  const valuesSql = players
+    .map((_player, i) => `(${Array.from({ length: COLUMNS }, (_v, c) => `$${i * COLUMNS + c + 1}`).join(', ')})`)
+    .join(',');
+
+  const params: unknown[] = players.flatMap((player) => [
+    player.id,
+    player.fullName ?? `Player ${player.id}`,
+    player.firstName ?? null,
+    player.lastName ?? null,
+    DEFAULT_POSITION_IDS[player.defaultPositionId ?? -1] ?? null,
+    PRO_TEAM_ABBREVIATIONS[player.proTeamId ?? -1] ?? null,
+    player.injured === true,
+    player.injuryStatus ?? null,
+    player.ownership?.percentOwned ?? null,
+    player.ownership?.percentStarted ?? null,
+    player.ownership?.percentChange ?? null,
+    byeWeeks.get(player.proTeamId ?? -1) ?? null,
+  ]);
+
+  params.push(players.map((player) => player.id));
+  const espnIdsParam = params.length;
+
+  // Every part of the statement sees the table as it was before it, so `previous` holds
+  // the statuses being replaced.
+  const { rows } = await query<{ id: number; espn_id: number }>(
+    `WITH previous AS (
+       SELECT id, injury_status FROM players WHERE espn_id = ANY($${espnIdsParam}::int[])
+     ),
+     upserted AS (
+       INSERT INTO players (espn_id, name, first_name, last_name, position, team, is_injured, injury_status,
+                            percent_owned, percent_started, percent_change, bye_week)
+       VALUES ${valuesSql}
+       ON CONFLICT (espn_id) DO UPDATE SET
+         name = EXCLUDED.name,
+         first_name = COALESCE(EXCLUDED.first_name, players.first_name),
+         last_name = COALESCE(EXCLUDED.last_name, players.last_name),
+         position = COALESCE(EXCLUDED.position, players.position),
+         team = COALESCE(EXCLUDED.team, players.team),
+         is_injured = CASE WHEN EXCLUDED.injury_status IS NULL THEN players.is_injured ELSE EXCLUDED.is_injured END,
+         injury_status = COALESCE(EXCLUDED.injury_status, players.injury_status),
+         percent_owned = COALESCE(EXCLUDED.percent_owned, players.percent_owned),
+         percent_started = COALESCE(EXCLUDED.percent_started, players.percent_started),
+         percent_change = COALESCE(EXCLUDED.percent_change, players.percent_change),
+         bye_week = COALESCE(EXCLUDED.bye_week, players.bye_week),
+         updated_at = NOW()
+       RETURNING id, espn_id, is_injured, injury_status
+     ),
+     transitions AS (
+       INSERT INTO player_injury_history (player_id, status, previous_status, is_injured)
+       SELECT u.id, u.injury_status, p.injury_status, COALESCE(u.is_injured, FALSE)
+         FROM upserted u
+         LEFT JOIN previous p ON p.id = u.id
+        WHERE u.injury_status IS NOT NULL AND u.injury_status IS DISTINCT FROM p.injury_status
+     )
+     SELECT id, espn_id FROM upserted`,
+    params
+  );
+
+  return new Map(rows.map((row) => [Number(row.espn_id), row.id]));
+}
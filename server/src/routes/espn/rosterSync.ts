@@ -0,0 +1,185 @@
+import env from '../../env';
+import { query, withTransaction } from '../../db';
+import { ensureLeagueScope, scopeCondition, type LeagueContext } from '../../leagueContext';
+import { LINEUP_SLOT_LABELS, type RosterSlot } from './constants';
+import {
+  fetchLeague,
+  findMyTeam,
+  normalizeSwid,
+  ownsTeam,
+  teamDisplayName,
+  type EspnLeague,
+  type EspnTeam,
+} from './league';
+import { upsertEspnPlayers } from './playerStore';
+
+export class RosterSyncError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = 'RosterSyncError';
+  }
+}
+
+export type RosterSyncPlayer = {
+  espnId: number;
+  name: string;
+  slot: RosterSlot;
+};
+
+export type RosterSyncMove = {
+  espnId: number;
+  name: string;
+  from: string;
+  to: RosterSlot;
+};
+
+export type RosterSyncResult = {
+  leagueId: string;
+  season: number;
+  team: { teamId: number; name: string; abbrev: string | null };
+  diff: {
+    added: RosterSyncPlayer[];
+    dropped: { espnId: number; name: string; slot: string }[];
+    moved: RosterSyncMove[];
+    unchanged: number;
+  };
+  rosterSize: number;
+};
+
+type StoredRosterRow = {
+  id: number;
+  position_slot: string;
+  espn_id: number;
+  name: string;
+};
+
+const SYNC_VIEW = 'mRoster,mTeam';
+
+function pickTeam(league: EspnLeague, teamId: number | undefined): EspnTeam {
+  if (teamId === undefined && !normalizeSwid(env.SWID)) {
+    throw new RosterSyncError('teamId is required when SWID is not configured', 400);
+  }
+
+  const team = findMyTeam(league, teamId);
+  if (!team) {
+    throw new RosterSyncError(
+      teamId !== undefined
+        ? `Team ${teamId} is not in this league`
+        : 'No team in this league is owned by the configured SWID; pass teamId',
+      404
+    );
+  }
+  return team;
+}
+
+const ownerName = (league: EspnLeague, team: EspnTeam): string | null => {
+  const ownerId = normalizeSwid(team.primaryOwner ?? team.owners?.[0]);
+  const member = league.members?.find((candidate) => normalizeSwid(candidate.id) === ownerId);
+  if (!member) {
+    return null;
+  }
+  return member.displayName ?? ([member.firstName, member.lastName].filter(Boolean).join(' ') || null);
+};
+
+// Stores every team in the league so later requests can show names, and marks the
+// SWID owner's team as ours.
+async function saveTeams(league: EspnLeague, leagueRef: number) {
+  const swid = normalizeSwid(env.SWID);
+
+  for (const team of league.teams ?? []) {
+    await query(
+      `INSERT INTO fantasy_teams (league_id, espn_team_id, name, abbrev, owner, is_mine)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (league_id, espn_team_id) DO UPDATE SET
+         name = EXCLUDED.name,
+         abbrev = EXCLUDED.abbrev,
+         owner = COALESCE(EXCLUDED.owner, fantasy_teams.owner),
+         is_mine = EXCLUDED.is_mine OR fantasy_teams.is_mine`,
+      [leagueRef, team.id, teamDisplayName(team), team.abbrev ?? null, ownerName(league, team), ownsTeam(team, swid)]
+    );
+  }
+}
+
+/**
+ * Replaces the stored roster for a league/team with the team's current ESPN roster.
+ * Rows for players still on the team are kept (with their notes and added date) and
+ * only have their slot updated, so the result doubles as a diff.
+ */
+export async function syncRosterFromEspn(context: LeagueContext): Promise<RosterSyncResult> {
+  const { data: league } = await fetchLeague(context.season, context.leagueId, SYNC_VIEW, { refresh: true });
+  const team = pickTeam(league, context.teamId);
+  const entries = team.roster?.entries ?? [];
+
+  const scope = await ensureLeagueScope({ ...context, teamId: team.id });
+  await saveTeams(league, scope.leagueRef as number);
+  const playerIds = await upsertEspnPlayers(
+    entries.flatMap((entry) => (entry.playerPoolEntry?.player ? [entry.playerPoolEntry.player] : []))
+  );
+
+  const espnRoster = new Map<number, RosterSyncPlayer>();
+  for (const entry of entries) {
+    const player = entry.playerPoolEntry?.player;
+    const espnId = player?.id ?? entry.playerId;
+    espnRoster.set(espnId, {
+      espnId,
+      name: player?.fullName ?? `Player ${espnId}`,
+      slot: LINEUP_SLOT_LABELS[entry.lineupSlotId] ?? 'BENCH',
+    });
+  }
+
+  const diff: RosterSyncResult['diff'] = { added: [], dropped: [], moved: [], unchanged: 0 };
+
+  await withTransaction(async (client) => {
+    const params: unknown[] = [];
+    const { rows: stored } = await client.query<StoredRosterRow>(
+      `SELECT r.id, r.position_slot, p.espn_id, p.name
+         FROM my_roster r
+         JOIN players p ON p.id = r.player_id
+        WHERE ${scopeCondition('r', scope, params)}
+        ORDER BY r.id
+          FOR UPDATE OF r`,
+      params
+    );
+
+    const kept = new Set<number>();
+    for (const row of stored) {
+      const espnId = Number(row.espn_id);
+      const current = espnRoster.get(espnId);
+
+      // Players no longer on the team, and duplicate manual entries, are removed.
+      if (!current || kept.has(espnId)) {
+        await client.query('DELETE FROM my_roster WHERE id = $1', [row.id]);
+        diff.dropped.push({ espnId, name: row.name, slot: row.position_slot });
+        continue;
+      }
+
+      kept.add(espnId);
+      if (row.position_slot === current.slot) {
+        diff.unchanged += 1;
+      } else {
+        await client.query('UPDATE my_roster SET position_slot = $1 WHERE id = $2', [current.slot, row.id]);
+        diff.moved.push({ espnId, name: current.name, from: row.position_slot, to: current.slot });
+      }
+    }
+
+    for (const player of espnRoster.values()) {
+      const playerRef = playerIds.get(player.espnId);
+      if (kept.has(player.espnId) || playerRef === undefined) {
+        continue;
+      }
+      await client.query(
+        'INSERT INTO my_roster (player_id, position_slot, league_id, team_id) VALUES ($1, $2, $3, $4)',
+        [playerRef, player.slot, scope.leagueRef, scope.teamRef]
+      );
+      diff.added.push(player);
+    }
+  });
+
+  return {
+    leagueId: context.leagueId,
+    season: context.season,
+    team: { teamId: team.id, name: teamDisplayName(team), abbrev: team.abbrev ?? null },
+    diff,
+    rosterSize: espnRoster.size,
+  };
+}
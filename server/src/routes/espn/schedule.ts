@@ -0,0 +1,226 @@
+import { pool, query, withTransaction } from '../../db';
+import { cachedEspnFetch, type CachedResult } from './cache';
+import { PRO_TEAM_ABBREVIATIONS } from './constants';
+
+// The parts of the proTeamSchedules_wl view the server reads.
+export type EspnProGame = {
+  id?: number;
+  date?: number;
+  homeProTeamId: number;
+  awayProTeamId: number;
+};
+
+export type EspnProTeam = {
+  id: number;
+  abbrev?: string;
+  byeWeek?: number;
+  // Keyed by scoring period (week).
+  proGamesByScoringPeriod?: Record<string, EspnProGame[]>;
+};
+
+export type EspnProTeamSchedules = {
+  settings?: { proTeams?: EspnProTeam[] };
+};
+
+export type ProTeamGame = {
+  week: number;
+  opponentProTeamId: number;
+  opponent: string;
+  home: boolean;
+  // ISO kickoff time (UTC), when ESPN has scheduled it.
+  date: string | null;
+};
+
+// One NFL team's season as stored in pro_teams / pro_team_games.
+export type ProTeamSchedule = {
+  proTeamId: number;
+  abbrev: string;
+  byeWeek: number | null;
+  games: ProTeamGame[];
+};
+
+export const proTeamSchedulesUrl = (season: string | number): string =>
+  `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}?view=proTeamSchedules_wl`;
+
+/**
+ * NFL schedules and bye weeks through the `byeWeeks` cache, the same path
+ * `GET /api/espn/byeWeeks` uses.
+ */
+export function fetchProTeamSchedules(
+  season: string | number,
+  options: { refresh?: boolean } = {}
+): Promise<CachedResult<EspnProTeamSchedules>> {
+  return cachedEspnFetch<EspnProTeamSchedules>('byeWeeks', proTeamSchedulesUrl(season), {}, { season }, options);
+}
+
+// ESPN mixes case ("Wsh"); stored abbreviations match players.team.
+const teamAbbrev = (team: EspnProTeam): string =>
+  (team.abbrev ?? PRO_TEAM_ABBREVIATIONS[team.id] ?? String(team.id)).toUpperCase();
+
+// Per-team bye week and weekly opponents. Team 0 is ESPN's free-agent placeholder.
+export function parseProTeamSchedules(data: EspnProTeamSchedules): ProTeamSchedule[] {
+  const teams = (data.settings?.proTeams ?? []).filter((team) => team.id > 0);
+  const abbrevs = new Map(teams.map((team) => [team.id, teamAbbrev(team)]));
+
+  return teams.map((team) => {
+    const games = Object.entries(team.proGamesByScoringPeriod ?? {})
+      .flatMap(([week, weekGames]) =>
+        weekGames
+          .filter((game) => game.homeProTeamId === team.id || game.awayProTeamId === team.id)
+          .map((game) => {
+            const home = game.homeProTeamId === team.id;
+            const opponentProTeamId = home ? game.awayProTeamId : game.homeProTeamId;
+            return {
+              week: Number(week),
+              opponentProTeamId,
+              opponent: abbrevs.get(opponentProTeamId) ?? PRO_TEAM_ABBREVIATIONS[opponentProTeamId] ?? String(opponentProTeamId),
+              home,
+              date: game.date ? new Date(game.date).toISOString() : null,
+            };
+          })
+      )
+      .sort((a, b) => a.week - b.week);
+
+    return { proTeamId: team.id, abbrev: teamAbbrev(team), byeWeek: team.byeWeek || null, games };
+  });
+}
+
+/**
+ * Replaces the stored schedule for a season. When it is the latest season stored,
+ * players.bye_week is refreshed from it as well.
+ */
+export async function storeProTeamSchedules(season: number, schedules: ProTeamSchedule[]): Promise<void> {
+  const games = schedules.flatMap((team) => team.games.map((game) => ({ ...game, proTeamId: team.proTeamId })));
+
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO pro_teams (season, pro_team_id, abbrev, bye_week)
+       SELECT $1, pro_team_id, abbrev, bye_week
+         FROM UNNEST($2::int[], $3::text[], $4::int[]) AS t(pro_team_id, abbrev, bye_week)
+       ON CONFLICT (season, pro_team_id) DO UPDATE SET abbrev = EXCLUDED.abbrev, bye_week = EXCLUDED.bye_week`,
+      [
+        season,
+        schedules.map((team) => team.proTeamId),
+        schedules.map((team) => team.abbrev),
+        schedules.map((team) => team.byeWeek),
+      ]
+    );
+
+    await client.query('DELETE FROM pro_team_games WHERE season = $1', [season]);
+    await client.query(
+      `INSERT INTO pro_team_games (season, week, pro_team_id, opponent_pro_team_id, is_home, game_date)
+       SELECT $1, week, pro_team_id, opponent_pro_team_id, is_home, game_date
+         FROM UNNEST($2::int[], $3::int[], $4::int[], $5::boolean[], $6::timestamp[])
+              AS t(week, pro_team_id, opponent_pro_team_id, is_home, game_date)`,
+      [
+        season,
+        games.map((game) => game.week),
+        games.map((game) => game.proTeamId),
+        games.map((game) => game.opponentProTeamId),
+        games.map((game) => game.home),
+        games.map((game) => game.date),
+      ]
+    );
+
+    await client.query(
+      `UPDATE players p SET bye_week = t.bye_week
+         FROM pro_teams t
+        WHERE t.season = $1 AND t.abbrev = UPPER(p.team)
+          AND p.bye_week IS DISTINCT FROM t.bye_week
+          AND $1 >= (SELECT MAX(season) FROM pro_teams)`,
+      [season]
+    );
+  });
+}
+
+// Fetches, parses and (with a database) stores a season's schedule.
+export async function syncProTeamSchedules(
+  season: number,
+  options: { refresh?: boolean } = {}
+): Promise<ProTeamSchedule[]> {
+  const { data } = await fetchProTeamSchedules(season, options);
+  const schedules = parseProTeamSchedules(data);
+  if (pool && schedules.length) {
+    await storeProTeamSchedules(season, schedules);
+  }
+  return schedules;
+}
+
+async function loadStoredSchedules(season: number): Promise<ProTeamSchedule[]> {
+  const [{ rows: teams }, { rows: games }] = await Promise.all([
+    query<{ pro_team_id: number; abbrev: string; bye_week: number | null }>(
+      'SELECT pro_team_id, abbrev, bye_week FROM pro_teams WHERE season = $1 ORDER BY pro_team_id',
+      [season]
+    ),
+    query<{ pro_team_id: number; week: number; opponent_pro_team_id: number; is_home: boolean; game_date: string | null }>(
+      `SELECT pro_team_id, week, opponent_pro_team_id, is_home,
+              to_char(game_date, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS game_date
+         FROM pro_team_games WHERE season = $1 ORDER BY pro_team_id, week`,
+      [season]
+    ),
+  ]);
+
+  const abbrevs = new Map(teams.map((team) => [team.pro_team_id, team.abbrev]));
+  return teams.map((team) => ({
+    proTeamId: team.pro_team_id,
+    abbrev: team.abbrev,
+    byeWeek: team.bye_week,
+    games: games
+      .filter((game) => game.pro_team_id === team.pro_team_id)
+      .map((game) => ({
+        week: game.week,
+        opponentProTeamId: game.opponent_pro_team_id,
+        opponent: abbrevs.get(game.opponent_pro_team_id) ?? String(game.opponent_pro_team_id),
+        home: game.is_home,
+        date: game.game_date,
+      })),
+  }));
+}
+
+// The stored schedule for a season, syncing it from ESPN the first time it is needed.
+export async function loadProTeamSchedules(season: number): Promise<ProTeamSchedule[]> {
+  if (pool) {
+    try {
+      const stored = await loadStoredSchedules(season);
+      if (stored.length) {
+        return stored;
+      }
+    } catch (error) {
+      if ((error as { code?: string })?.code !== '42P01') {
+        throw error;
+      }
+      console.warn('[WARN] Schedule tables missing, reading schedules from ESPN');
+      const { data } = await fetchProTeamSchedules(season);
+      return parseProTeamSchedules(data);
+    }
+  }
+  return syncProTeamSchedules(season);
+}
+
+// ESPN pro team id -> bye week.
+export async function loadByeWeeks(season: number): Promise<Map<number, number>> {
+  const schedules = await loadProTeamSchedules(season);
+  return new Map(
+    schedules
+      .filter((team) => team.byeWeek)
+      .map((team) => [team.proTeamId, team.byeWeek as number])
+  );
+}
+
+// Games this long after kickoff are treated as final.
+const GAME_FINAL_HOURS = 12;
+
+// The latest week whose every game is over, or null before week 1 has finished.
+export async function lastCompletedWeek(season: number, now: Date = new Date()): Promise<number | null> {
+  const lastKickoff = new Map<number, number>();
+  for (const team of await loadProTeamSchedules(season)) {
+    for (const game of team.games) {
+      const kickoff = game.date ? new Date(game.date).getTime() : Infinity;
+      lastKickoff.set(game.week, Math.max(lastKickoff.get(game.week) ?? 0, kickoff));
+    }
+  }
+
+  const cutoff = now.getTime() - GAME_FINAL_HOURS * 60 * 60 * 1000;
+  const finished = [...lastKickoff].filter(([, kickoff]) => kickoff <= cutoff).map(([week]) => week);
+  return finished.length ? Math.max(...finished) : null;
+}
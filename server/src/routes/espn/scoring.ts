@@ -0,0 +1,221 @@
+import { cachedEspnFetch } from './cache';
+import {
+  DEFAULT_POSITION_IDS,
+  POSITION_SLOT_IDS,
+  PRO_TEAM_ABBREVIATIONS,
+  type FantasyPosition,
+} from './constants';
+import { fetchLeague, type EspnLeague } from './league';
+import type { EspnStat, KonaPlayerEntry, KonaPlayersResponse } from './waiver';
+
+export const MAX_RESCORE_PLAYERS = 50;
+
+export type ScoringRule = {
+  statId: number;
+  points: number;
+  // Keyed by fantasy position rather than ESPN lineup slot ID.
+  overrides: Partial<Record<FantasyPosition, number>>;
+};
+
+export type LeagueScoring = {
+  leagueId: string;
+  season: number;
+  rules: Map<number, ScoringRule>;
+};
+
+export type PeriodPoints = {
+  actual: number | null;
+  projected: number | null;
+};
+
+export type RescoredPlayer = {
+  id: number;
+  name: string;
+  position: FantasyPosition | null;
+  team: string;
+  season: PeriodPoints & { espnActual: number | null; espnProjected: number | null };
+  weeks: (PeriodPoints & { week: number })[];
+};
+
+const SLOT_POSITIONS = new Map<string, FantasyPosition>(
+  Object.entries(POSITION_SLOT_IDS).map(([position, slotId]) => [String(slotId), position as FantasyPosition])
+);
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+/**
+ * Reads `settings.scoringSettings.scoringItems` (mSettings view). ESPN keys overrides by
+ * lineup slot; only the slots that map to a single position are kept.
+ */
+export function parseScoringSettings(league: EspnLeague, leagueId: string, season: number): LeagueScoring {
+  const items = league.settings?.scoringSettings?.scoringItems;
+  if (!Array.isArray(items) || !items.length) {
+    throw new Error(`League ${leagueId} returned no scoring settings`);
+  }
+
+  const rules = new Map<number, ScoringRule>();
+  for (const item of items) {
+    const overrides: ScoringRule['overrides'] = {};
+    for (const [slotId, points] of Object.entries(item.pointsOverrides ?? {})) {
+      const position = SLOT_POSITIONS.get(slotId);
+      if (position) {
+        overrides[position] = points;
+      }
+    }
+    rules.set(item.statId, { statId: item.statId, points: item.points, overrides });
+  }
+
+  return { leagueId, season, rules };
+}
+
+export async function loadLeagueScoring(leagueId: string, season: number): Promise<LeagueScoring> {
+  const { data } = await fetchLeague(season, leagueId, 'mSettings');
+  return parseScoringSettings(data, leagueId, season);
+}
+
+/**
+ * Fantasy points for one raw stat map (ESPN stat ID -> total) under a league's rules.
+ * Bonuses (e.g. 100-yard games) are their own stat IDs, so they score like any other stat.
+ */
+export function pointsForStats(
+  stats: Record<string, number>,
+  scoring: LeagueScoring,
+  position: FantasyPosition | null
+): number {
+  let total = 0;
+  for (const [statId, value] of Object.entries(stats)) {
+    const rule = scoring.rules.get(Number(statId));
+    if (!rule || !Number.isFinite(value)) {
+      continue;
+    }
+    const points = (position && rule.overrides[position]) ?? rule.points;
+    total += value * points;
+  }
+  return round2(total);
+}
+
+// Without league scoring, ESPN's applied total for the stat line is used.
+const statPoints = (
+  stat: EspnStat | undefined,
+  scoring: LeagueScoring | null,
+  position: FantasyPosition | null
+): number | null => {
+  if (!scoring) {
+    return stat?.appliedTotal ?? null;
+  }
+  return stat?.stats ? pointsForStats(stat.stats, scoring, position) : null;
+};
+
+const findStat = (stats: EspnStat[], season: number, sourceId: number, splitTypeId: number, week?: number) =>
+  stats.find(
+    (stat) =>
+      stat.statSourceId === sourceId &&
+      stat.statSplitTypeId === splitTypeId &&
+      (stat.seasonId ?? season) === season &&
+      (week === undefined || stat.scoringPeriodId === week)
+  );
+
+export function rescorePlayer(entry: KonaPlayerEntry, scoring: LeagueScoring): RescoredPlayer | null {
+  return scorePlayer(entry, scoring.season, scoring);
+}
+
+// Season and weekly points for one player, under a league's rules or (scoring = null)
+// ESPN's applied totals.
+export function scorePlayer(entry: KonaPlayerEntry, season: number, scoring: LeagueScoring | null): RescoredPlayer | null {
+  const player = entry.player;
+  if (!player) {
+    return null;
+  }
+
+  const position = DEFAULT_POSITION_IDS[player.defaultPositionId ?? -1] ?? null;
+  const stats = player.stats ?? [];
+
+  const seasonActual = findStat(stats, season, 0, 0);
+  const seasonProjected = findStat(stats, season, 1, 0);
+
+  const weekNumbers = [
+    ...new Set(
+      stats
+        .filter((stat) => stat.statSplitTypeId === 1 && (stat.seasonId ?? season) === season && stat.scoringPeriodId)
+        .map((stat) => stat.scoringPeriodId as number)
+    ),
+  ].sort((a, b) => a - b);
+
+  return {
+    id: player.id ?? entry.id,
+    name: player.fullName ?? 'Unknown',
+    position,
+    team: PRO_TEAM_ABBREVIATIONS[player.proTeamId ?? 0] ?? 'FA',
+    season: {
+      actual: statPoints(seasonActual, scoring, position),
+      projected: statPoints(seasonProjected, scoring, position),
+      espnActual: seasonActual?.appliedTotal ?? null,
+      espnProjected: seasonProjected?.appliedTotal ?? null,
+    },
+    weeks: weekNumbers.map((week) => ({
+      week,
+      actual: statPoints(findStat(stats, season, 0, 1, week), scoring, position),
+      projected: statPoints(findStat(stats, season, 1, 1, week), scoring, position),
+    })),
+  };
+}
+
+export type RescoreRequest = {
+  leagueId: string;
+  season: number;
+  playerIds: number[];
+};
+
+export function parseRescoreRequest(body: unknown): { request?: RescoreRequest; error?: string } {
+  const input = (body ?? {}) as Record<string, unknown>;
+
+  const leagueId = input.leagueId === undefined ? '' : String(input.leagueId).trim();
+  if (!/^\d{1,20}$/.test(leagueId)) {
+    return { error: 'leagueId is required' };
+  }
+
+  const season = input.season === undefined ? new Date().getFullYear() : Number(input.season);
+  if (!Number.isInteger(season)) {
+    return { error: 'season must be a year' };
+  }
+
+  if (!Array.isArray(input.playerIds) || !input.playerIds.length) {
+    return { error: 'playerIds[] required' };
+  }
+  const playerIds = input.playerIds.map(Number);
+  if (!playerIds.every(Number.isInteger)) {
+    return { error: 'playerIds must be ESPN player IDs' };
+  }
+  if (playerIds.length > MAX_RESCORE_PLAYERS) {
+    return { error: `At most ${MAX_RESCORE_PLAYERS} players per request` };
+  }
+
+  return { request: { leagueId, season, playerIds } };
+}
+
+/**
+ * Pulls every season and weekly stat line (actual and projected) for the players and
+ * scores them under the league's rules.
+ */
+export async function rescorePlayers(request: RescoreRequest): Promise<{ players: RescoredPlayer[] }> {
+  const { leagueId, season, playerIds } = request;
+  const scoring = await loadLeagueScoring(leagueId, season);
+
+  const filter = {
+    players: {
+      filterIds: { value: playerIds },
+      filterStatsForExternalIds: { value: [season] },
+      filterStatsForSourceIds: { value: [0, 1] },
+      filterStatsForSplitTypeIds: { value: [0, 1] },
+      limit: playerIds.length,
+    },
+  };
+  const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=kona_player_info`;
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>('playerInfo', url, { filter }, { leagueId, season });
+
+  const players = (data.players ?? [])
+    .map((entry) => rescorePlayer(entry, scoring))
+    .filter((player): player is RescoredPlayer => player !== null);
+
+  return { players };
+}
@@ -0,0 +1,234 @@
+import { query } from '../../db';
+import { FANTASY_POSITIONS, isFantasyPosition, type FantasyPosition } from './constants';
+import type { EspnLeague } from './league';
+import { loadProTeamSchedules, type ProTeamSchedule } from './schedule';
+
+// Weeks of evidence a defense needs before its own average outweighs the league's.
+const SHRINK_GAMES = 3;
+const DEFAULT_UPCOMING_WEEKS = 4;
+const DEFAULT_PLAYOFF_WEEKS = [15, 16, 17];
+const LAST_WEEK = 18;
+
+export type SosRequest = {
+  season: number;
+  fromWeek?: number;
+  weeks: number;
+  playoffWeeks?: number[];
+  position?: FantasyPosition;
+};
+
+export type MatchupRating = {
+  week: number;
+  opponent: string;
+  home: boolean;
+  // Points the opponent allows to the position, relative to the league average (1 = average).
+  rating: number;
+};
+
+export type ScheduleOutlook = {
+  // Average matchup rating over the window; null when the team does not play in it.
+  rating: number | null;
+  // 1 = easiest schedule at the position.
+  rank: number | null;
+  games: MatchupRating[];
+};
+
+export type TeamScheduleStrength = {
+  proTeamId: number;
+  team: string;
+  position: FantasyPosition;
+  upcoming: ScheduleOutlook;
+  playoffs: ScheduleOutlook;
+};
+
+export type StrengthOfSchedule = {
+  season: number;
+  upcomingWeeks: number[];
+  playoffWeeks: number[];
+  // Completed weeks of player_analytics the ratings are built from.
+  sampleWeeks: number;
+  teams: TeamScheduleStrength[];
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+const parseWeek = (value: unknown): number | null => {
+  const week = Number(value);
+  return Number.isInteger(week) && week >= 1 && week <= LAST_WEEK ? week : null;
+};
+
+export function parseSosRequest(source: Record<string, unknown>): { request?: SosRequest; error?: string } {
+  const season = source.season === undefined || source.season === '' ? new Date().getFullYear() : Number(source.season);
+  if (!Number.isInteger(season)) {
+    return { error: 'season must be a year' };
+  }
+
+  let fromWeek: number | undefined;
+  if (source.fromWeek !== undefined && source.fromWeek !== '') {
+    fromWeek = parseWeek(source.fromWeek) ?? undefined;
+    if (fromWeek === undefined) {
+      return { error: `fromWeek must be 1-${LAST_WEEK}` };
+    }
+  }
+
+  const weeks = source.weeks === undefined || source.weeks === '' ? DEFAULT_UPCOMING_WEEKS : parseWeek(source.weeks);
+  if (weeks === null) {
+    return { error: `weeks must be 1-${LAST_WEEK}` };
+  }
+
+  let playoffWeeks: number[] | undefined;
+  if (source.playoffWeeks !== undefined && source.playoffWeeks !== '') {
+    const parsed = String(source.playoffWeeks).split(',').map(parseWeek);
+    if (parsed.some((week) => week === null)) {
+      return { error: `playoffWeeks must be a comma-separated list of weeks 1-${LAST_WEEK}` };
+    }
+    playoffWeeks = parsed as number[];
+  }
+
+  let position: FantasyPosition | undefined;
+  if (source.position !== undefined && source.position !== '') {
+    const value = String(source.position).toUpperCase();
+    if (!isFantasyPosition(value)) {
+      return { error: 'position must be one of QB, RB, WR, TE, D/ST, K' };
+    }
+    position = value;
+  }
+
+  return { request: { season, fromWeek, weeks, playoffWeeks, position } };
+}
+
+// Fantasy playoff weeks from the league's schedule settings, assuming one-week matchups
+// unless the league says otherwise.
+export function leaguePlayoffWeeks(league: EspnLeague): number[] | undefined {
+  const settings = league.settings?.scheduleSettings;
+  if (!settings?.matchupPeriodCount || !settings.playoffTeamCount) {
+    return undefined;
+  }
+  const rounds = Math.ceil(Math.log2(settings.playoffTeamCount));
+  const length = rounds * (settings.playoffMatchupPeriodLength ?? 1);
+  return Array.from({ length }, (_, index) => settings.matchupPeriodCount! + 1 + index).filter((week) => week <= LAST_WEEK);
+}
+
+type AllowedRow = { defense: number; position: string; week: number; points: number };
+
+/**
+ * Per-position matchup ratings for every NFL team's upcoming weeks and the fantasy
+ * playoffs. A defense's points allowed to a position is the weekly total scored by
+ * tracked players of that position whose team it faced (player_analytics, ESPN default
+ * scoring), shrunk toward the league average while the sample is small. Players are
+ * matched to pro teams by their current team, so traded players count for their new one.
+ */
+export async function loadStrengthOfSchedule(request: SosRequest): Promise<StrengthOfSchedule> {
+  const { season } = request;
+  const schedules = await loadProTeamSchedules(season);
+
+  const { rows } = await query<AllowedRow>(
+    `SELECT g.opponent_pro_team_id AS defense, p.position, pa.week, SUM(pa.points_scored)::float AS points
+       FROM player_analytics pa
+       JOIN players p ON p.id = pa.player_id
+       JOIN pro_teams t ON t.season = pa.season AND t.abbrev = UPPER(p.team)
+       JOIN pro_team_games g ON g.season = pa.season AND g.pro_team_id = t.pro_team_id AND g.week = pa.week
+      WHERE pa.season = $1 AND pa.points_scored IS NOT NULL
+      GROUP BY g.opponent_pro_team_id, p.position, pa.week`,
+    [season]
+  );
+
+  const playedWeeks = new Set(rows.map((row) => row.week));
+  const fromWeek = request.fromWeek ?? (playedWeeks.size ? Math.min(Math.max(...playedWeeks) + 1, LAST_WEEK) : 1);
+  const upcomingWeeks = Array.from({ length: request.weeks }, (_, index) => fromWeek + index).filter(
+    (week) => week <= LAST_WEEK
+  );
+  const playoffWeeks = request.playoffWeeks ?? DEFAULT_PLAYOFF_WEEKS;
+
+  // position -> defense -> { points, games }
+  const allowed = new Map<string, Map<number, { points: number; games: number }>>();
+  for (const row of rows) {
+    const byDefense = allowed.get(row.position) ?? new Map<number, { points: number; games: number }>();
+    const total = byDefense.get(row.defense) ?? { points: 0, games: 0 };
+    total.points += row.points;
+    total.games += 1;
+    byDefense.set(row.defense, total);
+    allowed.set(row.position, byDefense);
+  }
+
+  // League-wide points allowed per game at each position.
+  const averages = new Map(
+    [...allowed].map(([position, byDefense]) => {
+      const totals = [...byDefense.values()];
+      const games = totals.reduce((sum, total) => sum + total.games, 0);
+      return [position, games ? totals.reduce((sum, total) => sum + total.points, 0) / games : 0];
+    })
+  );
+
+  const matchupRating = (defense: number, position: FantasyPosition): number => {
+    const average = averages.get(position);
+    if (!average) {
+      return 1;
+    }
+    const own = allowed.get(position)?.get(defense) ?? { points: 0, games: 0 };
+    return round2((own.points + average * SHRINK_GAMES) / (own.games + SHRINK_GAMES) / average);
+  };
+
+  const positions = request.position ? [request.position] : [...FANTASY_POSITIONS];
+  const outlook = (team: ProTeamSchedule, position: FantasyPosition, weeks: number[]): ScheduleOutlook => {
+    const games = team.games
+      .filter((game) => weeks.includes(game.week))
+      .map((game) => ({
+        week: game.week,
+        opponent: game.opponent,
+        home: game.home,
+        rating: matchupRating(game.opponentProTeamId, position),
+      }));
+    const rating = games.length ? round2(games.reduce((sum, game) => sum + game.rating, 0) / games.length) : null;
+    return { rating, rank: null, games };
+  };
+
+  const teams: TeamScheduleStrength[] = positions.flatMap((position) => {
+    const rated = schedules.map((team) => ({
+      proTeamId: team.proTeamId,
+      team: team.abbrev,
+      position,
+      upcoming: outlook(team, position, upcomingWeeks),
+      playoffs: outlook(team, position, playoffWeeks),
+    }));
+    for (const window of ['upcoming', 'playoffs'] as const) {
+      rated
+        .filter((entry) => entry[window].rating !== null)
+        .sort((a, b) => (b[window].rating as number) - (a[window].rating as number))
+        .forEach((entry, index) => {
+          entry[window].rank = index + 1;
+        });
+    }
+    return rated.sort((a, b) => (a.upcoming.rank ?? Infinity) - (b.upcoming.rank ?? Infinity));
+  });
+
+  return { season, upcomingWeeks, playoffWeeks, sampleWeeks: playedWeeks.size, teams };
+}
+
+export type ScheduleFactor = {
+  upcoming: number | null;
+  upcomingRank: number | null;
+  playoffs: number | null;
+  playoffsRank: number | null;
+};
+
+// The schedule factor for one player: their team's outlook at their position.
+export function scheduleFactorFor(
+  sos: StrengthOfSchedule,
+  team: string | number | null | undefined,
+  position: FantasyPosition
+): ScheduleFactor | null {
+  const key = typeof team === 'string' ? team.toUpperCase() : team;
+  const entry = sos.teams.find(
+    (candidate) => candidate.position === position && (candidate.proTeamId === key || candidate.team === key)
+  );
+  if (!entry) {
+    return null;
+  }
+  return {
+    upcoming: entry.upcoming.rating,
+    upcomingRank: entry.upcoming.rank,
+    playoffs: entry.playoffs.rating,
+    playoffsRank: entry.playoffs.rank,
+  };
+}
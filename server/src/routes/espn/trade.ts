@@ -0,0 +1,390 @@
+import { parseLeagueContext } from '../../leagueContext';
+import { cachedEspnFetch } from './cache';
+import {
+  DEFAULT_POSITION_IDS,
+  FANTASY_POSITIONS,
+  LINEUP_SLOT_LABELS,
+  PRO_TEAM_ABBREVIATIONS,
+  type FantasyPosition,
+} from './constants';
+import { DEFAULT_LEAGUE_VIEW, fetchLeague, teamDisplayName, type EspnLeague, type EspnTeam } from './league';
+import { assignMaxWeight, leagueSlotCounts, starterSlots } from './lineup';
+import type { EspnPlayer } from './playerStore';
+import { loadByeWeeks } from './schedule';
+import { parseScoringSettings, pointsForStats, type LeagueScoring } from './scoring';
+import { leaguePlayoffWeeks } from './strengthOfSchedule';
+import { findSeasonProjection, type EspnStat, type KonaPlayersResponse } from './waiver';
+
+export class TradeError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = 'TradeError';
+  }
+}
+
+const WEEKS_PER_SEASON = 17;
+
+// A value gap up to this share of the bigger side is a fair trade; up to the second
+// it slightly favors one side.
+const FAIR_MARGIN = 0.1;
+const SLIGHT_MARGIN = 0.25;
+
+export type TradeSide = { teamId: number; playerIds: number[] };
+
+export type TradeRequest = {
+  season: number;
+  leagueId: string;
+  teamA: TradeSide;
+  teamB: TradeSide;
+};
+
+export type TradePlayer = {
+  espnId: number;
+  name: string;
+  position: FantasyPosition | null;
+  team: string;
+  slot: string;
+  // Projected points per game and over the rest of the fantasy season.
+  weekly: number;
+  restOfSeason: number;
+  byeWeek: number | null;
+};
+
+export type TradeTeamRoster = {
+  teamId: number;
+  name: string;
+  players: TradePlayer[];
+};
+
+export type TradeRosters = {
+  season: number;
+  leagueId: string;
+  week: number;
+  remainingWeeks: number[];
+  scoring: 'league' | 'espn';
+  teams: TradeTeamRoster[];
+};
+
+export type TradeSideResult = {
+  teamId: number;
+  name: string;
+  sends: TradePlayer[];
+  receives: TradePlayer[];
+  value: { sent: number; received: number; net: number };
+  // Weekly points from the best legal starting lineup.
+  lineup: {
+    before: number;
+    after: number;
+    delta: number;
+    restOfSeasonDelta: number;
+    positions: Record<FantasyPosition, { before: number; after: number; delta: number }>;
+    gained: string[];
+    lost: string[];
+  };
+  // Players received minus sent; above zero the team has to drop someone.
+  rosterChange: number;
+};
+
+export type TradeAnalysis = {
+  season: number;
+  leagueId: string;
+  week: number;
+  remainingWeeks: number[];
+  scoring: 'league' | 'espn';
+  teamA: TradeSideResult;
+  teamB: TradeSideResult;
+  fairness: {
+    verdict: 'FAIR' | 'FAVORS_A' | 'FAVORS_B';
+    // Value gap as a share of the bigger side.
+    margin: number;
+    summary: string;
+  };
+};
+
+type TradeLeague = {
+  league: EspnLeague;
+  week: number;
+  remainingWeeks: number[];
+  scoring: LeagueScoring | null;
+  players: Map<number, TradePlayer>;
+};
+
+const round1 = (value: number): number => Math.round(value * 10) / 10;
+
+const parseSide = (value: unknown, label: string): { side?: TradeSide; error?: string } => {
+  const input = (value ?? {}) as Record<string, unknown>;
+  const teamId = Number(input.teamId);
+  if (!Number.isInteger(teamId) || teamId < 1) {
+    return { error: `${label}.teamId must be an ESPN team id` };
+  }
+  if (!Array.isArray(input.playerIds)) {
+    return { error: `${label}.playerIds must be an array` };
+  }
+  const playerIds = input.playerIds.map(Number);
+  if (playerIds.some((id) => !Number.isInteger(id))) {
+    return { error: `${label}.playerIds must be ESPN player ids` };
+  }
+  return { side: { teamId, playerIds: [...new Set(playerIds)] } };
+};
+
+export function parseTradeRequest(body: unknown): { request?: TradeRequest; error?: string } {
+  const input = (body ?? {}) as Record<string, unknown>;
+
+  const { context, error } = parseLeagueContext(input);
+  if (error) {
+    return { error };
+  }
+  if (!context) {
+    return { error: 'leagueId and season are required' };
+  }
+
+  const a = parseSide(input.teamA, 'teamA');
+  if (!a.side) {
+    return { error: a.error };
+  }
+  const b = parseSide(input.teamB, 'teamB');
+  if (!b.side) {
+    return { error: b.error };
+  }
+  if (a.side.teamId === b.side.teamId) {
+    return { error: 'teamA and teamB must be different teams' };
+  }
+  if (!a.side.playerIds.length && !b.side.playerIds.length) {
+    return { error: 'A trade needs at least one player' };
+  }
+
+  return { request: { season: context.season, leagueId: context.leagueId, teamA: a.side, teamB: b.side } };
+}
+
+async function fetchSeasonProjections(season: number, leagueId: string, espnIds: number[]): Promise<KonaPlayersResponse> {
+  const filter = {
+    players: {
+      filterIds: { value: espnIds },
+      filterStatsForTopScoringPeriodIds: {
+        value: 2,
+        additionalValue: [`00${season}`, `10${season}`],
+      },
+      limit: espnIds.length,
+    },
+  };
+  const url = `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=kona_player_info`;
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>('playerInfo', url, { filter }, { leagueId, season });
+  return data;
+}
+
+/**
+ * Every rostered player in the league with a rest-of-season value: projected points per
+ * game (league scoring when the league has it) times the weeks left through the fantasy
+ * playoffs, less a remaining bye.
+ */
+async function loadTradeLeague(season: number, leagueId: string): Promise<TradeLeague> {
+  const { data: league } = await fetchLeague<EspnLeague>(season, leagueId, DEFAULT_LEAGUE_VIEW);
+  const teams = league.teams ?? [];
+  if (!teams.length) {
+    throw new TradeError(`League ${leagueId} returned no teams`, 404);
+  }
+
+  let scoring: LeagueScoring | null = null;
+  try {
+    scoring = parseScoringSettings(league, leagueId, season);
+  } catch (error) {
+    console.warn('[WARN] League scoring unavailable, using ESPN projections:', (error as Error).message);
+  }
+
+  const week = league.scoringPeriodId ?? 1;
+  const lastWeek = leaguePlayoffWeeks(league)?.slice(-1)[0] ?? WEEKS_PER_SEASON;
+  const remainingWeeks = Array.from({ length: Math.max(lastWeek - week + 1, 0) }, (_, index) => week + index);
+
+  const entries = teams.flatMap((team) => team.roster?.entries ?? []);
+  const espnIds = [...new Set(entries.map((entry) => entry.playerId))];
+
+  const [projections, byeWeeks] = await Promise.all([
+    espnIds.length ? fetchSeasonProjections(season, leagueId, espnIds) : Promise.resolve({ players: [] }),
+    loadByeWeeks(season).catch((error) => {
+      console.warn('[WARN] Bye weeks unavailable for trade analysis:', (error as Error).message);
+      return new Map<number, number>();
+    }),
+  ]);
+  const projected = new Map((projections.players ?? []).map((entry) => [entry.player?.id ?? entry.id, entry.player]));
+
+  const players = new Map<number, TradePlayer>();
+  for (const entry of entries) {
+    const player: (EspnPlayer & { stats?: EspnStat[] }) | undefined =
+      projected.get(entry.playerId) ?? entry.playerPoolEntry?.player;
+    const position = DEFAULT_POSITION_IDS[player?.defaultPositionId ?? -1] ?? null;
+    const projection = findSeasonProjection(player?.stats, season);
+    const seasonPoints =
+      scoring && projection?.stats && position
+        ? pointsForStats(projection.stats, scoring, position)
+        : (projection?.appliedTotal ?? 0);
+    const weekly = seasonPoints / WEEKS_PER_SEASON;
+    const byeWeek = byeWeeks.get(player?.proTeamId ?? -1) ?? null;
+    const games = remainingWeeks.filter((remaining) => remaining !== byeWeek).length;
+
+    players.set(entry.playerId, {
+      espnId: entry.playerId,
+      name: player?.fullName ?? `Player ${entry.playerId}`,
+      position,
+      team: PRO_TEAM_ABBREVIATIONS[player?.proTeamId ?? 0] ?? 'FA',
+      slot: LINEUP_SLOT_LABELS[entry.lineupSlotId] ?? 'BENCH',
+      weekly: round1(weekly),
+      restOfSeason: round1(weekly * games),
+      byeWeek,
+    });
+  }
+
+  return { league, week, remainingWeeks, scoring, players };
+}
+
+const teamPlayers = (team: EspnTeam, players: Map<number, TradePlayer>): TradePlayer[] =>
+  (team.roster?.entries ?? [])
+    .map((entry) => players.get(entry.playerId))
+    .filter((player): player is TradePlayer => player !== undefined)
+    .sort((a, b) => b.restOfSeason - a.restOfSeason);
+
+// Rosters for the Trade tab, most valuable players first.
+export async function loadTradeRosters(season: number, leagueId: string): Promise<TradeRosters> {
+  const { league, week, remainingWeeks, scoring, players } = await loadTradeLeague(season, leagueId);
+  return {
+    season,
+    leagueId,
+    week,
+    remainingWeeks,
+    scoring: scoring ? 'league' : 'espn',
+    teams: (league.teams ?? []).map((team) => ({
+      teamId: team.id,
+      name: teamDisplayName(team),
+      players: teamPlayers(team, players),
+    })),
+  };
+}
+
+// Best legal lineup by points per game; IR players never start.
+function bestLineup(roster: TradePlayer[], slotCounts: Record<number, number>): TradePlayer[] {
+  const candidates = roster.filter((player) => player.slot !== 'IR' && player.position);
+  const slots = starterSlots(slotCounts);
+  const weights = slots.map((slot) =>
+    candidates.map((player) => (slot.eligible.includes(player.position as FantasyPosition) ? player.weekly : null))
+  );
+  return assignMaxWeight(weights, candidates.length)
+    .filter((col) => col >= 0)
+    .map((col) => candidates[col]);
+}
+
+const sumWeekly = (players: TradePlayer[]): number => round1(players.reduce((sum, player) => sum + player.weekly, 0));
+const sumRest = (players: TradePlayer[]): number => round1(players.reduce((sum, player) => sum + player.restOfSeason, 0));
+
+function analyzeSide(
+  team: EspnTeam,
+  sends: TradePlayer[],
+  receives: TradePlayer[],
+  players: Map<number, TradePlayer>,
+  slotCounts: Record<number, number>,
+  remainingWeeks: number
+): TradeSideResult {
+  const before = teamPlayers(team, players);
+  const sent = new Set(sends.map((player) => player.espnId));
+  // Incoming players land on the bench (and can start) unless they arrive on IR.
+  const after = [
+    ...before.filter((player) => !sent.has(player.espnId)),
+    ...receives.map((player) => ({ ...player, slot: player.slot === 'IR' ? 'IR' : 'BENCH' })),
+  ];
+
+  const startersBefore = bestLineup(before, slotCounts);
+  const startersAfter = bestLineup(after, slotCounts);
+  const beforeIds = new Set(startersBefore.map((player) => player.espnId));
+  const afterIds = new Set(startersAfter.map((player) => player.espnId));
+
+  const positions = Object.fromEntries(
+    FANTASY_POSITIONS.map((position) => {
+      const beforePoints = sumWeekly(startersBefore.filter((player) => player.position === position));
+      const afterPoints = sumWeekly(startersAfter.filter((player) => player.position === position));
+      return [position, { before: beforePoints, after: afterPoints, delta: round1(afterPoints - beforePoints) }];
+    })
+  ) as TradeSideResult['lineup']['positions'];
+
+  const lineupBefore = sumWeekly(startersBefore);
+  const lineupAfter = sumWeekly(startersAfter);
+  const valueSent = sumRest(sends);
+  const valueReceived = sumRest(receives);
+
+  return {
+    teamId: team.id,
+    name: teamDisplayName(team),
+    sends,
+    receives,
+    value: { sent: valueSent, received: valueReceived, net: round1(valueReceived - valueSent) },
+    lineup: {
+      before: lineupBefore,
+      after: lineupAfter,
+      delta: round1(lineupAfter - lineupBefore),
+      restOfSeasonDelta: round1((lineupAfter - lineupBefore) * remainingWeeks),
+      positions,
+      gained: startersAfter.filter((player) => !beforeIds.has(player.espnId)).map((player) => player.name),
+      lost: startersBefore.filter((player) => !afterIds.has(player.espnId)).map((player) => player.name),
+    },
+    rosterChange: receives.length - sends.length,
+  };
+}
+
+function judgeFairness(teamA: TradeSideResult, teamB: TradeSideResult): TradeAnalysis['fairness'] {
+  const bigger = Math.max(teamA.value.sent, teamA.value.received);
+  const margin = bigger ? Math.round((Math.abs(teamA.value.net) / bigger) * 100) / 100 : 0;
+  const winner = teamA.value.net > 0 ? teamA : teamB;
+  const verdict = margin <= FAIR_MARGIN ? 'FAIR' : winner === teamA ? 'FAVORS_A' : 'FAVORS_B';
+
+  const parts = [
+    verdict === 'FAIR'
+      ? 'Even rest-of-season value'
+      : `${margin <= SLIGHT_MARGIN ? 'Slightly favors' : 'Favors'} ${winner.name} by ${Math.abs(teamA.value.net)} pts`,
+  ];
+  const helped = [teamA, teamB].filter((side) => side.lineup.delta > 0);
+  if (helped.length === 2) {
+    parts.push('improves both starting lineups');
+  } else if (helped.length === 1) {
+    parts.push(`only ${helped[0].name}'s starting lineup improves`);
+  }
+
+  return { verdict, margin, summary: parts.join('; ') };
+}
+
+/**
+ * Compares rest-of-season value each side gives and gets, and how each team's best
+ * starting lineup (under the league's slot rules) changes. Every player must currently
+ * be on the team that sends them.
+ */
+export async function analyzeTrade(request: TradeRequest): Promise<TradeAnalysis> {
+  const { league, week, remainingWeeks, scoring, players } = await loadTradeLeague(request.season, request.leagueId);
+  const teams = league.teams ?? [];
+
+  const resolve = (side: TradeSide, label: string) => {
+    const team = teams.find((candidate) => candidate.id === side.teamId);
+    if (!team) {
+      throw new TradeError(`${label} team ${side.teamId} is not in league ${request.leagueId}`, 404);
+    }
+    const rostered = new Set((team.roster?.entries ?? []).map((entry) => entry.playerId));
+    const missing = side.playerIds.filter((id) => !rostered.has(id));
+    if (missing.length) {
+      throw new TradeError(`Players ${missing.join(', ')} are not on ${teamDisplayName(team)}`, 400);
+    }
+    return { team, sends: side.playerIds.map((id) => players.get(id) as TradePlayer) };
+  };
+
+  const a = resolve(request.teamA, 'teamA');
+  const b = resolve(request.teamB, 'teamB');
+  const slotCounts = leagueSlotCounts(league);
+
+  const teamA = analyzeSide(a.team, a.sends, b.sends, players, slotCounts, remainingWeeks.length);
+  const teamB = analyzeSide(b.team, b.sends, a.sends, players, slotCounts, remainingWeeks.length);
+
+  return {
+    season: request.season,
+    leagueId: request.leagueId,
+    week,
+    remainingWeeks,
+    scoring: scoring ? 'league' : 'espn',
+    teamA,
+    teamB,
+    fairness: judgeFairness(teamA, teamB),
+  };
+}
@@ -0,0 +1,386 @@
+import env from '../../env';
+import { pool, query } from '../../db';
+import { findLeagueScope, parseLeagueContext, scopeCondition } from '../../leagueContext';
+import { cachedEspnFetch } from './cache';
+import {
+  DEFAULT_POSITION_IDS,
+  POSITION_SLOT_IDS,
+  PRO_TEAM_ABBREVIATIONS,
+  TARGET_DEPTH,
+  isFantasyPosition,
+  type FantasyPosition,
+} from './constants';
+import { getMockWaiverPayload } from './mockWaiverData';
+import type { EspnPlayer } from './playerStore';
+import { DEFAULT_FAAB_LEAGUE, parseFaabLeague, recommendFaabBid, type FaabLeague, type FaabRecommendation } from './faab';
+import { DEFAULT_LEAGUE_VIEW, fetchLeague, type EspnLeague } from './league';
+import { parseScoringSettings, pointsForStats, type LeagueScoring } from './scoring';
+import {
+  leaguePlayoffWeeks,
+  loadStrengthOfSchedule,
+  scheduleFactorFor,
+  type ScheduleFactor,
+  type StrengthOfSchedule,
+} from './strengthOfSchedule';
+
+export type EspnStat = {
+  seasonId?: number;
+  scoringPeriodId?: number;
+  statSourceId?: number;
+  statSplitTypeId?: number;
+  appliedTotal?: number;
+  appliedAverage?: number;
+  // Raw stat totals keyed by ESPN stat ID; see scoring.ts.
+  stats?: Record<string, number>;
+};
+
+export type KonaPlayerEntry = {
+  id: number;
+  onTeamId?: number;
+  status?: string;
+  player?: EspnPlayer & { stats?: EspnStat[] };
+};
+
+export type KonaPlayersResponse = {
+  players?: KonaPlayerEntry[];
+};
+
+export type WaiverPriority = 'HIGH' | 'MEDIUM' | 'LOW';
+
+export type WaiverAnalysisRequest = {
+  season: number;
+  position: FantasyPosition;
+  currentPlayerIds: number[];
+  limit: number;
+  leagueId?: string;
+  teamId?: number;
+};
+
+export type WaiverCandidate = {
+  id: number;
+  name: string;
+  position: FantasyPosition;
+  team: string;
+  ownershipPct: number;
+  seasonProjection: number;
+  avgProjection: number;
+  priority: WaiverPriority;
+  // Null when the league does not use a FAAB budget.
+  faab: FaabRecommendation | null;
+  // Null when no strength-of-schedule data is available.
+  schedule: ScheduleFactor | null;
+  reasoning: string;
+};
+
+export type WaiverAnalysisResult = {
+  analysis: WaiverCandidate[];
+  summary: {
+    highPriority: number;
+    mediumPriority: number;
+    lowPriority: number;
+    totalAnalyzed: number;
+    rosterDepth: number;
+    faab: { budget: number; remaining: number; minimumBid: number } | null;
+  };
+};
+
+const DEFAULT_LIMIT = 15;
+const MAX_LIMIT = 50;
+const WEEKS_PER_SEASON = 17;
+
+// Projected weekly points for a replacement-level starter at each position.
+const STARTER_BASELINE: Record<FantasyPosition, number> = {
+  QB: 15,
+  RB: 9,
+  WR: 9,
+  TE: 6,
+  'D/ST': 6,
+  K: 7,
+};
+
+// Upcoming weeks that count toward the schedule factor.
+const SCHEDULE_WEEKS = 4;
+
+const PRIORITY_RANK: Record<WaiverPriority, number> = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
+const round1 = (value: number): number => Math.round(value * 10) / 10;
+
+const clamp = (value: number, min: number, max: number): number => Math.min(Math.max(value, min), max);
+
+export function parseWaiverRequest(body: unknown): { request?: WaiverAnalysisRequest; error?: string } {
+  const input = (body ?? {}) as Record<string, unknown>;
+
+  const season = input.season === undefined ? new Date().getFullYear() : Number(input.season);
+  if (!Number.isInteger(season)) {
+    return { error: 'season must be a year' };
+  }
+
+  const position = input.position === undefined ? 'RB' : String(input.position).toUpperCase();
+  if (!isFantasyPosition(position)) {
+    return { error: 'position must be one of QB, RB, WR, TE, D/ST, K' };
+  }
+
+  const rawIds = input.currentPlayerIds ?? [];
+  if (!Array.isArray(rawIds)) {
+    return { error: 'currentPlayerIds must be an array' };
+  }
+  const currentPlayerIds = rawIds.map(Number).filter(Number.isFinite);
+
+  const rawLimit = input.limit === undefined ? DEFAULT_LIMIT : Number(input.limit);
+  if (!Number.isFinite(rawLimit)) {
+    return { error: 'limit must be a number' };
+  }
+  const limit = Math.min(Math.max(Math.trunc(rawLimit), 1), MAX_LIMIT);
+
+  const { context, error } = parseLeagueContext({ ...input, season });
+  if (error) {
+    return { error };
+  }
+
+  return { request: { season, position, currentPlayerIds, limit, leagueId: context?.leagueId, teamId: context?.teamId } };
+}
+
+async function fetchFreeAgents(request: WaiverAnalysisRequest, excludedCount: number): Promise<KonaPlayersResponse> {
+  if (env.USE_MOCK_WAIVER_DATA) {
+    return getMockWaiverPayload(request.position, request.season);
+  }
+
+  const { season, position, leagueId } = request;
+  const filter = {
+    players: {
+      filterStatus: { value: ['FREEAGENT', 'WAIVERS'] },
+      filterSlotIds: { value: [POSITION_SLOT_IDS[position]] },
+      filterStatsForTopScoringPeriodIds: {
+        value: 2,
+        additionalValue: [`00${season}`, `10${season}`],
+      },
+      sortPercOwned: { sortPriority: 1, sortAsc: false },
+      limit: request.limit + excludedCount,
+      offset: 0,
+    },
+  };
+
+  // Without a league, ESPN's league defaults stand in for the free-agent pool.
+  const url = leagueId
+    ? `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leagues/${leagueId}?view=kona_player_info`
+    : `https://fantasy.espn.com/apis/v3/games/ffl/seasons/${season}/segments/0/leaguedefaults/0?view=kona_player_info`;
+
+  const { data } = await cachedEspnFetch<KonaPlayersResponse>('freeAgents', url, { filter }, { leagueId, season });
+  return data;
+}
+
+// The request's currentPlayerIds carry no position, so the stored players table says which
+// of them play the requested one. Ids not stored yet do not count toward depth.
+async function loadCurrentIdsAtPosition(request: WaiverAnalysisRequest): Promise<number[]> {
+  if (!pool || !request.currentPlayerIds.length) {
+    return [];
+  }
+
+  try {
+    const { rows } = await query<{ espn_id: number }>(
+      'SELECT espn_id FROM players WHERE position = $1 AND espn_id = ANY($2::int[])',
+      [request.position, request.currentPlayerIds]
+    );
+    return rows.map((row) => Number(row.espn_id));
+  } catch (error) {
+    console.warn('[WARN] Failed to look up currentPlayerIds positions for waiver analysis:', (error as Error).message);
+    return [];
+  }
+}
+
+// Roster depth comes from the roster stored for the request's league/team (or the unscoped one).
+async function loadRosteredEspnIds(request: WaiverAnalysisRequest): Promise<number[] | null> {
+  if (!pool) {
+    return null;
+  }
+
+  try {
+    const context = request.leagueId
+      ? { leagueId: request.leagueId, season: request.season, teamId: request.teamId }
+      : null;
+    const scope = await findLeagueScope(context);
+    if (!scope) {
+      return [];
+    }
+
+    const params: unknown[] = [request.position];
+    const { rows } = await query<{ espn_id: number }>(
+      `SELECT p.espn_id FROM my_roster r JOIN players p ON p.id = r.player_id
+        WHERE p.position = $1 AND ${scopeCondition('r', scope, params)}`,
+      params
+    );
+    return rows.map((row) => Number(row.espn_id));
+  } catch (error) {
+    const err = error as { code?: string; message?: string } | undefined;
+    if (err?.code === '42P01') {
+      console.warn('[WARN] Roster tables missing, waiver analysis will skip roster depth');
+    } else {
+      console.warn('[WARN] Failed to load roster depth for waiver analysis:', err?.message);
+    }
+    return null;
+  }
+}
+
+type WaiverLeague = {
+  scoring: LeagueScoring | null;
+  faab: FaabLeague | null;
+  playoffWeeks?: number[];
+};
+
+// The league is optional here: if it cannot be loaded the analysis still runs on ESPN
+// totals and default FAAB rules. Scoring, bid rules, budgets and rival rosters all come
+// from one fetch of the default league view.
+async function loadWaiverLeague(request: WaiverAnalysisRequest): Promise<WaiverLeague> {
+  if (!request.leagueId || env.USE_MOCK_WAIVER_DATA) {
+    return { scoring: null, faab: DEFAULT_FAAB_LEAGUE };
+  }
+
+  let league: EspnLeague;
+  try {
+    ({ data: league } = await fetchLeague(request.season, request.leagueId, DEFAULT_LEAGUE_VIEW));
+  } catch (error) {
+    console.warn('[WARN] League unavailable, using ESPN projections and default FAAB rules:', (error as Error).message);
+    return { scoring: null, faab: DEFAULT_FAAB_LEAGUE };
+  }
+
+  let scoring: LeagueScoring | null = null;
+  try {
+    scoring = parseScoringSettings(league, request.leagueId, request.season);
+  } catch (error) {
+    console.warn('[WARN] League scoring unavailable, using ESPN projections:', (error as Error).message);
+  }
+
+  return { scoring, faab: parseFaabLeague(league, request.teamId), playoffWeeks: leaguePlayoffWeeks(league) };
+}
+
+// Schedule strength only shades the ranking, so the analysis runs without it when the
+// database or weekly stats are missing.
+async function loadWaiverSchedule(
+  request: WaiverAnalysisRequest,
+  playoffWeeks?: number[]
+): Promise<StrengthOfSchedule | null> {
+  if (!pool || env.USE_MOCK_WAIVER_DATA) {
+    return null;
+  }
+  try {
+    const sos = await loadStrengthOfSchedule({
+      season: request.season,
+      weeks: SCHEDULE_WEEKS,
+      playoffWeeks,
+      position: request.position,
+    });
+    return sos.sampleWeeks ? sos : null;
+  } catch (error) {
+    console.warn('[WARN] Strength of schedule unavailable for waiver analysis:', (error as Error).message);
+    return null;
+  }
+}
+
+export const findSeasonProjection = (stats: EspnStat[] = [], season: number): EspnStat | undefined =>
+  stats.find((stat) => stat.statSourceId === 1 && stat.statSplitTypeId === 0 && (stat.seasonId ?? season) === season);
+
+// With league scoring the projection is rescored from raw stats; otherwise ESPN's
+// applied totals (standard scoring for the league defaults) are used.
+export function scoreCandidate(
+  entry: KonaPlayerEntry,
+  position: FantasyPosition,
+  season: number,
+  rosterDepth: number,
+  scoring: LeagueScoring | null = null,
+  faabLeague: FaabLeague | null = DEFAULT_FAAB_LEAGUE,
+  sos: StrengthOfSchedule | null = null
+): WaiverCandidate | null {
+  const player = entry.player;
+  if (!player) {
+    return null;
+  }
+
+  const projection = findSeasonProjection(player.stats, season);
+  const leaguePoints = scoring && projection?.stats ? pointsForStats(projection.stats, scoring, position) : null;
+  const seasonProjection = round1(leaguePoints ?? projection?.appliedTotal ?? 0);
+  const avgProjection = round1(
+    leaguePoints === null && projection?.appliedAverage !== undefined
+      ? projection.appliedAverage
+      : seasonProjection / WEEKS_PER_SEASON
+  );
+  const ownershipPct = round1(player.ownership?.percentOwned ?? 0);
+
+  const needsDepth = rosterDepth < TARGET_DEPTH[position];
+  const projectionScore = Math.min(avgProjection / STARTER_BASELINE[position], 2);
+  // Matchup ratings sit around 1; an easy or hard schedule moves the score by at most 0.15.
+  const schedule = sos ? scheduleFactorFor(sos, player.proTeamId, position) : null;
+  const scheduleScore =
+    clamp(((schedule?.upcoming ?? 1) - 1) * 0.5, -0.1, 0.1) + clamp(((schedule?.playoffs ?? 1) - 1) * 0.25, -0.05, 0.05);
+  const score = projectionScore * 0.6 + (ownershipPct / 100) * 0.4 + (needsDepth ? 0.15 : 0) + scheduleScore;
+
+  const priority: WaiverPriority = score >= 0.9 ? 'HIGH' : score >= 0.6 ? 'MEDIUM' : 'LOW';
+  const faab = faabLeague ? recommendFaabBid(score, position, faabLeague) : null;
+
+  const reasons = [
+    `${ownershipPct}% rostered`,
+    `${avgProjection} projected pts`,
+    `${seasonProjection} season outlook`,
+  ];
+  if (needsDepth) {
+    reasons.push(`thin at ${position} (${rosterDepth} rostered)`);
+  }
+  if (schedule?.upcomingRank && sos) {
+    const rated = sos.teams.filter((team) => team.upcoming.rank !== null).length;
+    if (schedule.upcomingRank <= rated / 4) {
+      reasons.push(`easy schedule next ${sos.upcomingWeeks.length} (#${schedule.upcomingRank} of ${rated})`);
+    } else if (schedule.upcomingRank > (rated * 3) / 4) {
+      reasons.push(`tough schedule next ${sos.upcomingWeeks.length} (#${schedule.upcomingRank} of ${rated})`);
+    }
+  }
+
+  return {
+    id: player.id ?? entry.id,
+    name: player.fullName ?? 'Unknown',
+    position: DEFAULT_POSITION_IDS[player.defaultPositionId ?? -1] ?? position,
+    team: PRO_TEAM_ABBREVIATIONS[player.proTeamId ?? 0] ?? 'FA',
+    ownershipPct,
+    seasonProjection,
+    avgProjection,
+    priority,
+    faab,
+    schedule,
+    reasoning: reasons.join(' • '),
+  };
+}
+
+export async function runWaiverAnalysis(request: WaiverAnalysisRequest): Promise<WaiverAnalysisResult> {
+  const [rosteredIds, currentAtPosition] = await Promise.all([
+    loadRosteredEspnIds(request).then((ids) => ids ?? []),
+    loadCurrentIdsAtPosition(request),
+  ]);
+  // Every known player is excluded from the results, but only the requested position counts as depth.
+  const excluded = new Set([...request.currentPlayerIds, ...rosteredIds]);
+  const rosterDepth = new Set([...currentAtPosition, ...rosteredIds]).size;
+
+  const [payload, { scoring, faab, playoffWeeks }] = await Promise.all([
+    fetchFreeAgents(request, excluded.size),
+    loadWaiverLeague(request),
+  ]);
+  const sos = await loadWaiverSchedule(request, playoffWeeks);
+
+  const analysis = (payload.players ?? [])
+    .filter((entry) => !excluded.has(entry.player?.id ?? entry.id))
+    .map((entry) => scoreCandidate(entry, request.position, request.season, rosterDepth, scoring, faab, sos))
+    .filter((candidate): candidate is WaiverCandidate => candidate !== null)
+    .sort((a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] || b.avgProjection - a.avgProjection)
+    .slice(0, request.limit);
+
+  const countBy = (priority: WaiverPriority) => analysis.filter((c) => c.priority === priority).length;
+
+  return {
+    analysis,
+    summary: {
+      highPriority: countBy('HIGH'),
+      mediumPriority: countBy('MEDIUM'),
+      lowPriority: countBy('LOW'),
+      totalAnalyzed: analysis.length,
+      rosterDepth,
+      faab: faab ? { budget: faab.budget, remaining: faab.remaining, minimumBid: faab.minimumBid } : null,
+    },
+  };
+}
@@ -0,0 +1,122 @@
+import { Router, type Response } from 'express';
+import { query } from '../db';
+import { parseLeagueContext } from '../leagueContext';
+
+
+const router = Router();
+
+
+type TeamInput = {
+  teamId?: unknown;
+  name?: unknown;
+  abbrev?: unknown;
+  owner?: unknown;
+  isMine?: unknown;
+};
+
+
+const handleError = (res: Response, error: unknown) => {
+  console.error('Leagues route error:', error);
+  res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+};
+
+const optionalText = (value: unknown): string | null =>
+  typeof value === 'string' && value.trim() ? value.trim() : null;
+
+
+// Every stored league/season with its teams
+router.get('/', async (_req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT l.*,
+              COALESCE(
+                json_agg(t ORDER BY t.espn_team_id) FILTER (WHERE t.id IS NOT NULL),
+                '[]'
+              ) AS teams
+         FROM leagues l
+         LEFT JOIN fantasy_teams t ON t.league_id = l.id
+        GROUP BY l.id
+        ORDER BY l.season DESC, l.espn_league_id`
+    );
+    res.json({ leagues: rows });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Upsert a league and, optionally, its teams: { leagueId, season, name?, teams?: [{ teamId, name, abbrev, owner, isMine }] }
+router.post('/', async (req, res) => {
+  const { context, error } = parseLeagueContext(req.body);
+  if (error || !context) {
+    return res.status(400).json({ error: error ?? 'leagueId, season required' });
+  }
+
+  const teams: TeamInput[] = Array.isArray(req.body?.teams) ? req.body.teams : [];
+  const invalid = teams.find((team) => !Number.isInteger(Number(team?.teamId)) || Number(team.teamId) < 1);
+  if (invalid) {
+    return res.status(400).json({ error: 'teams[].teamId must be a positive integer' });
+  }
+
+  try {
+    const { rows } = await query(
+      `INSERT INTO leagues (espn_league_id, season, name) VALUES ($1, $2, $3)
+       ON CONFLICT (espn_league_id, season) DO UPDATE SET name = COALESCE(EXCLUDED.name, leagues.name)
+       RETURNING *`,
+      [context.leagueId, context.season, optionalText(req.body?.name)]
+    );
+    const league = rows[0];
+
+    const savedTeams = [];
+    for (const team of teams) {
+      const { rows: teamRows } = await query(
+        `INSERT INTO fantasy_teams (league_id, espn_team_id, name, abbrev, owner, is_mine)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (league_id, espn_team_id) DO UPDATE SET
+           name = COALESCE(EXCLUDED.name, fantasy_teams.name),
+           abbrev = COALESCE(EXCLUDED.abbrev, fantasy_teams.abbrev),
+           owner = COALESCE(EXCLUDED.owner, fantasy_teams.owner),
+           is_mine = EXCLUDED.is_mine
+         RETURNING *`,
+        [
+          league.id,
+          Number(team.teamId),
+          optionalText(team.name),
+          optionalText(team.abbrev),
+          optionalText(team.owner),
+          team.isMine === true,
+        ]
+      );
+      savedTeams.push(teamRows[0]);
+    }
+
+    res.json({ league: { ...league, teams: savedTeams } });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Removes the league with its teams, scoped roster/watchlist/claims and cached ESPN responses
+router.delete('/:id', async (req, res) => {
+  try {
+    const { rows } = await query<{ espn_league_id: string; season: number }>(
+      'DELETE FROM leagues WHERE id = $1 RETURNING espn_league_id, season',
+      [req.params.id]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: 'League not found' });
+    }
+
+    const { rows: purged } = await query(
+      'DELETE FROM league_cache WHERE league_id = $1 AND season = $2 RETURNING cache_key',
+      [rows[0].espn_league_id, rows[0].season]
+    );
+    res.json({ ok: true, purgedCache: purged.length });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+export default router;
@@ -1,39 +1,53 @@
-import { Router } from 'express';
+import { Router, type Response } from 'express';
 import { query } from '../db';
+import { parseNewsItems, upsertPlayerNews } from './espn/news';
 
 
 const router = Router();
 
 
+const handleError = (res: Response, error: unknown) => {
+console.error('News route error:', error);
+res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+};
+
+
+// ?player_id= takes one players.id or a comma-separated list
 router.get('/', async (req, res) => {
+try {
 const { player_id } = req.query as { player_id?: string };
 const params: any[] = [];
 let sql = 'SELECT * FROM player_news';
-if (player_id) { params.push(player_id); sql += ` WHERE player_id = $${params.length}`; }
-sql += ' ORDER BY published_date DESC LIMIT 200';
+if (player_id) {
+const ids = player_id.split(',').map(Number);
+if (ids.some(id => !Number.isInteger(id))) return res.status(400).json({ error: 'player_id must be players.id values' });
+params.push(ids);
+sql += ` WHERE player_id = ANY($${params.length}::int[])`;
+}
+sql += ' ORDER BY published_date DESC NULLS LAST LIMIT 200';
 const { rows } = await query(sql, params);
 res.json({ news: rows });
+} catch (error) {
+handleError(res, error);
+}
 });
 
 
-// Bulk insert news items (your ingester calls this)
+// Bulk upsert news items (the news ingester and external feeds call this). A story already
+// stored for the player (same espn_news_id, or same headline without one) is updated.
 router.post('/bulk', async (req, res) => {
-const items = req.body?.items as any[];
-if (!Array.isArray(items)) return res.status(400).json({ error: 'items[] required' });
-
-
-const valuesSql = items.map((_n, i) => `($${i*5+1}, $${i*5+2}, $${i*5+3}, $${i*5+4}, $${i*5+5})`).join(',');
-const params = items.flatMap(n => [n.player_id, n.headline, n.content ?? null, n.source ?? 'misc', n.published_date ?? new Date()]);
-
-
-const sql = `
-INSERT INTO player_news (player_id, headline, content, source, published_date)
-VALUES ${valuesSql}
-`;
-
-
-await query(sql, params);
-res.json({ ok: true, inserted: items.length });
+const { items, error } = parseNewsItems(req.body);
+if (!items) return res.status(400).json({ error });
+if (!items.length) return res.json({ ok: true, inserted: 0, updated: 0 });
+
+
+try {
+const result = await upsertPlayerNews(items);
+res.json({ ok: true, ...result });
+} catch (error) {
+if ((error as { code?: string })?.code === '23503') return res.status(400).json({ error: 'Unknown player_id' });
+handleError(res, error);
+}
 });
 
 
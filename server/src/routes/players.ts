@@ -1,28 +1,184 @@
-import { Router } from 'express';
+import { Router, type Response } from 'express';
 import { query } from '../db';
+import { isFantasyPosition } from './espn/constants';
+import { loadInjuryHistory } from './espn/injuries';
+import { upsertEspnPlayers, type EspnPlayer } from './espn/playerStore';
+import { loadByeWeeks } from './espn/schedule';
+import { loadStrengthOfSchedule, parseSosRequest, scheduleFactorFor } from './espn/strengthOfSchedule';
 
 
 const router = Router();
 
 
-// List players (basic filters)
+const handleError = (res: Response, error: unknown) => {
+console.error('Players route error:', error);
+res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+};
+
+
+const LIST_LIMIT = 200;
+
+
+// List players (basic filters). ?schedule=1 adds each player's strength-of-schedule factor
+// (same options as /api/espn/strength-of-schedule); sort=schedule ranks by the upcoming one.
 router.get('/', async (req, res) => {
-const { position, team, q } = req.query as Record<string, string | undefined>;
+const { position, team, q, sort } = req.query as Record<string, string | undefined>;
+const withSchedule = req.query.schedule === '1' || sort === 'schedule';
+const { request: sosRequest, error } = withSchedule ? parseSosRequest(req.query as Record<string, unknown>) : {};
+if (withSchedule && !sosRequest) return res.status(400).json({ error });
+try {
 const params: any[] = [];
 const where: string[] = [];
 if (position) { params.push(position); where.push(`position = $${params.length}`); }
 if (team) { params.push(team); where.push(`team = $${params.length}`); }
 if (q) { params.push(`%${q}%`); where.push(`name ILIKE $${params.length}`); }
-const sql = `SELECT * FROM players ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY name ASC LIMIT 200`;
+const limit = sort === 'schedule' ? '' : `LIMIT ${LIST_LIMIT}`;
+const sql = `SELECT * FROM players ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY name ASC ${limit}`;
+const { rows } = await query(sql, params);
+if (!sosRequest) return res.json({ players: rows });
+
+const sos = await loadStrengthOfSchedule(sosRequest);
+const players = rows.map((player) => ({
+...player,
+schedule: isFantasyPosition(player.position) ? scheduleFactorFor(sos, player.team, player.position) : null,
+}));
+if (sort === 'schedule') {
+players.sort((a, b) => (b.schedule?.upcoming ?? -Infinity) - (a.schedule?.upcoming ?? -Infinity));
+}
+res.json({
+players: players.slice(0, LIST_LIMIT),
+schedule: { upcomingWeeks: sos.upcomingWeeks, playoffWeeks: sos.playoffWeeks, sampleWeeks: sos.sampleWeeks },
+});
+} catch (error) {
+handleError(res, error);
+}
+});
+
+
+const TRENDING_WINDOWS: Record<string, string> = { '24h': '24 hours', '7d': '7 days' };
+
+// The baseline is the last snapshot at or before the cutoff, or the first one after it
+// while history is still shorter than the window. Cutoffs are relative to the latest
+// snapshot so a stalled schedule does not blank every delta.
+const baselineJoin = (alias: string, interval: string) => `LEFT JOIN LATERAL (
+SELECT h.percent_owned FROM player_ownership_history h
+WHERE h.player_id = c.player_id AND h.recorded_at < latest.at
+ORDER BY h.recorded_at > latest.at - INTERVAL '${interval}',
+CASE WHEN h.recorded_at <= latest.at - INTERVAL '${interval}' THEN h.recorded_at END DESC NULLS LAST,
+h.recorded_at ASC
+LIMIT 1
+) ${alias} ON true`;
+
+
+// Biggest ownership risers/fallers: ?direction=up|down&position=&window=24h|7d&limit=
+router.get('/trending', async (req, res) => {
+const { direction = 'up', position, window = '24h' } = req.query as Record<string, string | undefined>;
+const limit = req.query.limit === undefined ? 25 : Number(req.query.limit);
+if (direction !== 'up' && direction !== 'down') return res.status(400).json({ error: 'direction must be up or down' });
+if (!TRENDING_WINDOWS[window]) return res.status(400).json({ error: 'window must be 24h or 7d' });
+if (position && !isFantasyPosition(position)) return res.status(400).json({ error: 'Unknown position' });
+if (!Number.isInteger(limit) || limit < 1 || limit > 100) return res.status(400).json({ error: 'limit must be 1-100' });
+try {
+const params: any[] = [limit];
+let positionFilter = '';
+if (position) { params.push(position); positionFilter = `AND p.position = $${params.length}`; }
+const delta = window === '24h' ? 'delta_24h' : 'delta_7d';
+const { rows } = await query(
+`WITH latest AS (SELECT MAX(recorded_at) AS at FROM player_ownership_history),
+current AS (
+SELECT h.player_id, h.percent_owned, h.percent_started
+FROM player_ownership_history h, latest WHERE h.recorded_at = latest.at
+),
+deltas AS (
+SELECT p.id, p.espn_id, p.name, p.position, p.team, p.is_injured, p.injury_status,
+c.percent_owned::float AS percent_owned, c.percent_started::float AS percent_started,
+(c.percent_owned - b24.percent_owned)::float AS delta_24h,
+(c.percent_owned - b7.percent_owned)::float AS delta_7d
+FROM current c
+CROSS JOIN latest
+JOIN players p ON p.id = c.player_id
+${baselineJoin('b24', TRENDING_WINDOWS['24h'])}
+${baselineJoin('b7', TRENDING_WINDOWS['7d'])}
+WHERE TRUE ${positionFilter}
+)
+SELECT * FROM deltas
+WHERE ${delta} ${direction === 'up' ? '>' : '<'} 0
+ORDER BY ${delta} ${direction === 'up' ? 'DESC' : 'ASC'}, percent_owned DESC
+LIMIT $1`,
+params
+);
+const { rows: latest } = await query('SELECT MAX(recorded_at) AS at FROM player_ownership_history');
+res.json({ direction, window, position: position ?? null, asOf: latest[0].at, players: rows });
+} catch (error) {
+handleError(res, error);
+}
+});
+
+
+// Weekly points/projection/ownership series from player_analytics (optional ?season=)
+router.get('/:id/analytics', async (req, res) => {
+if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'id must be a player id' });
+try {
+const params: any[] = [req.params.id];
+let sql = `SELECT season, week, points_scored::float AS points_scored, projected_points::float AS projected_points,
+ownership_change::float AS ownership_change, recorded_at
+FROM player_analytics WHERE player_id = $1`;
+const season = req.query.season as string | undefined;
+if (season) { params.push(Number(season)); sql += ` AND season = $${params.length}`; }
+sql += ' ORDER BY season, week';
+const { rows: players } = await query('SELECT id, espn_id, name, position, team FROM players WHERE id = $1', [req.params.id]);
+if (!players.length) return res.status(404).json({ error: 'Player not found' });
 const { rows } = await query(sql, params);
-res.json({ players: rows });
+res.json({ player: players[0], weeks: rows });
+} catch (error) {
+handleError(res, error);
+}
 });
 
 
-// Upsert players (for your ESPN/feeds ingester to call)
+// Injury status changes recorded for the player, newest first
+router.get('/:id/injuries', async (req, res) => {
+if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'id must be a player id' });
+try {
+const { rows: players } = await query('SELECT id, espn_id, name, position, team, is_injured, injury_status FROM players WHERE id = $1', [req.params.id]);
+if (!players.length) return res.status(404).json({ error: 'Player not found' });
+res.json({ player: players[0], history: await loadInjuryHistory(Number(req.params.id)) });
+} catch (error) {
+handleError(res, error);
+}
+});
+
+
+// Upsert a single player
+router.post('/', async (req, res) => {
+try {
+const { espn_id, name, position, team, bye_week, status } = req.body || {};
+if (espn_id == null || !name) return res.status(400).json({ error: 'espn_id, name required' });
+const { rows } = await query(
+`INSERT INTO players (espn_id, name, position, team, bye_week, status)
+VALUES ($1, $2, $3, $4, $5, $6)
+ON CONFLICT (espn_id) DO UPDATE SET
+name = EXCLUDED.name,
+position = EXCLUDED.position,
+team = EXCLUDED.team,
+bye_week = EXCLUDED.bye_week,
+status = EXCLUDED.status,
+updated_at = NOW()
+RETURNING *`,
+[espn_id, name, position, team, bye_week, status ?? 'active']
+);
+res.json(rows[0]);
+} catch (error) {
+handleError(res, error);
+}
+});
+
+
+// Upsert players by espn_id; reports how many were inserted vs updated
 router.post('/upsert', async (req, res) => {
 const players = req.body?.players as any[];
 if (!Array.isArray(players)) return res.status(400).json({ error: 'players[] required' });
+if (!players.length) return res.json({ ok: true, upserted: 0, inserted: 0, updated: 0 });
 
 
 const valuesSql = players.map((_p, i) =>
@@ -42,12 +198,48 @@ position = EXCLUDED.position,
 team = EXCLUDED.team,
 bye_week = EXCLUDED.bye_week,
 status = EXCLUDED.status,
-updated_at = NOW();
+updated_at = NOW()
+RETURNING (xmax = 0) AS inserted;
 `;
 
 
-await query(sql, params);
-res.json({ ok: true, upserted: players.length });
+try {
+const { rows } = await query<{ inserted: boolean }>(sql, params);
+const inserted = rows.filter(row => row.inserted).length;
+res.json({ ok: true, upserted: rows.length, inserted, updated: rows.length - inserted });
+} catch (error) {
+handleError(res, error);
+}
+});
+
+
+const INGEST_BATCH_LIMIT = 500;
+
+
+// Upsert ESPN player objects ({ season, players }) the way the player-ingest job does, with
+// bye weeks from that season's schedule (scripts/ingestPlayers.js calls this)
+router.post('/ingest', async (req, res) => {
+const { season, players } = (req.body ?? {}) as { season?: unknown; players?: unknown };
+if (!Number.isInteger(season) || (season as number) < 2000 || (season as number) > 2100) {
+return res.status(400).json({ error: 'season must be a year' });
+}
+if (!Array.isArray(players) || players.length > INGEST_BATCH_LIMIT) {
+return res.status(400).json({ error: `players must be a list of at most ${INGEST_BATCH_LIMIT} ESPN players` });
+}
+if (!players.every((player) => Number.isInteger(player?.id) && player.id > 0)) {
+return res.status(400).json({ error: 'Every player needs a positive integer id' });
+}
+try {
+const espnIds = players.map((player: EspnPlayer) => player.id);
+const { rows: existing } = await query<{ count: number }>(
+'SELECT COUNT(*)::int AS count FROM players WHERE espn_id = ANY($1::int[])',
+[espnIds]
+);
+const upserted = (await upsertEspnPlayers(players, await loadByeWeeks(season as number))).size;
+res.json({ ok: true, upserted, inserted: upserted - existing[0].count, updated: existing[0].count });
+} catch (error) {
+handleError(res, error);
+}
 });
 
 
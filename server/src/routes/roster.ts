@@ -1,15 +1,49 @@
 import { Router } from 'express';
-import { query } from '../db';
+import { pool, query } from '../db';
+import { ensureLeagueScope, findLeagueScope, parseLeagueContext, scopeCondition } from '../leagueContext';
+import { analyzeByeConflicts, parseByeConflictRequest } from './espn/byeConflicts';
+import { loadInjuryReport, parseInjuryReportRequest } from './espn/injuries';
+import { optimizeLineup, parseLineupRequest } from './espn/lineup';
+import { syncRosterFromEspn } from './espn/rosterSync';
 
 
 const router = Router();
 
 
-router.get('/', async (_req, res) => {
-  const viewQuery = 'SELECT * FROM v_my_roster ORDER BY position_slot';
+// Every route takes an optional league context (leagueId, season, teamId) in the
+// query string or body; without one it works on the unscoped roster.
+router.get('/', async (req, res) => {
+  if (!pool) {
+    return res.json({ roster: [], message: 'Database not available' });
+  }
+
+  const { context, error: contextError } = parseLeagueContext(req.query as Record<string, unknown>);
+  if (contextError) {
+    return res.status(400).json({ error: contextError });
+  }
+
+  let scope;
+  try {
+    scope = await findLeagueScope(context);
+  } catch (error) {
+    if ((error as { code?: string })?.code === '42P01') {
+      console.warn('[WARN] League tables missing, returning empty roster');
+      return res.json({ roster: [] });
+    }
+    console.error('Error resolving roster league:', error);
+    return res.status(500).json({ error: (error as Error).message });
+  }
+
+  if (!scope) {
+    return res.json({ roster: [] });
+  }
+
+  const params: unknown[] = [];
+  const inScope = scopeCondition('r', scope, params);
+  const viewQuery = `SELECT * FROM v_my_roster r WHERE ${inScope} ORDER BY position_slot`;
 
   try {
-    const { rows } = await query(viewQuery);
+    const { rows } = await query(viewQuery, params);
     return res.json({ roster: rows });
   } catch (error) {
     const err = error as { code?: string; message?: string } | undefined;
@@ -23,6 +57,8 @@ router.get('/', async (_req, res) => {
           r.position_slot,
           r.added_date,
           r.notes AS roster_notes,
+          r.league_id,
+          r.team_id,
           p.id AS player_id,
           p.espn_id,
           p.name,
@@ -32,6 +68,7 @@ router.get('/', async (_req, res) => {
           p.status
         FROM my_roster r
         JOIN players p ON p.id = r.player_id
+        WHERE ${inScope}
         ORDER BY
           CASE r.position_slot
             WHEN 'QB' THEN 1
@@ -47,7 +84,7 @@ router.get('/', async (_req, res) => {
       `;
 
       try {
-        const { rows } = await query(fallbackQuery);
+        const { rows } = await query(fallbackQuery, params);
         return res.json({ roster: rows });
       } catch (fallbackError) {
         const fallbackErr = fallbackError as { code?: string; message?: string } | undefined;
@@ -75,18 +112,140 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: 'player_id, position_slot required' });
   }
 
-  const { rows } = await query(
-    'INSERT INTO my_roster (player_id, position_slot) VALUES ($1, $2) RETURNING *',
-    [player_id, position_slot]
-  );
+  const { context, error: contextError } = parseLeagueContext(req.body);
+  if (contextError) {
+    return res.status(400).json({ error: contextError });
+  }
+
+  try {
+    const scope = await ensureLeagueScope(context);
+    const { rows } = await query(
+      'INSERT INTO my_roster (player_id, position_slot, league_id, team_id) VALUES ($1, $2, $3, $4) RETURNING *',
+      [player_id, position_slot, scope.leagueRef, scope.teamRef]
+    );
+
+    res.json({ item: rows[0] });
+  } catch (error) {
+    console.error('Error saving roster item:', error);
+    res.status(500).json({ error: (error as Error).message });
+  }
+});
+
+
+// Rewrites the roster for { leagueId, season, teamId? } from ESPN. Without teamId the
+// team owned by the configured SWID is used. Responds with the adds, drops and slot moves.
+router.post('/sync', async (req, res) => {
+  const { context, error: contextError } = parseLeagueContext(req.body);
+  if (contextError || !context) {
+    return res.status(400).json({ error: contextError ?? 'leagueId, season required' });
+  }
 
-  res.json({ item: rows[0] });
+  try {
+    res.json(await syncRosterFromEspn(context));
+  } catch (error) {
+    console.error('Error syncing roster from ESPN:', error);
+    const status = (error as { status?: number } | undefined)?.status ?? 500;
+    res.status(status).json({ error: (error as Error).message });
+  }
+});
+
+
+// Best legal lineup for a week: ?leagueId&season&teamId&week. Slot counts and scoring come
+// from the league; week defaults to the league's current one and is required without a league.
+router.get('/lineup', async (req, res) => {
+  const source = req.query as Record<string, unknown>;
+  const { context, error: contextError } = parseLeagueContext(source);
+  if (contextError) {
+    return res.status(400).json({ error: contextError });
+  }
+
+  const { request, error } = parseLineupRequest(source, context);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await optimizeLineup(request));
+  } catch (error) {
+    console.error('Error optimizing lineup:', error);
+    const status = (error as { status?: number } | undefined)?.status ?? 500;
+    res.status(status).json({ error: (error as Error).message });
+  }
+});
+
+
+// Weeks from `fromWeek` (default: the league's current week) where byes leave starting slots empty.
+router.get('/bye-conflicts', async (req, res) => {
+  const source = req.query as Record<string, unknown>;
+  const { context, error: contextError } = parseLeagueContext(source);
+  if (contextError) {
+    return res.status(400).json({ error: contextError });
+  }
+
+  const { request, error } = parseByeConflictRequest(source, context);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await analyzeByeConflicts(request));
+  } catch (error) {
+    console.error('Error analyzing bye weeks:', error);
+    const status = (error as { status?: number } | undefined)?.status ?? 500;
+    res.status(status).json({ error: (error as Error).message });
+  }
+});
+
+
+// Injury status of every rostered player: ?leagueId&season&teamId. Statuses are re-read from
+// ESPN's player feed (cached; `refresh=1` skips the cache) and each change is kept as history.
+router.get('/injuries', async (req, res) => {
+  if (!pool) {
+    return res.json({ players: [], message: 'Database not available' });
+  }
+
+  const source = req.query as Record<string, unknown>;
+  const { context, error: contextError } = parseLeagueContext(source);
+  if (contextError) {
+    return res.status(400).json({ error: contextError });
+  }
+
+  const { request, error } = parseInjuryReportRequest(source, context);
+  if (!request) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await loadInjuryReport(request));
+  } catch (error) {
+    console.error('Error loading injury report:', error);
+    res.status(500).json({ error: (error as Error).message });
+  }
 });
 
 
 router.delete('/:id', async (req, res) => {
-  await query('DELETE FROM my_roster WHERE id = $1', [req.params.id]);
-  res.json({ ok: true });
+  const { context, error: contextError } = parseLeagueContext(req.query as Record<string, unknown>);
+  if (contextError) {
+    return res.status(400).json({ error: contextError });
+  }
+
+  try {
+    const scope = await findLeagueScope(context);
+    if (!scope) {
+      return res.json({ ok: true, deleted: 0 });
+    }
+
+    const params: unknown[] = [req.params.id];
+    const { rows } = await query(
+      `DELETE FROM my_roster r WHERE r.id = $1 AND ${scopeCondition('r', scope, params)} RETURNING r.id`,
+      params
+    );
+    res.json({ ok: true, deleted: rows.length });
+  } catch (error) {
+    console.error('Error deleting roster item:', error);
+    res.status(500).json({ error: (error as Error).message });
+  }
 });
 
 
@@ -1,32 +1,78 @@
-import { Router } from 'express';
-import { query } from '../db';
+import { Router, type Response } from 'express';
+import { pool, query } from '../db';
+import { ensureLeagueScope, findLeagueScope, parseLeagueContext, scopeCondition } from '../leagueContext';
 
 
 const router = Router();
 
 
-router.get('/', async (_req, res) => {
+const handleError = (res: Response, error: unknown) => {
+console.error('Watchlist route error:', error);
+res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+};
+
+
+// Every route takes an optional league context (leagueId, season, teamId); without one
+// it works on the unscoped watchlist.
+router.get('/', async (req, res) => {
+if (!pool) return res.json({ watchlist: [], message: 'Database not available' });
+const { context, error: contextError } = parseLeagueContext(req.query as Record<string, unknown>);
+if (contextError) return res.status(400).json({ error: contextError });
+try {
+const scope = await findLeagueScope(context);
+if (!scope) return res.json({ watchlist: [] });
+const params: unknown[] = [];
 const { rows } = await query(
-'SELECT w.*, p.name, p.position, p.team FROM watchlist w JOIN players p ON p.id = w.player_id ORDER BY added_date DESC'
+`SELECT w.*, p.espn_id, p.name, p.position, p.team FROM watchlist w JOIN players p ON p.id = w.player_id WHERE ${scopeCondition('w', scope, params)} ORDER BY added_date DESC`,
+params
 );
 res.json({ watchlist: rows });
+} catch (error) {
+if ((error as { code?: string })?.code === '42P01') {
+console.warn('[WARN] Watchlist table missing');
+return res.json({ watchlist: [], message: 'Watchlist table not created yet' });
+}
+handleError(res, error);
+}
 });
 
 
 router.post('/', async (req, res) => {
 const { player_id, interest_level = 3, notes } = req.body || {};
 if (!player_id) return res.status(400).json({ error: 'player_id required' });
+const { context, error: contextError } = parseLeagueContext(req.body);
+if (contextError) return res.status(400).json({ error: contextError });
+try {
+const scope = await ensureLeagueScope(context);
 const { rows } = await query(
-'INSERT INTO watchlist (player_id, interest_level, notes) VALUES ($1, $2, $3) ON CONFLICT (player_id) DO UPDATE SET interest_level = EXCLUDED.interest_level, notes = EXCLUDED.notes RETURNING *',
-[player_id, interest_level, notes ?? null]
+`INSERT INTO watchlist (player_id, interest_level, notes, league_id, team_id) VALUES ($1, $2, $3, $4, $5)
+ON CONFLICT ((COALESCE(league_id, 0)), (COALESCE(team_id, 0)), player_id)
+DO UPDATE SET interest_level = EXCLUDED.interest_level, notes = EXCLUDED.notes
+RETURNING *`,
+[player_id, interest_level, notes ?? null, scope.leagueRef, scope.teamRef]
 );
 res.json({ item: rows[0] });
+} catch (error) {
+handleError(res, error);
+}
 });
 
 
 router.delete('/:id', async (req, res) => {
-await query('DELETE FROM watchlist WHERE id = $1', [req.params.id]);
-res.json({ ok: true });
+const { context, error: contextError } = parseLeagueContext(req.query as Record<string, unknown>);
+if (contextError) return res.status(400).json({ error: contextError });
+try {
+const scope = await findLeagueScope(context);
+if (!scope) return res.json({ ok: true, deleted: 0 });
+const params: unknown[] = [req.params.id];
+const { rows } = await query(
+`DELETE FROM watchlist w WHERE w.id = $1 AND ${scopeCondition('w', scope, params)} RETURNING w.id`,
+params
+);
+res.json({ ok: true, deleted: rows.length });
+} catch (error) {
+handleError(res, error);
+}
 });
 
 
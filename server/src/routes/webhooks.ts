@@ -0,0 +1,171 @@
+import { Router, type Response } from 'express';
+import { pool, query } from '../db';
+import {
+  TARGET_COLUMNS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  deliverWebhook,
+  parseWebhookTarget,
+  type WebhookTarget,
+  type WebhookTargetInput,
+} from '../webhooks';
+
+
+const router = Router();
+
+
+const DELIVERY_LOG_LIMIT = 100;
+
+const handleError = (res: Response, error: unknown) => {
+  console.error('Webhooks route error:', error);
+  res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+};
+
+const isId = (value: unknown): boolean => /^\d+$/.test(String(value ?? ''));
+
+const FIELDS: (keyof WebhookTargetInput)[] = ['name', 'url', 'format', 'events', 'ownership_threshold', 'enabled'];
+
+
+// Targets plus the events and formats they can use
+router.get('/', async (_req, res) => {
+  if (!pool) {
+    return res.json({ targets: [], message: 'Database not available' });
+  }
+  try {
+    const { rows } = await query(`SELECT ${TARGET_COLUMNS} FROM webhook_targets ORDER BY id`);
+    res.json({ targets: rows, events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Add a target: { name, url, format?, events?, ownership_threshold?, enabled? }
+router.post('/', async (req, res) => {
+  const { target, error } = parseWebhookTarget(req.body);
+  if (!target) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const { rows } = await query(
+      `INSERT INTO webhook_targets (name, url, format, events, ownership_threshold, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${TARGET_COLUMNS}`,
+      FIELDS.map((field) => target[field])
+    );
+    res.status(201).json({ target: rows[0] });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Change any of the fields POST takes
+router.patch('/:id', async (req, res) => {
+  if (!isId(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a webhook target id' });
+  }
+  const { target, error } = parseWebhookTarget(req.body, { partial: true });
+  if (!target) {
+    return res.status(400).json({ error });
+  }
+
+  const params: unknown[] = [req.params.id];
+  const sets = FIELDS.filter((field) => target[field] !== undefined).map((field) => {
+    params.push(target[field]);
+    return `${field} = $${params.length}`;
+  });
+  if (!sets.length) {
+    return res.status(400).json({ error: `Nothing to update; send any of ${FIELDS.join(', ')}` });
+  }
+
+  try {
+    const { rows } = await query(
+      `UPDATE webhook_targets SET ${sets.join(', ')} WHERE id = $1 RETURNING ${TARGET_COLUMNS}`,
+      params
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Webhook target not found' });
+    }
+    res.json({ target: rows[0] });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+router.delete('/:id', async (req, res) => {
+  if (!isId(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a webhook target id' });
+  }
+  try {
+    const { rows } = await query('DELETE FROM webhook_targets WHERE id = $1 RETURNING id', [req.params.id]);
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Webhook target not found' });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Send a sample message to one target (enabled or not) and return its delivery record
+router.post('/:id/test', async (req, res) => {
+  if (!isId(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a webhook target id' });
+  }
+  try {
+    const { rows } = await query<WebhookTarget>(`SELECT ${TARGET_COLUMNS} FROM webhook_targets WHERE id = $1`, [req.params.id]);
+    const target = rows[0];
+    if (!target) {
+      return res.status(404).json({ error: 'Webhook target not found' });
+    }
+    const delivery = await deliverWebhook(target, {
+      event: 'test',
+      title: '🔔 WavierWire test',
+      message: `Webhook "${target.name}" is set up for ${target.events.length ? target.events.join(', ') : 'no events yet'}.`,
+      fields: [{ name: 'Format', value: target.format }],
+      data: { targetId: target.id },
+    });
+    res.status(delivery.status === 'delivered' ? 200 : 502).json({ delivery });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+// Delivery log, newest first: ?target_id=&status=pending|delivered|failed
+router.get('/deliveries', async (req, res) => {
+  const { target_id: targetId, status } = req.query as Record<string, string | undefined>;
+  if (targetId !== undefined && !isId(targetId)) {
+    return res.status(400).json({ error: 'target_id must be a webhook target id' });
+  }
+  if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending, delivered or failed' });
+  }
+
+  const params: unknown[] = [];
+  const where: string[] = [];
+  if (targetId) { params.push(targetId); where.push(`d.target_id = $${params.length}`); }
+  if (status) { params.push(status); where.push(`d.status = $${params.length}`); }
+  params.push(DELIVERY_LOG_LIMIT);
+
+  try {
+    const { rows } = await query(
+      `SELECT d.*, t.name AS target_name
+         FROM webhook_deliveries d
+         JOIN webhook_targets t ON t.id = d.target_id
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY d.created_at DESC, d.id DESC
+        LIMIT $${params.length}`,
+      params
+    );
+    res.json({ deliveries: rows });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+
+export default router;
@@ -0,0 +1,327 @@
+import os from 'node:os';
+import { query } from './db';
+import { CronError, nextCronTime, parseCron } from './cron';
+import { JOBS } from './jobs/registry';
+
+export type JobContext = {
+  log: (message: string) => void;
+  params: Record<string, unknown>;
+};
+
+export type JobDefinition = {
+  name: string;
+  description: string;
+  // Default cron expression; PATCH /admin/jobs/:name overrides it in the jobs table.
+  schedule: string;
+  // Validates the body of a manual run into the params `run` receives.
+  parseParams?: (body: Record<string, unknown>) => { params?: Record<string, unknown>; error?: string };
+  run: (context: JobContext) => Promise<unknown>;
+};
+
+export type JobRun = {
+  id: number;
+  job_name: string;
+  trigger: 'schedule' | 'interval' | 'manual';
+  status: 'running' | 'succeeded' | 'failed';
+  instance: string;
+  started_at: Date;
+  finished_at: Date | null;
+  result: unknown;
+  error: string | null;
+};
+
+export const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed'] as const;
+
+export class JobError extends Error {
+  constructor(message: string, readonly status: number = 500) {
+    super(message);
+    this.name = 'JobError';
+  }
+}
+
+// Identifies this process in jobs.locked_by and job_runs.instance.
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// A running job renews its lease every HEARTBEAT_MS; an instance that dies mid-run
+// blocks the job for at most LEASE_SECONDS.
+const LEASE_SECONDS = 300;
+const HEARTBEAT_MS = 60_000;
+const TICK_MS = 30_000;
+
+const RUN_LOG_LIMIT = 50;
+const MAX_RUN_LOG_LIMIT = 500;
+
+const findJob = (name: string): JobDefinition => {
+  const job = JOBS.find((definition) => definition.name === name);
+  if (!job) {
+    throw new JobError(`Unknown job "${name}"`, 404);
+  }
+  return job;
+};
+
+let synced: Promise<void> | null = null;
+
+// Adds a disabled jobs row for every definition that lacks one. Existing rows keep their
+// schedule and enabled flag.
+export function syncJobs(): Promise<void> {
+  synced ??= (async () => {
+    const now = new Date();
+    await query(
+      `INSERT INTO jobs (name, schedule, next_run_at, enabled)
+       SELECT *, FALSE FROM UNNEST($1::varchar[], $2::varchar[], $3::timestamp[])
+       ON CONFLICT (name) DO NOTHING`,
+      [
+        JOBS.map((job) => job.name),
+        JOBS.map((job) => job.schedule),
+        JOBS.map((job) => nextCronTime(parseCron(job.schedule), now)),
+      ]
+    );
+  })().catch((error) => {
+    synced = null;
+    throw error;
+  });
+  return synced;
+}
+
+export async function listJobs() {
+  await syncJobs();
+  const { rows } = await query(
+    `SELECT j.name, j.schedule, j.enabled, j.next_run_at, j.locked_by, j.locked_until,
+            COALESCE(j.locked_until > NOW(), FALSE) AS running, j.updated_at,
+            r.id AS last_run_id, r.trigger AS last_trigger, r.status AS last_status,
+            r.started_at AS last_started_at, r.finished_at AS last_finished_at, r.error AS last_error
+       FROM jobs j
+       LEFT JOIN LATERAL (
+         SELECT id, trigger, status, started_at, finished_at, error FROM job_runs
+          WHERE job_name = j.name
+          ORDER BY started_at DESC, id DESC
+          LIMIT 1
+       ) r ON TRUE
+      WHERE j.name = ANY($1)`,
+    [JOBS.map((job) => job.name)]
+  );
+  const byName = new Map(rows.map((row) => [row.name, row]));
+  return JOBS.map((job) => ({
+    description: job.description,
+    default_schedule: job.schedule,
+    ...byName.get(job.name),
+  }));
+}
+
+export type JobUpdate = { schedule?: string; enabled?: boolean };
+
+export function parseJobUpdate(body: unknown): { update?: JobUpdate; error?: string } {
+  const { schedule, enabled } = (body ?? {}) as Record<string, unknown>;
+  const update: JobUpdate = {};
+  if (schedule !== undefined) {
+    if (typeof schedule !== 'string') {
+      return { error: 'schedule must be a cron expression' };
+    }
+    try {
+      nextCronTime(parseCron(schedule));
+    } catch (error) {
+      return { error: (error as CronError).message };
+    }
+    update.schedule = schedule.trim();
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    update.enabled = enabled;
+  }
+  if (update.schedule === undefined && update.enabled === undefined) {
+    return { error: 'Nothing to update; send schedule and/or enabled' };
+  }
+  return { update };
+}
+
+// Changes a job's schedule or enabled flag and recomputes its next run from now.
+export async function updateJob(name: string, update: JobUpdate) {
+  findJob(name);
+  await syncJobs();
+  const { rows } = await query<{ schedule: string }>('SELECT schedule FROM jobs WHERE name = $1', [name]);
+  const schedule = update.schedule ?? rows[0].schedule;
+  await query(
+    `UPDATE jobs
+        SET schedule = $2, enabled = COALESCE($3, enabled), next_run_at = $4, updated_at = NOW()
+      WHERE name = $1`,
+    [name, schedule, update.enabled ?? null, nextCronTime(parseCron(schedule))]
+  );
+  return (await listJobs()).find((job) => job.name === name);
+}
+
+export async function listJobRuns({ job, status, limit = RUN_LOG_LIMIT }: { job?: string; status?: string; limit?: number } = {}) {
+  if (job !== undefined) {
+    findJob(job);
+  }
+  if (status !== undefined && !(JOB_RUN_STATUSES as readonly string[]).includes(status)) {
+    throw new JobError(`status must be one of ${JOB_RUN_STATUSES.join(', ')}`, 400);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUN_LOG_LIMIT) {
+    throw new JobError(`limit must be 1-${MAX_RUN_LOG_LIMIT}`, 400);
+  }
+
+  const params: unknown[] = [];
+  const where: string[] = [];
+  if (job) { params.push(job); where.push(`job_name = $${params.length}`); }
+  if (status) { params.push(status); where.push(`status = $${params.length}`); }
+  params.push(limit);
+
+  const { rows } = await query<JobRun>(
+    `SELECT * FROM job_runs
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY started_at DESC, id DESC
+      LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Takes the job's lease. A scheduled claim also needs the job to be enabled and due, and
+// moves next_run_at on so no other instance picks up the same run.
+async function claimJob(job: JobDefinition, trigger: JobRun['trigger']): Promise<boolean> {
+  const now = new Date();
+  const params: unknown[] = [job.name, INSTANCE_ID, LEASE_SECONDS];
+  let scheduled = '';
+  if (trigger === 'schedule') {
+    const { rows } = await query<{ schedule: string }>('SELECT schedule FROM jobs WHERE name = $1', [job.name]);
+    params.push(nextCronTime(parseCron(rows[0].schedule), now), now);
+    scheduled = ', next_run_at = $4';
+  }
+
+  const { rows } = await query(
+    `UPDATE jobs SET locked_by = $2, locked_until = NOW() + $3 * INTERVAL '1 second'${scheduled}
+      WHERE name = $1
+        AND (locked_until IS NULL OR locked_until < NOW())
+        ${trigger === 'schedule' ? 'AND enabled AND next_run_at <= $5' : ''}
+      RETURNING name`,
+    params
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Runs a job now under its lease and records it in job_runs. Manual runs throw a 409
+ * JobError when another run holds the lease; scheduled runs return null instead. A job
+ * that throws is recorded as failed and its run returned, not rethrown.
+ */
+export async function runJob(
+  name: string,
+  { trigger = 'manual', body = {} }: { trigger?: JobRun['trigger']; body?: Record<string, unknown> } = {}
+): Promise<JobRun | null> {
+  const job = findJob(name);
+  const { params = {}, error: paramsError } = job.parseParams?.(body) ?? {};
+  if (paramsError) {
+    throw new JobError(paramsError, 400);
+  }
+
+  await syncJobs();
+  if (!(await claimJob(job, trigger))) {
+    if (trigger === 'schedule') {
+      return null;
+    }
+    const { rows } = await query<{ locked_by: string }>('SELECT locked_by FROM jobs WHERE name = $1', [name]);
+    throw new JobError(`Job "${name}" is already running on ${rows[0]?.locked_by ?? 'another instance'}`, 409);
+  }
+
+  // Everything after the claim releases the lease on the way out, even when recording the run fails.
+  try {
+    // Holding the lease means any run still marked running belongs to an instance that died.
+    await query(
+      `UPDATE job_runs SET status = 'failed', finished_at = NOW(), error = 'Abandoned: the instance running it stopped'
+        WHERE job_name = $1 AND status = 'running'`,
+      [name]
+    );
+    const { rows: started } = await query<JobRun>(
+      'INSERT INTO job_runs (job_name, trigger, instance) VALUES ($1, $2, $3) RETURNING *',
+      [name, trigger, INSTANCE_ID]
+    );
+
+    const heartbeat = setInterval(() => {
+      query(
+        `UPDATE jobs SET locked_until = NOW() + $3 * INTERVAL '1 second' WHERE name = $1 AND locked_by = $2`,
+        [name, INSTANCE_ID, LEASE_SECONDS]
+      ).catch((error) => console.error(`Lease renewal for job ${name} failed:`, error.message));
+    }, HEARTBEAT_MS);
+
+    let status: JobRun['status'] = 'succeeded';
+    let result: unknown = null;
+    let error: string | null = null;
+    try {
+      result = (await job.run({ log: (message) => console.log(`[job ${name}] ${message}`), params })) ?? null;
+    } catch (caught) {
+      status = 'failed';
+      error = caught instanceof Error ? caught.message : String(caught);
+      console.error(`Job ${name} failed:`, caught);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const { rows } = await query<JobRun>(
+      `UPDATE job_runs SET status = $2, finished_at = NOW(), result = $3, error = $4 WHERE id = $1 RETURNING *`,
+      [started[0].id, status, JSON.stringify(result), error]
+    );
+    return rows[0];
+  } finally {
+    await query('UPDATE jobs SET locked_by = NULL, locked_until = NULL WHERE name = $1 AND locked_by = $2', [
+      name,
+      INSTANCE_ID,
+    ]).catch((error) => console.error(`Releasing the lease for job ${name} failed:`, error.message));
+  }
+}
+
+/**
+ * Runs a job every `minutes`, the way the *_INTERVAL_MINUTES settings did before the
+ * scheduler existed. The job's cron schedule and enabled flag are ignored, but the lease
+ * still applies: a tick that finds the job running is skipped.
+ */
+export function runJobEvery(name: string, minutes: number): NodeJS.Timeout {
+  findJob(name);
+  return setInterval(() => {
+    runJob(name, { trigger: 'interval' }).catch((error) => {
+      if (!(error instanceof JobError && error.status === 409)) {
+        console.error(`Interval run of job ${name} failed to start:`, error.message);
+      }
+    });
+  }, minutes * 60 * 1000);
+}
+
+let ticking = false;
+
+// Starts every enabled job whose next_run_at has passed. Runs are not awaited, so a long
+// job does not hold up the others.
+async function tick(): Promise<void> {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const { rows } = await query<{ name: string }>(
+      `SELECT name FROM jobs
+        WHERE enabled AND next_run_at <= $1 AND name = ANY($2)
+          AND (locked_until IS NULL OR locked_until < NOW())
+        ORDER BY next_run_at`,
+      [new Date(), JOBS.map((job) => job.name)]
+    );
+    for (const { name } of rows) {
+      runJob(name, { trigger: 'schedule' }).catch((error) =>
+        console.error(`Scheduled run of job ${name} failed to start:`, error.message)
+      );
+    }
+  } catch (error) {
+    console.error('Job scheduler tick failed:', (error as Error).message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Checks for due jobs every TICK_MS. Every instance may run the scheduler; the lease in
+ * `jobs` makes sure each run happens on only one of them. A run missed while no instance
+ * was up happens once, at the first tick after startup.
+ */
+export async function startScheduler(): Promise<NodeJS.Timeout> {
+  await syncJobs();
+  console.log(`Job scheduler started on ${INSTANCE_ID} (${JOBS.map((job) => job.name).join(', ')})`);
+  void tick();
+  return setInterval(tick, TICK_MS);
+}
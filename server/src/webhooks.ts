@@ -0,0 +1,244 @@
+import fetch from 'node-fetch';
+import { query } from './db';
+
+export const WEBHOOK_EVENTS = ['injury_status_change', 'ownership_threshold', 'waiver_available'] as const;
+export const WEBHOOK_FORMATS = ['json', 'discord', 'slack'] as const;
+
+export type WebhookEvent = (typeof WEBHOOK_EVENTS)[number];
+export type WebhookFormat = (typeof WEBHOOK_FORMATS)[number];
+
+// Attempts per delivery; the wait doubles after each failed one (1s, 2s, 4s).
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10_000;
+
+const EVENT_COLORS: Record<WebhookEvent | 'test', number> = {
+  injury_status_change: 0xdc2626,
+  ownership_threshold: 0x2563eb,
+  waiver_available: 0x16a34a,
+  test: 0x64748b,
+};
+
+export type WebhookTarget = {
+  id: number;
+  name: string;
+  url: string;
+  format: WebhookFormat;
+  events: WebhookEvent[];
+  ownership_threshold: number;
+  enabled: boolean;
+};
+
+export type WebhookTargetInput = Partial<Omit<WebhookTarget, 'id'>>;
+
+// One thing worth telling someone about, before it is shaped for a target's format.
+export type Notification = {
+  event: WebhookEvent | 'test';
+  title: string;
+  message: string;
+  fields: { name: string; value: string }[];
+  data: Record<string, unknown>;
+};
+
+// A notification about a real event, as opposed to a test send.
+export type EventNotification = Notification & { event: WebhookEvent };
+
+export type WebhookDelivery = {
+  id: number;
+  target_id: number;
+  event: string;
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  response_status: number | null;
+  last_error: string | null;
+  created_at: Date;
+  delivered_at: Date | null;
+};
+
+export const TARGET_COLUMNS =
+  'id, name, url, format, events, ownership_threshold::float AS ownership_threshold, enabled, created_at, updated_at';
+
+const DELIVERY_COLUMNS = 'id, target_id, event, status, attempts, response_status, last_error, created_at, delivered_at';
+
+const isHttpUrl = (value: string): boolean => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validates a webhook target body ({ name, url, format?, events?, ownership_threshold?,
+ * enabled? }). With `partial`, for updates, every field is optional. New targets default
+ * to the generic JSON format, every event and a 50% ownership threshold.
+ */
+export function parseWebhookTarget(
+  body: unknown,
+  { partial = false }: { partial?: boolean } = {}
+): { target?: WebhookTargetInput; error?: string } {
+  const input = (body ?? {}) as Record<string, unknown>;
+  const target: WebhookTargetInput = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 100) {
+      return { error: 'name required (at most 100 characters)' };
+    }
+    target.name = input.name.trim();
+  }
+  if (input.url !== undefined || !partial) {
+    if (typeof input.url !== 'string' || !isHttpUrl(input.url)) {
+      return { error: 'url must be an http(s) URL' };
+    }
+    target.url = input.url;
+  }
+  if (input.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(input.format as WebhookFormat)) {
+      return { error: `format must be one of ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    target.format = input.format as WebhookFormat;
+  } else if (!partial) {
+    target.format = 'json';
+  }
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be a list of ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    target.events = [...new Set(input.events as WebhookEvent[])];
+  } else if (!partial) {
+    target.events = [...WEBHOOK_EVENTS];
+  }
+  if (input.ownership_threshold !== undefined) {
+    const threshold = Number(input.ownership_threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold >= 100) {
+      return { error: 'ownership_threshold must be a percentage between 0 and 100' };
+    }
+    target.ownership_threshold = threshold;
+  } else if (!partial) {
+    target.ownership_threshold = 50;
+  }
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    target.enabled = input.enabled;
+  } else if (!partial) {
+    target.enabled = true;
+  }
+
+  return { target };
+}
+
+/**
+ * The request body for a target's format: a Discord embed, a Slack message (text plus a
+ * mrkdwn block), or the generic { event, title, message, fields, data, sentAt }.
+ */
+export function formatPayload(format: WebhookFormat, notification: Notification, sentAt: Date): unknown {
+  const { event, title, message, fields, data } = notification;
+  if (format === 'discord') {
+    return {
+      username: 'WavierWire',
+      embeds: [
+        {
+          title,
+          description: message,
+          color: EVENT_COLORS[event],
+          timestamp: sentAt.toISOString(),
+          fields: fields.map((field) => ({ ...field, inline: true })),
+        },
+      ],
+    };
+  }
+  if (format === 'slack') {
+    const details = fields.map((field) => `*${field.name}:* ${field.value}`).join('\n');
+    return {
+      text: `${title}: ${message}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${title}*\n${message}${details ? `\n${details}` : ''}` } },
+      ],
+    };
+  }
+  return { event, title, message, fields, data, sentAt: sentAt.toISOString() };
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors, timeouts, 408, 429 and 5xx may succeed later; other statuses will not.
+const retryable = (status: number | null): boolean => status === null || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Sends one notification to one target, retrying with backoff, and logs it in
+ * webhook_deliveries. Resolves with the final delivery row; it never throws for a
+ * failed send.
+ */
+export async function deliverWebhook(target: WebhookTarget, notification: Notification): Promise<WebhookDelivery> {
+  const payload = formatPayload(target.format, notification, new Date());
+  const { rows } = await query<WebhookDelivery>(
+    `INSERT INTO webhook_deliveries (target_id, event, payload) VALUES ($1, $2, $3) RETURNING ${DELIVERY_COLUMNS}`,
+    [target.id, notification.event, JSON.stringify(payload)]
+  );
+  let delivery = rows[0];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let responseStatus: number | null = null;
+    let error: string | null = null;
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'WavierWire-Webhooks/1.0' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}: ${(await response.text()).slice(0, 500)}`;
+      }
+    } catch (fetchError) {
+      error = (fetchError as Error).message;
+    }
+
+    const done = error === null || attempt === MAX_ATTEMPTS || !retryable(responseStatus);
+    const status = error === null ? 'delivered' : done ? 'failed' : 'pending';
+    const { rows: updated } = await query<WebhookDelivery>(
+      `UPDATE webhook_deliveries
+          SET attempts = $2, status = $3::varchar, response_status = $4, last_error = $5,
+              delivered_at = CASE WHEN $3::varchar = 'delivered' THEN NOW() ELSE NULL END
+        WHERE id = $1
+        RETURNING ${DELIVERY_COLUMNS}`,
+      [delivery.id, attempt, status, responseStatus, error]
+    );
+    delivery = updated[0];
+    if (done) {
+      break;
+    }
+    await sleep(RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+
+  if (delivery.status === 'failed') {
+    console.warn(`[WARN] Webhook ${target.name} (${notification.event}) failed: ${delivery.last_error}`);
+  }
+  return delivery;
+}
+
+// Enabled targets subscribed to an event.
+export async function loadSubscribedTargets(event: WebhookEvent): Promise<WebhookTarget[]> {
+  const { rows } = await query<WebhookTarget>(
+    `SELECT ${TARGET_COLUMNS} FROM webhook_targets WHERE enabled AND $1 = ANY(events) ORDER BY id`,
+    [event]
+  );
+  return rows;
+}
+
+/**
+ * Sends a notification to every target subscribed to its event (or to `targets` when
+ * given), one target after another.
+ */
+export async function notify(notification: EventNotification, targets?: WebhookTarget[]): Promise<WebhookDelivery[]> {
+  const recipients = targets ?? (await loadSubscribedTargets(notification.event));
+  const deliveries: WebhookDelivery[] = [];
+  for (const target of recipients) {
+    deliveries.push(await deliverWebhook(target, notification));
+  }
+  return deliveries;
+}